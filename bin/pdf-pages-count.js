@@ -0,0 +1,233 @@
+#!/usr/bin/env node
+const fs = require("fs");
+const path = require("path");
+const { countPdfPages, countPdfPagesBatch } = require("../src/index.js");
+
+const USAGE = `Usage: pdf-pages-count [options] <file|dir|glob|->...
+
+Counts the pages of PDF files. Directories contribute their *.pdf files,
+quoted globs ("jobs/**/*.pdf") are expanded, and "-" (or piped input with no
+arguments) reads one PDF from stdin.
+
+Options:
+  --json               one JSON document with every file and the total
+  --ndjson             one JSON object per file, as it finishes
+  --csv                path,pages,error rows with a header
+  --total              print only the sum (text), or add a total record
+  --strict             only accept fully validated page-tree counts
+  -r, --recursive      descend into subdirectories
+  -c, --concurrency N  files counted at once (default: one per CPU)
+  -h, --help           show this help
+  -v, --version        show the version
+
+Exit codes: 0 every file counted, 1 usage error, 2 some files failed.`;
+
+const GLOB_CHARS = /[*?[{]/;
+
+class UsageError extends Error {}
+
+function parseArgs(argv) {
+  const opts = {
+    format: "text",
+    total: false,
+    strict: false,
+    recursive: false,
+    concurrency: undefined,
+    inputs: [],
+  };
+  for (let i = 0; i < argv.length; i++) {
+    let arg = argv[i];
+    let value = null;
+    if (arg === "--") {
+      opts.inputs.push(...argv.slice(i + 1));
+      break;
+    }
+    if (arg.startsWith("--") && arg.includes("=")) {
+      value = arg.slice(arg.indexOf("=") + 1);
+      arg = arg.slice(0, arg.indexOf("="));
+    }
+    switch (arg) {
+      case "-h":
+      case "--help":
+        opts.help = true;
+        break;
+      case "-v":
+      case "--version":
+        opts.version = true;
+        break;
+      case "--json":
+      case "--ndjson":
+      case "--csv":
+        opts.format = arg.slice(2);
+        break;
+      case "--total":
+        opts.total = true;
+        break;
+      case "--strict":
+        opts.strict = true;
+        break;
+      case "-r":
+      case "--recursive":
+        opts.recursive = true;
+        break;
+      case "-c":
+      case "--concurrency": {
+        if (value === null) value = argv[++i];
+        const n = Number(value);
+        if (!Number.isInteger(n) || n < 1) {
+          throw new UsageError(`${arg} expects a positive integer`);
+        }
+        opts.concurrency = n;
+        break;
+      }
+      default:
+        if (arg.startsWith("-") && arg !== "-") {
+          throw new UsageError(`Unknown option: ${arg}`);
+        }
+        opts.inputs.push(argv[i]);
+    }
+  }
+  return opts;
+}
+
+/**
+ * Split a glob into the directory to list and the pattern below it:
+ * "jobs/2024/**\/*.pdf" -> { dir: "jobs/2024", glob: "**\/*.pdf" }.
+ */
+function splitGlob(pattern) {
+  const parts = pattern.split(/[\\/]/);
+  const first = parts.findIndex((part) => GLOB_CHARS.test(part));
+  return {
+    dir: parts.slice(0, first).join(path.sep) || ".",
+    glob: parts.slice(first).join("/"),
+  };
+}
+
+/** Results of every input, in completion order within each batch. */
+async function* countInputs(opts, options) {
+  const plain = [];
+  const globs = [];
+  for (const input of opts.inputs) {
+    if (input === "-") continue;
+    if (GLOB_CHARS.test(input)) globs.push(splitGlob(input));
+    else plain.push(input);
+  }
+  if (opts.inputs.includes("-")) yield await countStdin(options);
+  if (plain.length) {
+    yield* countPdfPagesBatch(plain, { ...options, recursive: opts.recursive });
+  }
+  for (const { dir, glob } of globs) {
+    yield* countPdfPagesBatch(dir, {
+      ...options,
+      glob,
+      recursive: opts.recursive || glob.includes("/"),
+    });
+  }
+}
+
+async function countStdin(options) {
+  try {
+    const chunks = [];
+    for await (const chunk of process.stdin) chunks.push(chunk);
+    const pages = await countPdfPages(Buffer.concat(chunks), options);
+    return { path: "-", pages, error: null };
+  } catch (error) {
+    return { path: "-", pages: null, error };
+  }
+}
+
+function csvField(value) {
+  const s = value === null || value === undefined ? "" : String(value);
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+function record({ path: file, pages, error }) {
+  return {
+    path: file,
+    pages,
+    error: error ? error.message || String(error) : null,
+  };
+}
+
+async function main() {
+  let opts;
+  try {
+    opts = parseArgs(process.argv.slice(2));
+  } catch (err) {
+    if (!(err instanceof UsageError)) throw err;
+    console.error(`pdf-pages-count: ${err.message}`);
+    console.error("Run pdf-pages-count --help for usage.");
+    return 1;
+  }
+  if (opts.help) {
+    console.log(USAGE);
+    return 0;
+  }
+  if (opts.version) {
+    console.log(require("../package.json").version);
+    return 0;
+  }
+  if (!opts.inputs.length) {
+    if (process.stdin.isTTY) {
+      console.error(USAGE);
+      return 1;
+    }
+    opts.inputs.push("-");
+  }
+
+  const options = { concurrency: opts.concurrency };
+  if (opts.strict) options.mode = "strict";
+  // A lone file (or stdin) prints just its count in text mode
+  const single =
+    opts.inputs.length === 1 &&
+    !GLOB_CHARS.test(opts.inputs[0]) &&
+    (opts.inputs[0] === "-" || !isDirectory(opts.inputs[0]));
+
+  const out = (line) => process.stdout.write(`${line}\n`);
+  const files = [];
+  let total = 0;
+  let failed = 0;
+  if (opts.format === "csv") out("path,pages,error");
+  for await (const result of countInputs(opts, options)) {
+    const row = record(result);
+    if (row.error) failed++;
+    else total += row.pages;
+    if (opts.format === "json") {
+      files.push(row);
+    } else if (opts.format === "ndjson") {
+      out(JSON.stringify(row));
+    } else if (opts.format === "csv") {
+      out([row.path, row.pages, row.error].map(csvField).join(","));
+    } else if (row.error) {
+      console.error(`${row.path}: ${row.error}`);
+    } else if (!opts.total) {
+      out(single ? String(row.pages) : `${row.path}\t${row.pages}`);
+    }
+  }
+  if (opts.format === "json") {
+    out(JSON.stringify({ files, total, failed }, null, 2));
+  } else if (opts.total) {
+    if (opts.format === "ndjson") out(JSON.stringify({ total, failed }));
+    else if (opts.format === "csv") out(`total,${total},`);
+    else out(String(total));
+  }
+  return failed ? 2 : 0;
+}
+
+function isDirectory(input) {
+  try {
+    return fs.statSync(input).isDirectory();
+  } catch (e) {
+    return false;
+  }
+}
+
+main().then(
+  (code) => {
+    process.exitCode = code;
+  },
+  (err) => {
+    console.error(`pdf-pages-count: ${err && err.message ? err.message : err}`);
+    process.exitCode = 2;
+  }
+);
@@ -2,7 +2,7 @@
 const fs = require("fs");
 const path = require("path");
 const os = require("os");
-const { countPdfPages } = require("../src/index.js");
+const { countPdfPagesBatch } = require("../src/index.js");
 
 function expandTilde(p) {
   if (!p) return p;
@@ -11,26 +11,6 @@ function expandTilde(p) {
   return p;
 }
 
-function isPdfFile(filePath) {
-  const ext = path.extname(filePath).toLowerCase();
-  return ext === ".pdf";
-}
-
-async function listPdfFilesRecursively(dir) {
-  const result = [];
-  const entries = await fs.promises.readdir(dir, { withFileTypes: true });
-  for (const entry of entries) {
-    const full = path.join(dir, entry.name);
-    if (entry.isDirectory()) {
-      const sub = await listPdfFilesRecursively(full);
-      result.push(...sub);
-    } else if (entry.isFile() && isPdfFile(full)) {
-      result.push(full);
-    }
-  }
-  return result;
-}
-
 async function main() {
   const args = process.argv.slice(2);
   const dirArg = args[0];
@@ -48,21 +28,22 @@ async function main() {
     process.exit(1);
   }
 
-  const files = await listPdfFilesRecursively(dirPath);
-  if (files.length === 0) {
-    console.log("No PDF files found.");
-    return;
-  }
-
-  // Process sequentially to avoid heavy I/O bursts
-  for (const file of files) {
-    try {
-      const pages = await countPdfPages(file);
+  const batch = countPdfPagesBatch(dirPath, { recursive: true });
+  for await (const { path: file, pages, error } of batch) {
+    if (error) {
+      console.log(`${file}\tERROR: ${error.message || error}`);
+    } else {
       console.log(`${file}\t${pages}`);
-    } catch (err) {
-      console.log(`${file}\tERROR: ${err && err.message ? err.message : err}`);
     }
   }
+  const summary = await batch.summary();
+  if (summary.files === 0) {
+    console.log("No PDF files found.");
+    return;
+  }
+  console.log(
+    `${summary.files} files, ${summary.pages} pages, ${summary.failed} failed`
+  );
 }
 
 main();
@@ -0,0 +1,68 @@
+#!/usr/bin/env node
+const http = require("http");
+const https = require("https");
+const { countPdfPages } = require("../src/index.js");
+
+function printUsage() {
+  console.log(
+    "Usage: node examples/remote.js <url>" +
+      "\n  Counts pages of a remote PDF using HTTP range requests"
+  );
+}
+
+function request(url, method, headers) {
+  const client = url.startsWith("https:") ? https : http;
+  return new Promise((resolve, reject) => {
+    const req = client.request(url, { method, headers }, (res) => {
+      const chunks = [];
+      res.on("data", (chunk) => chunks.push(chunk));
+      res.on("end", () => {
+        if (res.statusCode >= 400) {
+          reject(new Error(`HTTP ${res.statusCode} for ${method} ${url}`));
+          return;
+        }
+        resolve({ res, body: Buffer.concat(chunks) });
+      });
+    });
+    req.on("error", reject);
+    req.end();
+  });
+}
+
+// Byte source backed by HEAD (size) and Range requests (reads)
+function httpRangeSource(url) {
+  return {
+    async size() {
+      const { res } = await request(url, "HEAD", {});
+      return parseInt(res.headers["content-length"], 10);
+    },
+    async read(offset, length) {
+      const range = `bytes=${offset}-${offset + length - 1}`;
+      const { res, body } = await request(url, "GET", { range });
+      if (res.statusCode !== 206) {
+        throw new Error("Server does not support range requests");
+      }
+      return body;
+    },
+  };
+}
+
+async function main() {
+  const url = process.argv[2];
+  if (!url || url === "-h" || url === "--help") {
+    printUsage();
+    process.exit(url ? 0 : 1);
+  }
+  try {
+    const pages = await countPdfPages(httpRangeSource(url));
+    console.log(pages);
+  } catch (err) {
+    console.error(
+      "Failed to count pages:",
+      err && err.message ? err.message : err
+    );
+    process.exit(2);
+  }
+}
+
+main();
@@ -0,0 +1,5 @@
+// Types for ./core.mjs, which re-exports ./core.js as an ES module.
+import * as api from "./core.js";
+
+export * from "./core.js";
+export default api;
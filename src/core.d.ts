@@ -0,0 +1,336 @@
+// Platform-neutral core: no file paths, worker threads or batches (see ./index).
+
+/**
+ * Random-access source such as a local file or object storage through HTTP
+ * range requests. The sync API accepts it only if both methods answer
+ * synchronously.
+ */
+export interface PdfByteSource {
+  /** Total length in bytes. */
+  size(): number | Promise<number>;
+  /** Up to `length` bytes starting at `offset` (fewer only at the end). */
+  read(offset: number, length: number): Uint8Array | Promise<Uint8Array>;
+}
+
+/** A Blob or File; only its shape is checked. */
+export interface PdfBlobLike {
+  readonly size: number;
+  slice(start?: number, end?: number): { arrayBuffer(): Promise<ArrayBuffer> };
+  arrayBuffer(): Promise<ArrayBuffer>;
+}
+
+/** A web ReadableStream of bytes or any async iterable of byte chunks. */
+export type PdfStreamLike =
+  | {
+      getReader(): {
+        read(): Promise<{ done: boolean; value?: Uint8Array }>;
+        releaseLock(): void;
+      };
+    }
+  | AsyncIterable<Uint8Array>;
+
+export type PdfInput = Uint8Array | PdfByteSource;
+/** Streams are read to the end (up to maxFileSize) before parsing. */
+export type PdfAsyncInput = PdfInput | PdfBlobLike | PdfStreamLike;
+
+export interface PdfOptions {
+  /**
+   * User or owner password for encrypted files. Files with only an owner
+   * password open without one.
+   */
+  password?: string;
+  /**
+   * "strict" accepts only a fully validated page tree traversal, "fast" trusts
+   * the root /Count without rescanning the file, "lenient" (default) falls
+   * back as far as the scans.
+   */
+  mode?: "strict" | "fast" | "lenient";
+  /** Deepest page tree accepted (levels below the root /Pages). No default. */
+  maxDepth?: number;
+  /** Most page tree nodes (pages and /Pages) visited. Default 1,000,000. */
+  maxNodes?: number;
+  /** Largest file accepted, in bytes. Checked before anything is read. */
+  maxFileSize?: number;
+  /** Most bytes any single stream may decode to. */
+  maxInflatedBytes?: number;
+  /** Most entries in the object table (xref sections or rebuilt table). */
+  maxObjects?: number;
+  /** Time budget for the whole call, in milliseconds. */
+  timeoutMs?: number;
+  /** Cancels the async functions; they reject with the signal's reason. */
+  signal?: AbortSignal;
+}
+
+export type PdfPagesMethod =
+  | "linearized"
+  | "xref-stream-traversal"
+  | "classic-traversal"
+  | "recovered-traversal"
+  | "classic-count"
+  | "xref-stream-count"
+  | "scan-pages-count"
+  | "scan-object-streams"
+  | "scan-page-objects";
+
+export interface PdfPagesAnalysis {
+  pages: number;
+  method: PdfPagesMethod;
+  confidence: "high" | "medium" | "low";
+  /** True when the trailer carries /Encrypt. */
+  encrypted: boolean;
+  warnings: string[];
+  errors: { method: PdfPagesMethod; message: string; code: string | null }[];
+}
+
+/** [llx, lly, urx, ury] in PDF units (1/72 inch). */
+export type PdfBox = [number, number, number, number];
+
+export interface PdfPageEntry {
+  /** Zero-based position in document order. */
+  index: number;
+  obj: number;
+  gen: number;
+  /** Byte offset of the page object; null when it lives in an object stream. */
+  offset: number | null;
+  /** Effective /MediaBox, inherited from parent /Pages nodes if needed. */
+  mediaBox: PdfBox | null;
+  /** Effective /CropBox; defaults to the MediaBox. */
+  cropBox: PdfBox | null;
+  /** Effective /Rotate: 0, 90, 180 or 270. */
+  rotate: 0 | 90 | 180 | 270;
+}
+
+export type PdfPaperFormat = "A4" | "Letter" | "Legal" | "A3" | "custom";
+
+export interface PdfPageSizeSummary {
+  pages: number;
+  /** Pages per paper format; `unknown` counts pages without any box. */
+  formats: Record<PdfPaperFormat | "unknown", number>;
+  /** Orientation after /Rotate; square pages count as portrait. */
+  orientation: { portrait: number; landscape: number };
+  /** True when pages come in more than one size, ignoring orientation. */
+  mixedSizes: boolean;
+  /** Distinct sizes (portrait width/height in PDF units) and their page counts. */
+  sizes: {
+    format: PdfPaperFormat;
+    width: number;
+    height: number;
+    count: number;
+  }[];
+}
+
+export interface PdfRevision {
+  /** 0 for the original file, then one per incremental update. */
+  index: number;
+  /** Byte range [start, end) of the revision, through its %%EOF line. */
+  start: number;
+  end: number;
+  /** Offset of the revision's xref section. */
+  startxref: number;
+  /** Page count as of this revision; null if it could not be determined. */
+  pages: number | null;
+  /** Why `pages` is null. */
+  error: string | null;
+}
+
+export interface PdfMetadata {
+  /** Header version, or the catalog /Version if that is later; e.g. "1.7". */
+  version: string | null;
+  title: string | null;
+  /** XMP dc:creator lists are joined with "; ". */
+  author: string | null;
+  subject: string | null;
+  keywords: string | null;
+  /** The application that created the original document. */
+  creator: string | null;
+  /** The application that wrote the PDF. */
+  producer: string | null;
+  creationDate: Date | null;
+  modificationDate: Date | null;
+  /** Every /Info entry, text strings decoded. */
+  info: Record<string, string | number | boolean | null>;
+  /** The XMP packet of the catalog /Metadata stream. */
+  xmp: string | null;
+}
+
+export interface PdfOutlineItem {
+  title: string;
+  /**
+   * Zero-based page the item points to, through /Dest, a GoTo action or a
+   * named destination; null for other actions or unresolvable targets.
+   */
+  pageIndex: number | null;
+  children: PdfOutlineItem[];
+}
+
+export interface PdfBlankPages {
+  pages: number;
+  /** Zero-based indexes of the pages that mark nothing. */
+  blankPages: number[];
+  nonBlankPages: number;
+}
+
+export interface PdfColorPages {
+  pages: number;
+  /** Zero-based indexes of the pages that paint in color. */
+  colorPages: number[];
+  grayPages: number[];
+}
+
+export interface PdfName {
+  type: "name";
+  /** Without the leading slash, #xx escapes decoded. */
+  name: string;
+}
+
+export interface PdfString {
+  type: "string";
+  /** Raw bytes, escapes decoded. */
+  value: Uint8Array;
+  /** Written as <hex> rather than (literal). */
+  hex: boolean;
+}
+
+export interface PdfRef {
+  type: "ref";
+  obj: number;
+  gen: number;
+}
+
+export type PdfObject =
+  | null
+  | boolean
+  | number
+  | PdfName
+  | PdfString
+  | PdfRef
+  | PdfObject[]
+  | PdfDict;
+
+export interface PdfDict extends Map<string, PdfObject> {}
+
+export interface PdfParseErrorOptions {
+  code?: string;
+  offset?: number | null;
+  cause?: unknown;
+}
+
+export declare class PdfParseError extends Error {
+  constructor(message: string, options?: PdfParseErrorOptions);
+  static readonly code: string;
+  /** Stable identifier such as "ERR_PDF_PARSE" or "ERR_PDF_TRUNCATED". */
+  code: string;
+  /** Byte position the parser was looking at, if known. */
+  offset: number | null;
+  cause?: unknown;
+  /** Set when every strategy failed: why each one did. */
+  errors?: PdfPagesAnalysis["errors"];
+}
+/** code: "ERR_PDF_ENCRYPTED" */
+export declare class PdfEncryptedError extends PdfParseError {}
+/** code: "ERR_PDF_TRUNCATED" */
+export declare class PdfTruncatedError extends PdfParseError {}
+/** code: "ERR_PDF_NOT_A_PDF" */
+export declare class PdfNotAPdfError extends PdfParseError {}
+/** code: "ERR_PDF_CYCLE" */
+export declare class PdfCycleError extends PdfParseError {}
+/** code: "ERR_PDF_LIMIT" */
+export declare class PdfLimitError extends PdfParseError {
+  constructor(
+    message: string,
+    options?: PdfParseErrorOptions & { limit?: string }
+  );
+  /** The option whose limit was exceeded, e.g. "maxInflatedBytes". */
+  limit: string | null;
+}
+
+export declare function countPdfPagesSync(
+  input: PdfInput,
+  options?: PdfOptions
+): number;
+export declare function countPdfPages(
+  input: PdfAsyncInput,
+  options?: PdfOptions
+): Promise<number>;
+export declare function analyzePdfPagesSync(
+  input: PdfInput,
+  options?: PdfOptions
+): PdfPagesAnalysis;
+export declare function analyzePdfPages(
+  input: PdfAsyncInput,
+  options?: PdfOptions
+): Promise<PdfPagesAnalysis>;
+export declare function listPdfPagesSync(
+  input: PdfInput,
+  options?: PdfOptions
+): PdfPageEntry[];
+export declare function listPdfPages(
+  input: PdfAsyncInput,
+  options?: PdfOptions
+): Promise<PdfPageEntry[]>;
+export declare function summarizePdfPageSizesSync(
+  input: PdfInput,
+  options?: PdfOptions
+): PdfPageSizeSummary;
+export declare function summarizePdfPageSizes(
+  input: PdfAsyncInput,
+  options?: PdfOptions
+): Promise<PdfPageSizeSummary>;
+export declare function listPdfRevisionsSync(
+  input: PdfInput,
+  options?: PdfOptions
+): PdfRevision[];
+export declare function listPdfRevisions(
+  input: PdfAsyncInput,
+  options?: PdfOptions
+): Promise<PdfRevision[]>;
+export declare function readPdfMetadataSync(
+  input: PdfInput,
+  options?: PdfOptions
+): PdfMetadata;
+export declare function readPdfMetadata(
+  input: PdfAsyncInput,
+  options?: PdfOptions
+): Promise<PdfMetadata>;
+/** One label per page, in document order. */
+export declare function readPdfPageLabelsSync(
+  input: PdfInput,
+  options?: PdfOptions
+): string[];
+export declare function readPdfPageLabels(
+  input: PdfAsyncInput,
+  options?: PdfOptions
+): Promise<string[]>;
+/** Index of the page with this label (case-insensitive fallback), or -1. */
+export declare function findPdfPageByLabel(
+  labels: readonly string[],
+  label: string | number
+): number;
+export declare function readPdfOutlineSync(
+  input: PdfInput,
+  options?: PdfOptions
+): PdfOutlineItem[];
+export declare function readPdfOutline(
+  input: PdfAsyncInput,
+  options?: PdfOptions
+): Promise<PdfOutlineItem[]>;
+export declare function detectBlankPagesSync(
+  input: PdfInput,
+  options?: PdfOptions
+): PdfBlankPages;
+export declare function detectBlankPages(
+  input: PdfAsyncInput,
+  options?: PdfOptions
+): Promise<PdfBlankPages>;
+export declare function detectColorPagesSync(
+  input: PdfInput,
+  options?: PdfOptions
+): PdfColorPages;
+export declare function detectColorPages(
+  input: PdfAsyncInput,
+  options?: PdfOptions
+): Promise<PdfColorPages>;
+export declare function parsePdfObject(
+  input: string | Uint8Array,
+  offset?: number
+): PdfObject;
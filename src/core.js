@@ -0,0 +1,5120 @@
+const { inflate: zlibInflate } = require("#inflate");
+const { hash: digest, aesCbcDecrypt, aesCbcEncrypt } = require("#crypto");
+
+/**
+ * Fast PDF total page count extractor without external deps.
+ * Strategy:
+ * 1) Classic xref parse: startxref -> xref table -> trailer /Root -> Catalog /Pages -> Pages /Count
+ * 2) Fallback scan: find "/Type /Pages" objects and take the max /Count
+ *
+ * This library supports both classic xref tables and xref streams (incl. object
+ * streams). It prioritizes accurate page-tree traversal; fast fallbacks are used
+ * only if traversal is unavailable.
+ *
+ * Byte sources and Blobs are read through a small block cache, so the
+ * accurate path only touches the tail, the xref sections and the objects it
+ * visits. The whole file is loaded only when the fallback scans run.
+ *
+ * This module is the platform-neutral core: it works on Uint8Arrays and
+ * needs nothing from Node. Inflate and the security handler's hashes and
+ * ciphers come from "#inflate" and "#crypto", which resolve to node:zlib and
+ * node:crypto on Node and to plain JavaScript elsewhere. ./index.js adds file
+ * paths, worker threads and batches on top.
+ */
+
+/**
+ * Random-access byte source (local files, object storage through HTTP range
+ * requests, archive members, ...). The sync API accepts it only if both
+ * methods answer synchronously.
+ * @typedef {{size(): number|Promise<number>, read(offset: number, length: number): Uint8Array|Promise<Uint8Array>}} ByteSource
+ */
+
+/**
+ * Options accepted by every public function. `password` opens encrypted
+ * files that have a user password; owner-password-only files need none.
+ * `maxDepth` and `maxNodes` bound the page tree walk (`maxNodes` defaults
+ * to 1,000,000). `maxFileSize`, `maxInflatedBytes` (per decoded stream),
+ * `maxObjects` (object table entries), `timeoutMs` and `maxDepth` are
+ * unbounded unless set. Limits are numbers of zero or more (anything else
+ * is a TypeError), and 0 is a limit like any other; exceeding one throws
+ * PdfLimitError. `signal` aborts the async functions. `mode` picks how
+ * much to trust: "strict" accepts only a fully validated page tree
+ * traversal, "fast" takes the root /Count at face value, and "lenient" (the
+ * default) falls back as far as the scans.
+ * @typedef {{password?: string, mode?: "strict"|"fast"|"lenient", maxDepth?: number, maxNodes?: number, maxFileSize?: number, maxInflatedBytes?: number, maxObjects?: number, timeoutMs?: number, signal?: AbortSignal}} PdfOptions
+ */
+
+/**
+ * @typedef {{title: string, pageIndex: number|null, children: PdfOutlineItem[]}} PdfOutlineItem
+ */
+
+/**
+ * Base error for anything that goes wrong while reading a PDF.
+ * `code` is a stable machine-readable identifier, `offset` the byte position
+ * the parser was looking at (or null), and `cause` the underlying error if any.
+ */
+class PdfParseError extends Error {
+  /**
+   * @param {string} message
+   * @param {{code?: string, offset?: number|null, cause?: unknown}} [options]
+   */
+  constructor(message, options = {}) {
+    super(message);
+    this.name = new.target.name;
+    this.code = options.code || new.target.code;
+    this.offset = Number.isFinite(options.offset) ? options.offset : null;
+    if (options.cause !== undefined) this.cause = options.cause;
+  }
+}
+PdfParseError.code = "ERR_PDF_PARSE";
+
+/** The document is encrypted and its objects could not be read. */
+class PdfEncryptedError extends PdfParseError {}
+PdfEncryptedError.code = "ERR_PDF_ENCRYPTED";
+
+/** The file ends before a structure the parser needed (xref, stream, ...). */
+class PdfTruncatedError extends PdfParseError {}
+PdfTruncatedError.code = "ERR_PDF_TRUNCATED";
+
+/** Nothing could be read and there is no %PDF- header: not a PDF at all. */
+class PdfNotAPdfError extends PdfParseError {}
+PdfNotAPdfError.code = "ERR_PDF_NOT_A_PDF";
+
+/**
+ * A resource limit was exceeded (see PdfOptions); `limit` names the option,
+ * e.g. "maxInflatedBytes" or "timeoutMs". No fallback strategy runs after it.
+ */
+class PdfLimitError extends PdfParseError {
+  /**
+   * @param {string} message
+   * @param {{limit?: string, code?: string, offset?: number|null, cause?: unknown}} [options]
+   */
+  constructor(message, options = {}) {
+    super(message, options);
+    this.limit = options.limit || null;
+  }
+}
+PdfLimitError.code = "ERR_PDF_LIMIT";
+
+/** The page tree reaches a node twice (e.g. /Kids pointing at an ancestor). */
+class PdfCycleError extends PdfParseError {}
+PdfCycleError.code = "ERR_PDF_CYCLE";
+
+/**
+ * Public API: countPdfPagesSync
+ * @param {Uint8Array|ByteSource} input - Bytes or a synchronous byte source
+ * @param {PdfOptions} [options]
+ * @returns {number}
+ */
+function countPdfPagesSync(input, options) {
+  return analyzePdfPagesSync(input, options).pages;
+}
+
+/**
+ * Public API: countPdfPages (async)
+ * @param {Uint8Array|Blob|ReadableStream|ByteSource} input - Bytes, Blob, stream or byte source
+ * @param {PdfOptions} [options]
+ * @returns {Promise<number>} Resolves to total number of pages; rejects if not found
+ */
+async function countPdfPages(input, options) {
+  const result = await analyzePdfPages(input, options);
+  return result.pages;
+}
+
+/**
+ * Public API: analyzePdfPagesSync
+ * Same strategies as countPdfPagesSync, but reports which one produced the count.
+ * @param {Uint8Array|ByteSource} input - Bytes or a synchronous byte source
+ * @param {PdfOptions} [options]
+ * @returns {{pages: number, method: string, confidence: "high"|"medium"|"low", encrypted: boolean, warnings: string[], errors: {method: string, message: string, code: string|null}[]}}
+ */
+function analyzePdfPagesSync(input, options) {
+  return runOnInputSync(input, analyzeDocument, options);
+}
+
+/**
+ * Public API: analyzePdfPages (async)
+ * @param {Uint8Array|Blob|ReadableStream|ByteSource} input - Bytes, Blob, stream or byte source
+ * @param {PdfOptions} [options]
+ * @returns {Promise<{pages: number, method: string, confidence: "high"|"medium"|"low", encrypted: boolean, warnings: string[], errors: {method: string, message: string, code: string|null}[]}>}
+ */
+async function analyzePdfPages(input, options) {
+  return runOnInput(input, analyzeDocument, options);
+}
+
+/**
+ * Public API: listPdfPagesSync
+ * One entry per page in document order. Boxes and /Rotate are resolved through
+ * the parent /Pages chain; `offset` is null for pages stored in object streams.
+ * @param {Uint8Array|ByteSource} input - Bytes or a synchronous byte source
+ * @param {PdfOptions} [options]
+ * @returns {{index: number, obj: number, gen: number, offset: number|null, mediaBox: number[]|null, cropBox: number[]|null, rotate: number}[]}
+ */
+function listPdfPagesSync(input, options) {
+  return runOnInputSync(input, listPages, options);
+}
+
+/**
+ * Public API: listPdfPages (async)
+ * @param {Uint8Array|Blob|ReadableStream|ByteSource} input - Bytes, Blob, stream or byte source
+ * @param {PdfOptions} [options]
+ * @returns {Promise<{index: number, obj: number, gen: number, offset: number|null, mediaBox: number[]|null, cropBox: number[]|null, rotate: number}[]>}
+ */
+async function listPdfPages(input, options) {
+  return runOnInput(input, listPages, options);
+}
+
+/**
+ * Public API: summarizePdfPageSizesSync
+ * Classifies each page's visible area (CropBox, after /Rotate) as A4, Letter,
+ * Legal, A3 or custom, and reports the orientation split.
+ * @param {Uint8Array|ByteSource} input - Bytes or a synchronous byte source
+ * @param {PdfOptions} [options]
+ * @returns {{pages: number, formats: {A4: number, Letter: number, Legal: number, A3: number, custom: number, unknown: number}, orientation: {portrait: number, landscape: number}, mixedSizes: boolean, sizes: {format: string, width: number, height: number, count: number}[]}}
+ */
+function summarizePdfPageSizesSync(input, options) {
+  return summarizePageSizes(listPdfPagesSync(input, options));
+}
+
+/**
+ * Public API: summarizePdfPageSizes (async)
+ * @param {Uint8Array|Blob|ReadableStream|ByteSource} input - Bytes, Blob, stream or byte source
+ * @param {PdfOptions} [options]
+ * @returns {Promise<{pages: number, formats: {A4: number, Letter: number, Legal: number, A3: number, custom: number, unknown: number}, orientation: {portrait: number, landscape: number}, mixedSizes: boolean, sizes: {format: string, width: number, height: number, count: number}[]}>}
+ */
+async function summarizePdfPageSizes(input, options) {
+  return summarizePageSizes(await listPdfPages(input, options));
+}
+
+/**
+ * Public API: listPdfRevisionsSync
+ * One entry per revision (the original file, then each incremental update),
+ * oldest first: the byte range [start, end) through its %%EOF and the page
+ * count as of that revision, or null with `error` if it could not be read.
+ * @param {Uint8Array|ByteSource} input - Bytes or a synchronous byte source
+ * @param {PdfOptions} [options]
+ * @returns {{index: number, start: number, end: number, startxref: number, pages: number|null, error: string|null}[]}
+ */
+function listPdfRevisionsSync(input, options) {
+  return runOnInputSync(input, listRevisions, options);
+}
+
+/**
+ * Public API: listPdfRevisions (async)
+ * @param {Uint8Array|Blob|ReadableStream|ByteSource} input - Bytes, Blob, stream or byte source
+ * @param {PdfOptions} [options]
+ * @returns {Promise<{index: number, start: number, end: number, startxref: number, pages: number|null, error: string|null}[]>}
+ */
+async function listPdfRevisions(input, options) {
+  return runOnInput(input, listRevisions, options);
+}
+
+/**
+ * Public API: readPdfMetadataSync
+ * Document information from the trailer /Info dictionary and the catalog's
+ * XMP /Metadata stream. Text strings are decoded (PDFDocEncoding, UTF-16BE or
+ * UTF-8) and dates become Date objects. Where both sources have a field, the
+ * XMP value wins unless the Info /ModDate is newer than the XMP one.
+ * `version` is the header version, or the catalog /Version if that is later.
+ * `info` holds every Info entry as decoded text and `xmp` the raw packet.
+ * @param {Uint8Array|ByteSource} input - Bytes or a synchronous byte source
+ * @param {PdfOptions} [options]
+ * @returns {{version: string|null, title: string|null, author: string|null, subject: string|null, keywords: string|null, creator: string|null, producer: string|null, creationDate: Date|null, modificationDate: Date|null, info: Object<string, string|number|boolean|null>, xmp: string|null}}
+ */
+function readPdfMetadataSync(input, options) {
+  return runOnInputSync(input, readMetadata, options);
+}
+
+/**
+ * Public API: readPdfMetadata (async)
+ * @param {Uint8Array|Blob|ReadableStream|ByteSource} input - Bytes, Blob, stream or byte source
+ * @param {PdfOptions} [options]
+ * @returns {Promise<{version: string|null, title: string|null, author: string|null, subject: string|null, keywords: string|null, creator: string|null, producer: string|null, creationDate: Date|null, modificationDate: Date|null, info: Object<string, string|number|boolean|null>, xmp: string|null}>}
+ */
+async function readPdfMetadata(input, options) {
+  return runOnInput(input, readMetadata, options);
+}
+
+/**
+ * Public API: readPdfPageLabelsSync
+ * The label of every page in document order ("i", "ii", "1", "A-1", ...)
+ * from the catalog's /PageLabels number tree. Without page labels, or for
+ * pages before the first labelled range, the label is the page number.
+ * @param {Uint8Array|ByteSource} input - Bytes or a synchronous byte source
+ * @param {PdfOptions} [options]
+ * @returns {string[]}
+ */
+function readPdfPageLabelsSync(input, options) {
+  return runOnInputSync(input, readPageLabels, options);
+}
+
+/**
+ * Public API: readPdfPageLabels (async)
+ * @param {Uint8Array|Blob|ReadableStream|ByteSource} input - Bytes, Blob, stream or byte source
+ * @param {PdfOptions} [options]
+ * @returns {Promise<string[]>}
+ */
+async function readPdfPageLabels(input, options) {
+  return runOnInput(input, readPageLabels, options);
+}
+
+/**
+ * Public API: findPdfPageByLabel
+ * Index of the first page labelled `label` in the result of
+ * readPdfPageLabels, ignoring case if there is no exact match; -1 if none.
+ * @param {string[]} labels
+ * @param {string|number} label
+ * @returns {number}
+ */
+function findPdfPageByLabel(labels, label) {
+  const wanted = String(label).trim();
+  const index = labels.indexOf(wanted);
+  if (index >= 0) return index;
+  const lower = wanted.toLowerCase();
+  return labels.findIndex((l) => l.toLowerCase() === lower);
+}
+
+/**
+ * Public API: readPdfOutlineSync
+ * The document outline (bookmarks) as a tree of {title, pageIndex,
+ * children}. `pageIndex` is the zero-based page the item's /Dest or GoTo
+ * action points to, named destinations included, or null if it points
+ * elsewhere (another file, a web link) or nowhere.
+ * @param {Uint8Array|ByteSource} input - Bytes or a synchronous byte source
+ * @param {PdfOptions} [options]
+ * @returns {PdfOutlineItem[]}
+ */
+function readPdfOutlineSync(input, options) {
+  return runOnInputSync(input, readOutline, options);
+}
+
+/**
+ * Public API: readPdfOutline (async)
+ * @param {Uint8Array|Blob|ReadableStream|ByteSource} input - Bytes, Blob, stream or byte source
+ * @param {PdfOptions} [options]
+ * @returns {Promise<PdfOutlineItem[]>}
+ */
+async function readPdfOutline(input, options) {
+  return runOnInput(input, readOutline, options);
+}
+
+/**
+ * Public API: detectBlankPagesSync
+ * Pages whose content streams mark nothing: no content at all, or only
+ * whitespace text, invisible text and white fills or strokes. Form XObjects
+ * are followed; images, shadings and anything drawn in a color other than
+ * white count as marks, as does content that cannot be read (except in
+ * strict mode, where that throws). Annotations are not looked at.
+ * @param {Uint8Array|ByteSource} input - Bytes or a synchronous byte source
+ * @param {PdfOptions} [options]
+ * @returns {{pages: number, blankPages: number[], nonBlankPages: number}}
+ */
+function detectBlankPagesSync(input, options) {
+  return runOnInputSync(input, detectBlankPagesTask, options);
+}
+
+/**
+ * Public API: detectBlankPages (async)
+ * @param {Uint8Array|Blob|ReadableStream|ByteSource} input - Bytes, Blob, stream or byte source
+ * @param {PdfOptions} [options]
+ * @returns {Promise<{pages: number, blankPages: number[], nonBlankPages: number}>}
+ */
+async function detectBlankPages(input, options) {
+  return runOnInput(input, detectBlankPagesTask, options);
+}
+
+/**
+ * Public API: detectColorPagesSync
+ * Splits the pages into those that paint in color and those that stay gray,
+ * for print costing. A page is in color once it fills or strokes a path,
+ * shows text, paints an image or a shading, or uses a pattern, in a color
+ * that is not a neutral gray; Form XObjects and colored tiling patterns are
+ * followed. Content that cannot be read counts as color (except in strict
+ * mode, where that throws). Annotations are not looked at.
+ * @param {Uint8Array|ByteSource} input - Bytes or a synchronous byte source
+ * @param {PdfOptions} [options]
+ * @returns {{pages: number, colorPages: number[], grayPages: number[]}}
+ */
+function detectColorPagesSync(input, options) {
+  return runOnInputSync(input, detectColorPagesTask, options);
+}
+
+/**
+ * Public API: detectColorPages (async)
+ * @param {Uint8Array|Blob|ReadableStream|ByteSource} input - Bytes, Blob, stream or byte source
+ * @param {PdfOptions} [options]
+ * @returns {Promise<{pages: number, colorPages: number[], grayPages: number[]}>}
+ */
+async function detectColorPages(input, options) {
+  return runOnInput(input, detectColorPagesTask, options);
+}
+
+/**
+ * Public API: parsePdfObject
+ * Parse one PDF object starting at `offset`. Dictionaries become Maps keyed
+ * by name; names, strings and indirect references become
+ * {type: "name", name}, {type: "string", value: Uint8Array, hex} and
+ * {type: "ref", obj, gen}; null, booleans, numbers and arrays stay as they
+ * are. An indirect object ("12 0 obj ... endobj") yields its value.
+ * @param {string|Uint8Array} input - PDF syntax as a latin1 string or bytes
+ * @param {number} [offset=0]
+ * @returns {any}
+ */
+function parsePdfObject(input, offset = 0) {
+  const s = typeof input === "string" ? input : latin1(toBytes(input));
+  const lexer = { s, pos: offset };
+  const token = nextToken(lexer);
+  if (token.type === "number" && token.integer && token.value >= 0) {
+    if (readRefTail(lexer, "obj") !== null) return parseValue(lexer, 0);
+  }
+  return valueFromToken(lexer, token, 0);
+}
+
+// ---- Implementation details below ----
+
+/**
+ * Run the strategies from most to least accurate and describe the winner.
+ * Traversals are "high" confidence, traversals of a rebuilt object table and
+ * trailer /Count reads "medium", and scans "low". doc.mode "strict" stops
+ * after the traversals; "fast" tries the unguarded root /Count first.
+ * @param {{size: number, mode: string}} doc
+ */
+function* analyzeDocument(doc) {
+  const warnings = [];
+  const errors = [];
+  let cyclic = false;
+  const result = (pages, method, confidence) => ({
+    pages,
+    method,
+    // A tree that loops cannot be trusted, whatever later read it
+    confidence: cyclic ? "low" : confidence,
+    encrypted: doc.encrypted === true,
+    warnings,
+    errors,
+  });
+  let locked = null;
+  const thrown = [];
+  const fail = (method, err) => {
+    if (err instanceof PdfLimitError) throw err;
+    if (err instanceof Error) thrown.push(err);
+    if (err instanceof PdfCycleError && !cyclic) {
+      cyclic = true;
+      warnings.push("Page tree contains a cycle; count not verified");
+    }
+    errors.push({
+      method,
+      message: err && err.message ? err.message : String(err),
+      code: err && err.code ? err.code : null,
+    });
+    if (err instanceof PdfEncryptedError) locked = err;
+  };
+
+  const strict = doc.mode === "strict";
+  const fast = doc.mode === "fast";
+
+  // 0) Fast and exact: /N of an intact linearization dictionary
+  if (!strict) {
+    try {
+      const n = yield* countPagesViaLinearization(doc);
+      yield* detectEncryption(doc);
+      return result(n, "linearized", "high");
+    } catch (e) {
+      fail("linearized", e);
+    }
+  }
+  // Fast mode trusts the root /Count without rescanning the file
+  if (fast) {
+    for (const [method, read] of [
+      ["classic-count", parsePageCountViaClassicXref],
+      ["xref-stream-count", parsePageCountViaXrefStream],
+    ]) {
+      try {
+        const n = yield* read(doc);
+        if (Number.isInteger(n) && n > 0) return result(n, method, "medium");
+        fail(method, "Count not found or invalid");
+      } catch (e) {
+        fail(method, e);
+      }
+    }
+  }
+  // 1) Accurate: traverse page tree via XRef stream (modern PDFs)
+  try {
+    const n = yield* countPagesViaXrefStreamTraversal(doc);
+    if (Number.isInteger(n) && n > 0)
+      return result(n, "xref-stream-traversal", "high");
+    fail("xref-stream-traversal", "No pages found in page tree");
+  } catch (e) {
+    fail("xref-stream-traversal", e);
+  }
+  // 2) Accurate: traverse page tree via classic xref table
+  try {
+    const n = yield* countPagesViaClassicTraversal(doc);
+    if (Number.isInteger(n) && n > 0)
+      return result(n, "classic-traversal", "high");
+    fail("classic-traversal", "No pages found in page tree");
+  } catch (e) {
+    fail("classic-traversal", e);
+  }
+  if (strict) {
+    // Rethrow the most telling traversal failure rather than a generic one
+    const err =
+      locked ||
+      thrown.find((e) => e instanceof PdfCycleError) ||
+      thrown.find((e) => e instanceof PdfTruncatedError) ||
+      new PdfParseError("Strict mode: no valid page tree traversal");
+    err.errors = errors;
+    throw yield* checkPdfHeader(doc, err);
+  }
+  // 3) Accurate on an object table rebuilt by scanning, when the xref is unusable
+  try {
+    const n = yield* countPagesViaRecovery(doc);
+    if (Number.isInteger(n) && n > 0) {
+      warnings.push("xref unusable; object table rebuilt by scanning the file");
+      return result(n, "recovered-traversal", "medium");
+    }
+    fail("recovered-traversal", "No pages found in page tree");
+  } catch (e) {
+    fail("recovered-traversal", e);
+  }
+  // 4) Fast: read /Count via classic xref; guard with heuristic to avoid undercount
+  if (!fast) {
+    try {
+      const n = yield* parsePageCountViaClassicXref(doc);
+      if (Number.isInteger(n) && n > 0) {
+        const buffer = yield* readAll(doc);
+        return guardedCount(doc, buffer, n, "classic-count", warnings, result);
+      }
+      fail("classic-count", "Count not found or invalid");
+    } catch (e) {
+      fail("classic-count", e);
+    }
+    // 5) Fast: read /Count via XRef stream; guard with heuristic
+    try {
+      const n = yield* parsePageCountViaXrefStream(doc);
+      if (Number.isInteger(n) && n > 0) {
+        const buffer = yield* readAll(doc);
+        return guardedCount(
+          doc,
+          buffer,
+          n,
+          "xref-stream-count",
+          warnings,
+          result
+        );
+      }
+      fail("xref-stream-count", "Count not found or invalid");
+    } catch (e) {
+      fail("xref-stream-count", e);
+    }
+  }
+  // Without the key, the scans cannot see into encrypted streams either
+  if (locked) {
+    locked.errors = errors;
+    throw locked;
+  }
+  // 6) Fallback scans need the whole file
+  const buffer = yield* readAll(doc);
+  if (doc.encrypted === undefined) doc.encrypted = isEncrypted(buffer);
+  let count = scanMaxPagesCount(buffer);
+  if (count > 0) {
+    warnings.push("Count taken from the largest /Count found by scanning");
+    return result(count, "scan-pages-count", "low");
+  }
+  fail("scan-pages-count", "No /Count found");
+  count = scanMaxPagesCountFromObjectStreams(buffer, doc);
+  if (count > 0) {
+    warnings.push("Count taken from /Count found in a compressed stream");
+    return result(count, "scan-object-streams", "low");
+  }
+  fail("scan-object-streams", "No /Count found in compressed streams");
+  count = countPagesByPageObjects(buffer, doc);
+  if (count > 0) {
+    warnings.push("Count is the number of /Type /Page objects found");
+    return result(count, "scan-page-objects", "low");
+  }
+  fail("scan-page-objects", "No /Type /Page objects found");
+  throw yield* checkPdfHeader(doc, pageCountNotFoundError(buffer, errors));
+}
+
+/**
+ * Pick the most telling error class once every strategy has failed.
+ * @param {Uint8Array} buffer
+ * @param {{method: string, message: string, code: string|null}[]} errors
+ */
+function pageCountNotFoundError(buffer, errors) {
+  let err;
+  if (isEncrypted(buffer)) {
+    err = new PdfEncryptedError("PDF is encrypted; page count not found");
+  } else if (errors.some((e) => e.code === PdfTruncatedError.code)) {
+    err = new PdfTruncatedError("PDF is truncated; page count not found", {
+      offset: buffer.length,
+    });
+  } else {
+    err = new PdfParseError("PDF page count not found");
+  }
+  err.errors = errors;
+  return err;
+}
+
+/**
+ * The error to throw once reading has failed: `err`, or PdfNotAPdfError (with
+ * `err` as its cause) when there is no "%PDF-" header either. Readers accept
+ * the header anywhere in the first 1024 bytes, so we do too. Files that only
+ * lack the header still get every strategy first.
+ * @param {{size: number}} doc
+ * @param {Error} err
+ */
+function* checkPdfHeader(doc, err) {
+  if (err instanceof PdfEncryptedError || err instanceof PdfLimitError) {
+    return err;
+  }
+  const head = yield* readBytes(0, 1024 + 5);
+  if (indexOfBytes(head, "%PDF-") >= 0) return err;
+  const notPdf = new PdfNotAPdfError("%PDF- header not found", {
+    offset: 0,
+    cause: err,
+  });
+  if (err && err.errors) notPdf.errors = err.errors;
+  return notPdf;
+}
+
+/** Whether any trailer (classic or XRef stream) carries /Encrypt. */
+function isEncrypted(buffer) {
+  const s = latin1(buffer);
+  return /\/Encrypt\s*(?:\d+\s+\d+\s+R|<<)/.test(s);
+}
+
+/**
+ * Guard a trailer-derived /Count against the number of page objects present,
+ * since a stale root /Count tends to undercount.
+ */
+function guardedCount(doc, buffer, n, method, warnings, result) {
+  const approx = countPagesByPageObjects(buffer, doc);
+  if (approx > n) {
+    warnings.push(
+      `Root /Count ${n} is lower than the ${approx} page objects found; using ${approx}`
+    );
+    return result(approx, method, "low");
+  }
+  return result(n, method, "medium");
+}
+
+/**
+ * @param {Uint8Array} input
+ * @returns {Uint8Array}
+ */
+function toBytes(input) {
+  if (input instanceof Uint8Array) return input;
+  if (typeof input === "string") {
+    throw new TypeError(
+      "File paths are only supported by the Node entry point."
+    );
+  }
+  throw new TypeError(
+    "Unsupported input type. Expected Uint8Array, Blob, ReadableStream or byte source."
+  );
+}
+
+// -------- Byte sources and drivers --------
+//
+// The accurate path is written as generator functions that yield read
+// requests ({ offset, length }) and get the bytes back. The drivers below
+// answer them from bytes in memory, a Blob or a byte source (the Node entry
+// point adds files), so one parser serves every input kind without loading
+// whole files.
+
+const BLOCK_SIZE = 64 * 1024;
+const MAX_CACHED_BLOCKS = 64; // 4MB per open file
+const MAX_CACHED_OBJSTMS = 32; // decoded object streams per document
+const DEFAULT_MAX_NODES = 1000000; // page tree nodes
+const MODES = ["strict", "fast", "lenient"];
+
+/** Ask the driver for `length` bytes at `offset` (fewer near EOF). */
+function* readBytes(offset, length) {
+  return yield { offset, length };
+}
+
+/** Ask the driver for the whole file; only the fallback scans need this. */
+function* readAll(doc) {
+  return yield* readBytes(0, doc.size);
+}
+
+const LIMIT_OPTIONS = [
+  "maxFileSize",
+  "maxInflatedBytes",
+  "maxObjects",
+  "maxDepth",
+  "maxNodes",
+  "timeoutMs",
+];
+
+/** Throw TypeError for a limit that is not a number of zero or more. */
+function checkLimitOptions(options) {
+  for (const name of LIMIT_OPTIONS) {
+    const value = options[name];
+    if (value == null) continue;
+    if (typeof value !== "number" || !(value >= 0)) {
+      throw new TypeError(
+        `${name} must be a non-negative number, got ${String(value)}`
+      );
+    }
+  }
+}
+
+/** Per-document state shared by the generators of one run. */
+function createDoc(size, options = {}) {
+  checkLimitOptions(options);
+  if (options.maxFileSize != null && size > options.maxFileSize) {
+    throw new PdfLimitError(
+      `File is ${size} bytes, more than maxFileSize ${options.maxFileSize}`,
+      { limit: "maxFileSize" }
+    );
+  }
+  if (options.mode && !MODES.includes(options.mode)) {
+    throw new TypeError(
+      `Unknown mode "${options.mode}"; expected one of ${MODES.join(", ")}`
+    );
+  }
+  const doc = {
+    size,
+    objStms: new Map(),
+    password: options.password,
+    mode: options.mode || "lenient",
+    maxDepth: options.maxDepth ?? Infinity,
+    maxNodes: options.maxNodes ?? DEFAULT_MAX_NODES,
+    maxInflatedBytes: options.maxInflatedBytes ?? Infinity,
+    maxObjects: options.maxObjects ?? Infinity,
+    timeoutMs: options.timeoutMs ?? null,
+    deadline:
+      options.timeoutMs != null ? Date.now() + options.timeoutMs : Infinity,
+    signal: options.signal || null,
+  };
+  checkBudget(doc);
+  return doc;
+}
+
+/**
+ * Throw if the caller aborted or the time is up. The drivers check before
+ * every read; long CPU-bound loops call checkDeadline themselves.
+ */
+function checkBudget(doc) {
+  if (doc.signal && doc.signal.aborted) throw abortReason(doc.signal);
+  checkDeadline(doc);
+}
+
+function checkDeadline(doc) {
+  if (Date.now() > doc.deadline) {
+    throw new PdfLimitError(`Timed out after ${doc.timeoutMs} ms`, {
+      limit: "timeoutMs",
+    });
+  }
+}
+
+function abortReason(signal) {
+  if (signal.reason !== undefined) return signal.reason;
+  // Node 16 signals carry no reason
+  const err = new Error("The operation was aborted");
+  err.name = "AbortError";
+  err.code = "ABORT_ERR";
+  return err;
+}
+
+/** Throw PdfLimitError if the object table grew past doc.maxObjects. */
+function checkObjectCount(doc, count) {
+  if (count > doc.maxObjects) {
+    throw new PdfLimitError(
+      `More than maxObjects ${doc.maxObjects} objects in the object table`,
+      { limit: "maxObjects" }
+    );
+  }
+}
+
+function runSync(task, source, options) {
+  const doc = createDoc(source.size, options);
+  const gen = task(doc);
+  let step = gen.next();
+  while (!step.done) {
+    checkBudget(doc);
+    let chunk;
+    try {
+      chunk = source.read(step.value.offset, step.value.length);
+    } catch (e) {
+      step = gen.throw(e);
+      continue;
+    }
+    step = gen.next(chunk);
+  }
+  return step.value;
+}
+
+async function runAsync(task, source, options) {
+  const doc = createDoc(source.size, options);
+  const gen = task(doc);
+  let step = gen.next();
+  while (!step.done) {
+    checkBudget(doc);
+    let chunk;
+    try {
+      chunk = await source.read(step.value.offset, step.value.length);
+    } catch (e) {
+      step = gen.throw(e);
+      continue;
+    }
+    checkBudget(doc);
+    step = gen.next(chunk);
+  }
+  return step.value;
+}
+
+/**
+ * Run `task` against bytes in memory or a byte source that answers
+ * synchronously.
+ * @param {Uint8Array|ByteSource} input
+ * @param {(doc: object) => Generator} task
+ * @param {PdfOptions} [options]
+ */
+function runOnInputSync(input, task, options) {
+  if (isByteSource(input)) {
+    return runSync(task, byteSourceSync(input), options);
+  }
+  if (isBlob(input) || isStream(input)) {
+    throw new TypeError(
+      "Blobs and streams are only supported by the async API."
+    );
+  }
+  return runSync(task, bufferSource(toBytes(input)), options);
+}
+
+async function runOnInput(input, task, options) {
+  if (isByteSource(input)) {
+    return runAsync(task, await byteSource(input), options);
+  }
+  if (isBlob(input)) {
+    return runAsync(task, blobSource(input), options);
+  }
+  if (isStream(input)) {
+    const bytes = await readStream(input, options || {});
+    return runSync(task, bufferSource(bytes), options);
+  }
+  return runSync(task, bufferSource(toBytes(input)), options);
+}
+
+/**
+ * A caller-provided random-access source: { size(), read(offset, length) },
+ * both possibly async. Used for local files, remote storage (HTTP range
+ * requests), archive members and the like.
+ */
+function isByteSource(input) {
+  return (
+    input != null &&
+    typeof input === "object" &&
+    !(input instanceof Uint8Array) &&
+    typeof input.size === "function" &&
+    typeof input.read === "function"
+  );
+}
+
+/** A Blob or File (checked by shape, as Node 16 has no global Blob). */
+function isBlob(input) {
+  return (
+    input != null &&
+    typeof input === "object" &&
+    typeof input.size === "number" &&
+    typeof input.slice === "function" &&
+    typeof input.arrayBuffer === "function"
+  );
+}
+
+/** A web ReadableStream or any async iterable of byte chunks. */
+function isStream(input) {
+  return (
+    input != null &&
+    typeof input === "object" &&
+    !(input instanceof Uint8Array) &&
+    (typeof input.getReader === "function" ||
+      typeof input[Symbol.asyncIterator] === "function")
+  );
+}
+
+function isPromise(value) {
+  return value != null && typeof value.then === "function";
+}
+
+function bufferSource(buffer) {
+  return {
+    size: buffer.length,
+    read: (offset, length) =>
+      buffer.subarray(offset, Math.min(buffer.length, offset + length)),
+  };
+}
+
+function byteSourceSync(source) {
+  const size = source.size();
+  if (isPromise(size)) {
+    throw new TypeError(
+      "Byte sources that return promises are only supported by the async API."
+    );
+  }
+  checkSourceSize(size);
+  return cachedSourceSync(size, (offset, length) => {
+    const data = source.read(offset, length);
+    if (isPromise(data)) {
+      throw new TypeError(
+        "Byte sources that return promises are only supported by the async API."
+      );
+    }
+    return checkSourceData(data, length);
+  });
+}
+
+async function byteSource(source) {
+  const size = await source.size();
+  checkSourceSize(size);
+  return cachedSource(size, async (offset, length) =>
+    checkSourceData(await source.read(offset, length), length)
+  );
+}
+
+function checkSourceSize(size) {
+  if (!Number.isSafeInteger(size) || size < 0) {
+    throw new TypeError("Byte source size() must resolve to a byte length.");
+  }
+}
+
+function checkSourceData(data, length) {
+  if (!(data instanceof Uint8Array)) {
+    throw new TypeError("Byte source read() must resolve to a Uint8Array.");
+  }
+  return data.subarray(0, length);
+}
+
+function blobSource(blob) {
+  return cachedSource(blob.size, async (offset, length) => {
+    const data = await blob.slice(offset, offset + length).arrayBuffer();
+    return new Uint8Array(data);
+  });
+}
+
+/**
+ * Collect a stream into one Uint8Array, stopping early at maxFileSize or when
+ * the signal aborts.
+ */
+async function readStream(stream, options) {
+  checkLimitOptions(options);
+  const chunks = [];
+  let size = 0;
+  const reader =
+    typeof stream.getReader === "function" ? stream.getReader() : null;
+  const iterator = reader ? null : stream[Symbol.asyncIterator]();
+  try {
+    for (;;) {
+      if (options.signal && options.signal.aborted) {
+        throw abortReason(options.signal);
+      }
+      const { value, done } = reader
+        ? await reader.read()
+        : await iterator.next();
+      if (done) break;
+      const chunk = toBytes(value);
+      size += chunk.length;
+      if (options.maxFileSize != null && size > options.maxFileSize) {
+        throw new PdfLimitError(
+          `Stream has more than maxFileSize ${options.maxFileSize} bytes`,
+          { limit: "maxFileSize" }
+        );
+      }
+      chunks.push(chunk);
+    }
+  } finally {
+    if (reader) reader.releaseLock();
+  }
+  return concatBytes(chunks);
+}
+
+/** Put a block cache in front of a synchronous `readRange(offset, length)`. */
+function cachedSourceSync(size, readRange) {
+  const cache = createBlockCache(size);
+  return {
+    size,
+    read(offset, length) {
+      const len = Math.max(0, Math.min(length, size - offset));
+      if (!cache.fits(len)) return readRange(offset, len);
+      for (const index of cache.missing(offset, len)) {
+        cache.put(
+          index,
+          readRange(index * BLOCK_SIZE, cache.blockLength(index))
+        );
+      }
+      return cache.get(offset, len);
+    },
+  };
+}
+
+/** Put a block cache in front of an async `readRange(offset, length)`. */
+function cachedSource(size, readRange) {
+  const cache = createBlockCache(size);
+  return {
+    size,
+    async read(offset, length) {
+      const len = Math.max(0, Math.min(length, size - offset));
+      if (!cache.fits(len)) return readRange(offset, len);
+      for (const index of cache.missing(offset, len)) {
+        cache.put(
+          index,
+          await readRange(index * BLOCK_SIZE, cache.blockLength(index))
+        );
+      }
+      return cache.get(offset, len);
+    },
+  };
+}
+
+/**
+ * LRU cache of BLOCK_SIZE blocks in front of positioned reads. Reads too big
+ * to fit go straight to the file.
+ */
+function createBlockCache(size) {
+  const blocks = new Map(); // block index -> bytes, oldest first
+  return {
+    blockLength(index) {
+      return Math.min(BLOCK_SIZE, size - index * BLOCK_SIZE);
+    },
+    fits(length) {
+      return length <= (BLOCK_SIZE * MAX_CACHED_BLOCKS) / 2;
+    },
+    missing(offset, length) {
+      const out = [];
+      const last = Math.floor((Math.max(offset + length, 1) - 1) / BLOCK_SIZE);
+      for (let i = Math.floor(offset / BLOCK_SIZE); i <= last; i += 1) {
+        if (i * BLOCK_SIZE >= size) break;
+        if (blocks.has(i)) {
+          // refresh LRU position
+          const b = blocks.get(i);
+          blocks.delete(i);
+          blocks.set(i, b);
+        } else out.push(i);
+      }
+      return out;
+    },
+    put(index, data) {
+      blocks.set(index, data);
+      if (blocks.size > MAX_CACHED_BLOCKS) {
+        blocks.delete(blocks.keys().next().value);
+      }
+    },
+    get(offset, length) {
+      const parts = [];
+      let pos = offset;
+      const end = offset + length;
+      while (pos < end) {
+        const index = Math.floor(pos / BLOCK_SIZE);
+        const block = blocks.get(index);
+        if (!block) break;
+        const start = pos - index * BLOCK_SIZE;
+        const take = Math.min(block.length - start, end - pos);
+        if (take <= 0) break;
+        parts.push(block.subarray(start, start + take));
+        pos += take;
+      }
+      return parts.length === 1 ? parts[0] : concatBytes(parts);
+    },
+  };
+}
+
+/**
+ * Run a byte-based parser over a window of the file starting at `offset`.
+ * Parsers throw PdfTruncatedError when they run off the end of what they were
+ * given; the window then doubles until the parse succeeds or EOF is reached.
+ * Offsets in errors are rebased onto the file.
+ * @param {{size: number}} doc
+ * @param {number} offset
+ * @param {(chunk: Uint8Array) => any} parse
+ */
+function* parseWindow(doc, offset, parse, initialLength = 4096) {
+  if (!Number.isFinite(offset) || offset < 0 || offset >= doc.size) {
+    throw new PdfParseError("Offset outside of file", { offset });
+  }
+  let length = initialLength;
+  for (;;) {
+    const chunk = yield* readBytes(offset, length);
+    try {
+      return parse(chunk);
+    } catch (e) {
+      const atEof = offset + chunk.length >= doc.size;
+      if (e instanceof PdfTruncatedError && !atEof) {
+        length *= 2;
+        continue;
+      }
+      throw rebaseError(e, offset);
+    }
+  }
+}
+
+function rebaseError(err, base) {
+  if (err instanceof PdfParseError && err.offset != null) err.offset += base;
+  return err;
+}
+
+/** Throw PdfTruncatedError unless `length` bytes are available at `pos`. */
+function ensureAvailable(buffer, pos, length) {
+  if (pos + length > buffer.length) {
+    throw new PdfTruncatedError("Unexpected end of data", { offset: pos });
+  }
+}
+
+/**
+ * Attempt to parse via classic xref table and trailer.
+ * Returns integer page count or throws on failure.
+ * @param {{size: number}} doc
+ * @returns {Generator<any, number>}
+ */
+function* parsePageCountViaClassicXref(doc) {
+  const xrefOffset = yield* findStartXrefOffset(doc);
+  const { objectOffsets, trailerDict } = yield* parseWindow(
+    doc,
+    xrefOffset,
+    parseClassicXrefSection
+  );
+  checkObjectCount(doc, objectOffsets.size);
+  useTrailer(doc, trailerDict);
+
+  const rootRef = parseIndirectRefFromDict(trailerDict, "Root");
+  if (!rootRef) throw new PdfParseError("Root not found in trailer");
+
+  // Load Root object (Catalog) using xref table
+  const rootEntry = objectOffsets.get(rootRef.obj);
+  if (!rootEntry) throw new PdfParseError("Root offset not found in xref");
+  const rootObj = yield* loadIndirectObject(doc, rootEntry.offset);
+  const pagesRef = parseIndirectRefFromDict(rootObj.dictString, "Pages");
+  if (!pagesRef) throw new PdfParseError("Pages ref not found in Catalog");
+
+  // Load Pages root object
+  const pagesEntry = objectOffsets.get(pagesRef.obj);
+  if (!pagesEntry) throw new PdfParseError("Pages offset not found in xref");
+  const pagesObj = yield* loadIndirectObject(doc, pagesEntry.offset);
+
+  // Verify it's /Type /Pages and read /Count
+  if (!hasType(pagesObj.dictString, "Pages")) {
+    throw new PdfParseError("Target object is not /Type /Pages");
+  }
+  const count = parseIntFromDict(pagesObj.dictString, "Count");
+  if (!Number.isInteger(count) || count <= 0)
+    throw new PdfParseError("Count not found or invalid");
+  return count;
+}
+
+/**
+ * Parse one classic xref section ('xref', subsections, 'trailer' dict) that
+ * starts at the beginning of `buffer`.
+ * @param {Uint8Array} buffer
+ * @returns {{objectOffsets: Map<number, {offset: number, gen: number}>, trailerDict: string}}
+ */
+function parseClassicXrefSection(buffer) {
+  const xrefToken = readAscii(buffer, 0, 4);
+  if (xrefToken !== "xref") {
+    // Not a classic xref table; likely an xref stream PDF
+    throw new PdfParseError("Not a classic xref table", { offset: 0 });
+  }
+
+  // Parse xref subsections
+  let pos = skipWhitespace(buffer, 4);
+  const objectOffsets = new Map(); // objNum -> offset
+
+  while (pos < buffer.length) {
+    // Stop at 'trailer'
+    ensureAvailable(buffer, pos, "trailer".length);
+    if (peekKeyword(buffer, pos, "trailer")) break;
+    // Each subsection header: start count
+    const header = readLineAscii(buffer, pos);
+    if (!header) break;
+    const parts = header.trim().split(/\s+/);
+    if (parts.length < 2) break;
+    const firstObj = parseInt(parts[0], 10);
+    const count = parseInt(parts[1], 10);
+    if (!Number.isInteger(firstObj) || !Number.isInteger(count) || count < 0) {
+      throw new PdfParseError("Invalid xref subsection header", {
+        offset: pos,
+      });
+    }
+    pos = advanceToNextLine(buffer, pos);
+    // Then count lines of entries: 10-digit offset, 5-digit gen, flag
+    for (let i = 0; i < count; i += 1) {
+      const line = readLineAscii(buffer, pos);
+      if (!line)
+        throw new PdfTruncatedError("Unexpected EOF in xref entries", {
+          offset: pos,
+        });
+      const m = line.match(/^(\d{10})\s+(\d{5})\s+([nf])/);
+      if (m) {
+        const offset = parseInt(m[1], 10);
+        const gen = parseInt(m[2], 10);
+        const flag = m[3];
+        const objNum = firstObj + i;
+        if (flag === "n" && Number.isFinite(offset)) {
+          objectOffsets.set(objNum, { offset, gen });
+        }
+      }
+      pos = advanceToNextLine(buffer, pos);
+    }
+    pos = skipWhitespace(buffer, pos);
+  }
+
+  // Expect 'trailer' then a dictionary starting with '<<'
+  ensureAvailable(buffer, pos, "trailer".length);
+  if (!peekKeyword(buffer, pos, "trailer"))
+    throw new PdfParseError("trailer not found", { offset: pos });
+  pos += "trailer".length;
+  pos = skipWhitespace(buffer, pos);
+  ensureAvailable(buffer, pos, 2);
+  if (buffer[pos] !== 0x3c || buffer[pos + 1] !== 0x3c)
+    throw new PdfParseError("trailer dict not found", { offset: pos });
+  const { dictString } = readDictString(buffer, pos);
+  return { objectOffsets, trailerDict: dictString };
+}
+
+/**
+ * Locate 'startxref' in the tail of the file and return the xref offset it
+ * names. The tail window grows up to 2MB.
+ * @param {{size: number}} doc
+ * @returns {Generator<any, number>}
+ */
+function* findStartXrefOffset(doc) {
+  let length = 1024;
+  for (;;) {
+    const start = Math.max(0, doc.size - length);
+    const tail = yield* readBytes(start, doc.size - start);
+    const startXrefPos = findStartXref(tail);
+    if (startXrefPos >= 0) {
+      let xrefOffset;
+      try {
+        xrefOffset = parseStartXrefOffset(tail, startXrefPos);
+      } catch (e) {
+        throw rebaseError(e, start);
+      }
+      if (
+        !Number.isFinite(xrefOffset) ||
+        xrefOffset <= 0 ||
+        xrefOffset >= doc.size
+      ) {
+        throw new PdfParseError("Invalid xref offset", { offset: xrefOffset });
+      }
+      return xrefOffset;
+    }
+    if (start === 0 || length >= 2 * 1024 * 1024) break;
+    length *= 4;
+  }
+  throw new PdfTruncatedError("startxref not found", { offset: doc.size });
+}
+
+/**
+ * Find 'startxref' near the end of the file and return its position.
+ * @param {Uint8Array} buffer
+ * @returns {number}
+ */
+function findStartXref(buffer) {
+  return lastIndexOfBytes(buffer, "startxref");
+}
+
+/**
+ * Parse the numeric offset following startxref
+ * @param {Uint8Array} buffer
+ * @param {number} startXrefPos - position of 's' in 'startxref'
+ */
+function parseStartXrefOffset(buffer, startXrefPos) {
+  let pos = startXrefPos + "startxref".length;
+  pos = skipWhitespace(buffer, pos);
+  const num = readNumberAscii(buffer, pos);
+  if (num.value == null)
+    throw new PdfParseError("startxref offset not found", { offset: pos });
+  return num.value;
+}
+
+/** Skips ASCII whitespace and returns new position */
+function skipWhitespace(buffer, pos) {
+  while (pos < buffer.length) {
+    const c = buffer[pos];
+    if (
+      c === 0x00 ||
+      c === 0x09 ||
+      c === 0x0a ||
+      c === 0x0c ||
+      c === 0x0d ||
+      c === 0x20
+    ) {
+      pos += 1;
+      continue;
+    }
+    break;
+  }
+  return pos;
+}
+
+function readAscii(buffer, pos, len) {
+  return latin1(buffer, pos, pos + len);
+}
+
+/** Read up to the next EOL; a line cut off by the end of `buffer` is truncated. */
+function readLineAscii(buffer, pos) {
+  if (pos >= buffer.length) return "";
+  let end = pos;
+  while (end < buffer.length) {
+    const c = buffer[end];
+    if (c === 0x0a || c === 0x0d) break;
+    end += 1;
+  }
+  if (end === buffer.length)
+    throw new PdfTruncatedError("Unexpected end of line", { offset: pos });
+  return latin1(buffer, pos, end);
+}
+
+function advanceToNextLine(buffer, pos) {
+  let p = pos;
+  while (p < buffer.length) {
+    const c = buffer[p++];
+    if (c === 0x0a) break; // LF
+    if (c === 0x0d) {
+      if (buffer[p] === 0x0a) p += 1; // CRLF
+      break;
+    }
+  }
+  return p;
+}
+
+function peekKeyword(buffer, pos, kw) {
+  const s = latin1(buffer, pos, pos + kw.length);
+  return s === kw;
+}
+
+function readNumberAscii(buffer, pos) {
+  let p = pos;
+  // optional sign
+  if (buffer[p] === 0x2b || buffer[p] === 0x2d) p += 1;
+  let start = p;
+  while (p < buffer.length && buffer[p] >= 0x30 && buffer[p] <= 0x39) p += 1;
+  if (p === start) return { value: null, end: pos };
+  const str = latin1(buffer, pos, p);
+  const value = parseInt(str, 10);
+  return { value, end: p };
+}
+
+/**
+ * Read a PDF dictionary string starting at '<<'
+ * @returns {{dictString: string, endPos: number}}
+ */
+function readDictString(buffer, pos) {
+  if (!(buffer[pos] === 0x3c && buffer[pos + 1] === 0x3c))
+    throw new PdfParseError("Expected <<", { offset: pos });
+  let depth = 0;
+  let p = pos;
+  while (p < buffer.length) {
+    if (buffer[p] === 0x28) {
+      // Literal strings may hold any bytes, including << and >>
+      p = skipLiteralString(buffer, p);
+      continue;
+    }
+    if (buffer[p] === 0x25) {
+      p = skipComment(buffer, p);
+      continue;
+    }
+    if (buffer[p] === 0x3c && buffer[p + 1] === 0x3c) {
+      depth += 1;
+      p += 2;
+      continue;
+    }
+    if (buffer[p] === 0x3e && buffer[p + 1] === 0x3e) {
+      depth -= 1;
+      p += 2;
+      if (depth === 0) break;
+      continue;
+    }
+    p += 1;
+  }
+  if (depth !== 0)
+    throw new PdfTruncatedError("Unterminated dictionary", { offset: pos });
+  const dictString = latin1(buffer, pos, p);
+  return { dictString, endPos: p };
+}
+
+/** Position of the end-of-line marker that ends the comment at `pos` ('%'). */
+function skipComment(buffer, pos) {
+  let p = pos;
+  while (p < buffer.length && buffer[p] !== 0x0a && buffer[p] !== 0x0d) p += 1;
+  return p;
+}
+
+/** Position just past the literal string starting at `pos` ('('). */
+function skipLiteralString(buffer, pos) {
+  let depth = 0;
+  let p = pos;
+  while (p < buffer.length) {
+    const c = buffer[p++];
+    if (c === 0x5c) p += 1; // escaped byte
+    else if (c === 0x28) depth += 1;
+    else if (c === 0x29 && --depth === 0) return p;
+  }
+  throw new PdfTruncatedError("Unterminated string", { offset: pos });
+}
+
+// -------- Bytes --------
+//
+// The core works on plain Uint8Arrays so it runs where Buffer does not exist.
+
+/** Decode bytes [start, end) one char per byte, like Buffer's "latin1". */
+function latin1(bytes, start = 0, end = bytes.length) {
+  start = Math.max(0, Math.min(start, bytes.length));
+  end = Math.max(start, Math.min(end, bytes.length));
+  let s = "";
+  // fromCharCode takes its arguments on the stack, so go in chunks
+  for (let i = start; i < end; i += 8192) {
+    s += String.fromCharCode.apply(
+      null,
+      bytes.subarray(i, Math.min(end, i + 8192))
+    );
+  }
+  return s;
+}
+
+function latin1Bytes(s) {
+  const out = new Uint8Array(s.length);
+  for (let i = 0; i < s.length; i += 1) out[i] = s.charCodeAt(i) & 255;
+  return out;
+}
+
+function hexBytes(hex) {
+  const out = new Uint8Array(hex.length >> 1);
+  for (let i = 0; i < out.length; i += 1) {
+    out[i] = parseInt(hex.substr(i * 2, 2), 16);
+  }
+  return out;
+}
+
+function concatBytes(parts) {
+  let size = 0;
+  for (const part of parts) size += part.length;
+  const out = new Uint8Array(size);
+  let pos = 0;
+  for (const part of parts) {
+    out.set(part, pos);
+    pos += part.length;
+  }
+  return out;
+}
+
+function bytesEqual(a, b) {
+  if (a.length !== b.length) return false;
+  for (let i = 0; i < a.length; i += 1) if (a[i] !== b[i]) return false;
+  return true;
+}
+
+/** Position of the ASCII string `needle` in `bytes` at or after `from`, or -1. */
+function indexOfBytes(bytes, needle, from = 0) {
+  const first = needle.charCodeAt(0);
+  const last = bytes.length - needle.length;
+  for (let i = Math.max(0, from); i <= last; i += 1) {
+    if (bytes[i] !== first) continue;
+    let k = 1;
+    while (k < needle.length && bytes[i + k] === needle.charCodeAt(k)) k += 1;
+    if (k === needle.length) return i;
+  }
+  return -1;
+}
+
+/** Position of the last occurrence of the ASCII string `needle`, or -1. */
+function lastIndexOfBytes(bytes, needle) {
+  const first = needle.charCodeAt(0);
+  for (let i = bytes.length - needle.length; i >= 0; i -= 1) {
+    if (bytes[i] !== first) continue;
+    let k = 1;
+    while (k < needle.length && bytes[i + k] === needle.charCodeAt(k)) k += 1;
+    if (k === needle.length) return i;
+  }
+  return -1;
+}
+
+// -------- Object parser --------
+//
+// Parsed values: null, booleans, numbers and arrays map to themselves and
+// dictionaries to Maps keyed by name. Names, strings and indirect references
+// are tagged: {type: "name", name}, {type: "string", value, hex} and
+// {type: "ref", obj, gen}.
+
+const PDF_WHITESPACE = "\0\t\n\f\r ";
+const PDF_DELIMITERS = "()<>[]{}/%";
+const MAX_NESTING = 256;
+const MAX_PARSED_DICTS = 256;
+const parsedDicts = new Map();
+
+function isRegularChar(c) {
+  return !PDF_WHITESPACE.includes(c) && !PDF_DELIMITERS.includes(c);
+}
+
+/** Skip whitespace and comments. */
+function skipSpaceAndComments(s, pos) {
+  while (pos < s.length) {
+    const c = s[pos];
+    if (c === "%") {
+      while (pos < s.length && s[pos] !== "\n" && s[pos] !== "\r") pos += 1;
+    } else if (PDF_WHITESPACE.includes(c)) pos += 1;
+    else break;
+  }
+  return pos;
+}
+
+/**
+ * Read the next token at `lexer.pos` and advance past it.
+ * @param {{s: string, pos: number}} lexer
+ */
+function nextToken(lexer) {
+  const { s } = lexer;
+  const start = skipSpaceAndComments(s, lexer.pos);
+  const c = s[start];
+  if (start >= s.length) {
+    lexer.pos = start;
+    return { type: "eof", offset: start };
+  }
+  if (c === "[" || c === "]" || c === "{" || c === "}") {
+    lexer.pos = start + 1;
+    return { type: "delim", value: c, offset: start };
+  }
+  if ((c === "<" || c === ">") && s[start + 1] === c) {
+    lexer.pos = start + 2;
+    return { type: "delim", value: c + c, offset: start };
+  }
+  if (c === "(") {
+    const { value, end } = readLiteralString(s, start);
+    lexer.pos = end;
+    return { type: "string", value, hex: false, offset: start };
+  }
+  if (c === "<") {
+    const end = s.indexOf(">", start);
+    if (end < 0)
+      throw new PdfTruncatedError("Unterminated hex string", { offset: start });
+    let hex = s.slice(start + 1, end).replace(/[\0\t\n\f\r ]/g, "");
+    if (/[^0-9a-fA-F]/.test(hex))
+      throw new PdfParseError("Invalid hex string", { offset: start });
+    if (hex.length % 2) hex += "0";
+    lexer.pos = end + 1;
+    return {
+      type: "string",
+      value: hexBytes(hex),
+      hex: true,
+      offset: start,
+    };
+  }
+  if (c === ")" || c === ">") {
+    throw new PdfParseError(`Unexpected '${c}'`, { offset: start });
+  }
+  let end = c === "/" ? start + 1 : start;
+  while (end < s.length && isRegularChar(s[end])) end += 1;
+  lexer.pos = end;
+  const text = s.slice(start, end);
+  if (c === "/") {
+    // #xx stands for the byte xx
+    const name = text
+      .slice(1)
+      .replace(/#([0-9a-fA-F]{2})/g, (_, hex) =>
+        String.fromCharCode(parseInt(hex, 16))
+      );
+    return { type: "name", value: name, offset: start };
+  }
+  if (/^[+-]?(\d+\.?\d*|\.\d+)$/.test(text)) {
+    const integer = /^[+-]?\d+$/.test(text);
+    return { type: "number", value: parseFloat(text), integer, offset: start };
+  }
+  return { type: "keyword", value: text, offset: start };
+}
+
+/**
+ * Decode the literal string starting at `pos` ('('): escapes, balanced
+ * parentheses, and end-of-line markers normalized to \n.
+ * @returns {{value: Uint8Array, end: number}}
+ */
+function readLiteralString(s, pos) {
+  const out = [];
+  let depth = 1;
+  for (let p = pos + 1; p < s.length; p += 1) {
+    let c = s.charCodeAt(p);
+    if (c === 0x5c) {
+      p += 1;
+      const e = s[p];
+      if (e === "n") c = 0x0a;
+      else if (e === "r") c = 0x0d;
+      else if (e === "t") c = 0x09;
+      else if (e === "b") c = 0x08;
+      else if (e === "f") c = 0x0c;
+      else if (e === "\r" || e === "\n") {
+        if (e === "\r" && s[p + 1] === "\n") p += 1;
+        continue;
+      } else if (e >= "0" && e <= "7") {
+        let octal = e;
+        while (octal.length < 3 && s[p + 1] >= "0" && s[p + 1] <= "7")
+          octal += s[++p];
+        c = parseInt(octal, 8) & 255;
+      } else if (e === undefined) break;
+      else c = s.charCodeAt(p);
+    } else if (c === 0x0d) {
+      if (s[p + 1] === "\n") p += 1;
+      c = 0x0a;
+    } else if (c === 0x28) depth += 1;
+    else if (c === 0x29 && --depth === 0) {
+      return { value: Uint8Array.from(out), end: p + 1 };
+    }
+    out.push(c);
+  }
+  throw new PdfTruncatedError("Unterminated string", { offset: pos });
+}
+
+/**
+ * If the next two tokens are a generation number and `keyword` ("R" or
+ * "obj"), consume them and return the generation; otherwise leave the lexer
+ * where it was.
+ */
+function readRefTail(lexer, keyword) {
+  const pos = lexer.pos;
+  const gen = nextToken(lexer);
+  if (gen.type === "number" && gen.integer && gen.value >= 0) {
+    const kw = nextToken(lexer);
+    if (kw.type === "keyword" && kw.value === keyword) return gen.value;
+  }
+  lexer.pos = pos;
+  return null;
+}
+
+function parseValue(lexer, depth) {
+  return valueFromToken(lexer, nextToken(lexer), depth);
+}
+
+function valueFromToken(lexer, token, depth) {
+  if (depth > MAX_NESTING)
+    throw new PdfParseError("Objects nested too deeply", {
+      offset: token.offset,
+    });
+  switch (token.type) {
+    case "eof":
+      throw new PdfTruncatedError("Unexpected end of data", {
+        offset: token.offset,
+      });
+    case "number": {
+      if (token.integer && token.value >= 0) {
+        const gen = readRefTail(lexer, "R");
+        if (gen !== null) return { type: "ref", obj: token.value, gen };
+      }
+      return token.value;
+    }
+    case "name":
+      return { type: "name", name: token.value };
+    case "string":
+      return { type: "string", value: token.value, hex: token.hex };
+    case "keyword":
+      if (token.value === "true") return true;
+      if (token.value === "false") return false;
+      if (token.value === "null") return null;
+      break;
+    case "delim":
+      if (token.value === "[") {
+        const array = [];
+        for (;;) {
+          const next = nextToken(lexer);
+          if (next.type === "delim" && next.value === "]") return array;
+          array.push(valueFromToken(lexer, next, depth + 1));
+        }
+      }
+      if (token.value === "<<") {
+        const dict = new Map();
+        for (;;) {
+          const key = nextToken(lexer);
+          if (key.type === "delim" && key.value === ">>") return dict;
+          if (key.type === "eof")
+            throw new PdfTruncatedError("Unterminated dictionary", {
+              offset: token.offset,
+            });
+          if (key.type !== "name")
+            throw new PdfParseError("Expected a name as dictionary key", {
+              offset: key.offset,
+            });
+          const value = parseValue(lexer, depth + 1);
+          // The first of duplicate keys wins
+          if (!dict.has(key.value)) dict.set(key.value, value);
+        }
+      }
+      break;
+  }
+  throw new PdfParseError(`Unexpected token '${token.value}'`, {
+    offset: token.offset,
+  });
+}
+
+/**
+ * Parse a dictionary string (cached, since the same dictionary is usually
+ * queried for several keys). The returned Map must not be modified.
+ * @param {string} dictString
+ * @returns {Map<string, any>}
+ */
+function parseDict(dictString) {
+  let dict = parsedDicts.get(dictString);
+  if (dict) return dict;
+  dict = parsePdfObject(dictString);
+  if (!(dict instanceof Map)) throw new PdfParseError("Expected a dictionary");
+  parsedDicts.set(dictString, dict);
+  if (parsedDicts.size > MAX_PARSED_DICTS) {
+    parsedDicts.delete(parsedDicts.keys().next().value);
+  }
+  return dict;
+}
+
+/** The name stored under `key`, or null. */
+function dictName(dict, key) {
+  const value = dict.get(key);
+  return value && value.type === "name" ? value.name : null;
+}
+
+/** The indirect reference stored under `key` as {obj, gen}, or null. */
+function dictRef(dict, key) {
+  return refOf(dict.get(key));
+}
+
+/** The number stored under `key`, or null. */
+function dictNumber(dict, key) {
+  const value = dict.get(key);
+  return typeof value === "number" ? value : null;
+}
+
+/**
+ * Bytes of the string stored under `key` (literal or hex). For an array
+ * value such as /ID, the first element.
+ * @returns {Uint8Array|null}
+ */
+function dictBytes(dict, key) {
+  let value = dict.get(key);
+  if (Array.isArray(value)) value = value[0];
+  return value && value.type === "string" ? value.value : null;
+}
+
+function refOf(value) {
+  return value && value.type === "ref"
+    ? { obj: value.obj, gen: value.gen }
+    : null;
+}
+
+/** The indirect references in an array value, e.g. /Kids. */
+function refsIn(value) {
+  return Array.isArray(value) ? value.map(refOf).filter(Boolean) : [];
+}
+
+/** Whether the dictionary string has /Type `type`. */
+function hasType(dictString, type) {
+  return dictName(parseDict(dictString), "Type") === type;
+}
+
+/**
+ * Parse an indirect reference like '/Key 12 0 R' from a dictionary string.
+ */
+function parseIndirectRefFromDict(dictString, key) {
+  return dictRef(parseDict(dictString), key);
+}
+
+/** A non-negative integer entry of a dictionary string, or null. */
+function parseIntFromDict(dictString, key) {
+  const value = dictNumber(parseDict(dictString), key);
+  return value !== null && value >= 0 ? Math.trunc(value) : null;
+}
+
+function parseSignedIntFromDict(dictString, key) {
+  const value = dictNumber(parseDict(dictString), key);
+  return value !== null ? Math.trunc(value) : null;
+}
+
+/**
+ * Read an indirect object located at offset. Returns { header, dictString }
+ */
+function readIndirectObject(buffer, offset) {
+  let pos = offset;
+  // The object header: "objNum gen obj"
+  const headerLine = readLineAscii(buffer, pos).trim();
+  if (!/^\d+\s+\d+\s+obj\b/.test(headerLine))
+    throw new PdfParseError("Invalid object header", { offset });
+  pos = advanceToNextLine(buffer, pos);
+  // Expect dictionary starting with '<<'
+  pos = skipWhitespace(buffer, pos);
+  ensureAvailable(buffer, pos, 2);
+  if (!(buffer[pos] === 0x3c && buffer[pos + 1] === 0x3c))
+    throw new PdfParseError("Object dictionary not found", { offset: pos });
+  const { dictString } = readDictString(buffer, pos);
+  return { header: headerLine, dictString };
+}
+
+/** Read the indirect object at a file offset. */
+function* loadIndirectObject(doc, offset) {
+  return yield* parseWindow(doc, offset, (chunk) =>
+    readIndirectObject(chunk, 0)
+  );
+}
+
+/**
+ * Fallback scanner: find /Type /Pages objects and get max /Count
+ */
+function scanMaxPagesCount(buffer) {
+  // Convert to latin1 string to avoid UTF-8 decoding cost for binary parts
+  const s = latin1(buffer);
+  let maxCount = 0;
+  // Find all occurrences of '/Type /Pages'
+  const typePagesRe = /\/Type\s*\/Pages\b/g;
+  let m;
+  while ((m = typePagesRe.exec(s)) !== null) {
+    // Search forward a window for '/Count N'
+    const windowStart = Math.max(0, m.index - 1024);
+    const windowEnd = Math.min(s.length, m.index + 50000);
+    const window = s.slice(windowStart, windowEnd);
+    const cm = window.match(/\/Count\s+(\d+)/);
+    if (cm) {
+      const count = parseInt(cm[1], 10);
+      if (Number.isInteger(count) && count > maxCount) maxCount = count;
+    }
+  }
+  if (maxCount > 0) return maxCount;
+  // Last resort: look for '/Count N' anywhere and take max (may overcount in exotic PDFs)
+  const countRe = /\/Count\s+(\d+)/g;
+  while ((m = countRe.exec(s)) !== null) {
+    const count = parseInt(m[1], 10);
+    if (Number.isInteger(count) && count > maxCount) maxCount = count;
+  }
+  return maxCount || 0;
+}
+
+/**
+ * Decode streams that are likely to contain objects (e.g., /Type /ObjStm)
+ * and scan the decoded text for /Type /Pages and /Count patterns.
+ */
+function scanMaxPagesCountFromObjectStreams(buffer, doc) {
+  const s = latin1(buffer);
+  let pos = 0;
+  let globalMax = 0;
+
+  while (true) {
+    const streamIdx = s.indexOf("stream", pos);
+    if (streamIdx === -1) break;
+
+    // Heuristically capture the preceding dictionary
+    const dictOpen = s.lastIndexOf("<<", streamIdx);
+    const dictClose = s.lastIndexOf(">>", streamIdx);
+    let dictString = "";
+    if (dictOpen !== -1 && dictClose !== -1 && dictOpen < dictClose) {
+      dictString = s.slice(dictOpen, dictClose + 2);
+    }
+
+    checkDeadline(doc);
+    // Only attempt if its filters can be decoded
+    if (hasDecodableFilters(dictString)) {
+      let dataStart = streamIdx + "stream".length;
+      // Skip whitespace/EOL after 'stream'
+      while (
+        buffer[dataStart] === 0x20 ||
+        buffer[dataStart] === 0x0d ||
+        buffer[dataStart] === 0x0a
+      ) {
+        dataStart += 1;
+      }
+
+      const endStreamIdx = s.indexOf("endstream", dataStart);
+      if (endStreamIdx !== -1) {
+        const dataEnd = endStreamIdx;
+        const streamBuf = buffer.subarray(dataStart, dataEnd);
+        // Skip very large streams to keep it fast (~10MB cap)
+        if (streamBuf.length > 0 && streamBuf.length <= 10 * 1024 * 1024) {
+          try {
+            const decoded = decodeStream(
+              dictString,
+              streamBuf,
+              {},
+              doc.maxInflatedBytes
+            );
+            const text = latin1(decoded);
+            let localMax = 0;
+            const typePagesRe = /\/Type\s*\/Pages\b/g;
+            let mm;
+            while ((mm = typePagesRe.exec(text)) !== null) {
+              const winStart = Math.max(0, mm.index - 1024);
+              const winEnd = Math.min(text.length, mm.index + 50000);
+              const window = text.slice(winStart, winEnd);
+              const cm = window.match(/\/Count\s+(\d+)/);
+              if (cm) {
+                const c = parseInt(cm[1], 10);
+                if (Number.isInteger(c) && c > localMax) localMax = c;
+              }
+            }
+            if (localMax > globalMax) globalMax = localMax;
+            if (globalMax > 0) return globalMax;
+          } catch (e) {
+            // ignore decoding errors
+            if (e instanceof PdfLimitError) throw e;
+          }
+        }
+      }
+    }
+
+    pos = streamIdx + "stream".length;
+  }
+
+  return globalMax;
+}
+
+module.exports = {
+  countPdfPagesSync,
+  countPdfPages,
+  analyzePdfPagesSync,
+  analyzePdfPages,
+  listPdfPagesSync,
+  listPdfPages,
+  summarizePdfPageSizesSync,
+  summarizePdfPageSizes,
+  listPdfRevisionsSync,
+  listPdfRevisions,
+  readPdfMetadataSync,
+  readPdfMetadata,
+  readPdfPageLabelsSync,
+  readPdfPageLabels,
+  findPdfPageByLabel,
+  readPdfOutlineSync,
+  readPdfOutline,
+  detectBlankPagesSync,
+  detectBlankPages,
+  detectColorPagesSync,
+  detectColorPages,
+  parsePdfObject,
+  PdfParseError,
+  PdfEncryptedError,
+  PdfTruncatedError,
+  PdfNotAPdfError,
+  PdfCycleError,
+  PdfLimitError,
+};
+
+// Internal: shared with the Node entry point, not part of the public API
+module.exports.abortReason = abortReason;
+
+/**
+ * Count page objects by scanning for '/Type /Page' across plain and decoded streams.
+ * This is a heuristic and may over/undercount with exotic PDFs.
+ */
+function countPagesByPageObjects(buffer, doc) {
+  let total = 0;
+  // Plain text scan
+  const s = latin1(buffer);
+  const re = /\/Type\s*\/Page\b/g;
+  while (re.exec(s) !== null) total += 1;
+
+  // Scan decoded streams as well (same extraction as object stream scan)
+  const textHits = scanDecodedStreamsForPattern(
+    buffer,
+    /\/Type\s*\/Page\b/g,
+    doc
+  );
+  total += textHits;
+  return total;
+}
+
+function scanDecodedStreamsForPattern(buffer, regexGlobal, doc) {
+  const s = latin1(buffer);
+  let pos = 0;
+  let hits = 0;
+  while (true) {
+    const streamIdx = s.indexOf("stream", pos);
+    if (streamIdx === -1) break;
+    const dictOpen = s.lastIndexOf("<<", streamIdx);
+    const dictClose = s.lastIndexOf(">>", streamIdx);
+    let dictString = "";
+    if (dictOpen !== -1 && dictClose !== -1 && dictOpen < dictClose) {
+      dictString = s.slice(dictOpen, dictClose + 2);
+    }
+    checkDeadline(doc);
+    if (hasDecodableFilters(dictString)) {
+      let dataStart = streamIdx + "stream".length;
+      while (
+        buffer[dataStart] === 0x20 ||
+        buffer[dataStart] === 0x0d ||
+        buffer[dataStart] === 0x0a
+      ) {
+        dataStart += 1;
+      }
+      const endStreamIdx = s.indexOf("endstream", dataStart);
+      if (endStreamIdx !== -1) {
+        const dataEnd = endStreamIdx;
+        const blen = dataEnd - dataStart;
+        if (blen > 0 && blen <= 10 * 1024 * 1024) {
+          try {
+            const streamBuf = buffer.subarray(dataStart, dataEnd);
+            const text = latin1(
+              decodeStream(dictString, streamBuf, {}, doc.maxInflatedBytes)
+            );
+            const re = new RegExp(regexGlobal.source, "g");
+            let m;
+            while ((m = re.exec(text)) !== null) hits += 1;
+          } catch (e) {
+            if (e instanceof PdfLimitError) throw e;
+          }
+        }
+      }
+    }
+    pos = streamIdx + "stream".length;
+  }
+  return hits;
+}
+
+// -------- Linearized files --------
+
+/**
+ * Read /N from the linearization parameter dictionary, the first object of a
+ * linearized ("fast web view") file. /L must still match the file length;
+ * otherwise the file was updated after linearization and /N may be stale.
+ * @param {{size: number}} doc
+ * @returns {Generator<any, number>}
+ */
+function* countPagesViaLinearization(doc) {
+  const dict = yield* parseWindow(doc, 0, readLinearizationDict, 1024);
+  const length = parseIntFromDict(dict, "L");
+  if (length !== doc.size) {
+    throw new PdfParseError(
+      `Modified after linearization (/L ${length}, file is ${doc.size} bytes)`
+    );
+  }
+  const n = parseIntFromDict(dict, "N");
+  if (!Number.isInteger(n) || n <= 0)
+    throw new PdfParseError("/N not found in linearization dictionary");
+  return n;
+}
+
+/**
+ * The dictionary of the first indirect object, which must appear within the
+ * first 1024 bytes after the header and carry /Linearized.
+ * @param {Uint8Array} buffer
+ * @returns {string}
+ */
+function readLinearizationDict(buffer) {
+  const header = indexOfBytes(buffer, "%PDF-");
+  if (header < 0) throw new PdfParseError("Not a linearized file");
+  const head = latin1(buffer, header, header + 1024);
+  const m = head.match(/(\d+)\s+(\d+)\s+obj\b/);
+  if (!m) {
+    ensureAvailable(buffer, header, 1024);
+    throw new PdfParseError("Not a linearized file");
+  }
+  let pos = skipWhitespace(buffer, header + m.index + m[0].length);
+  ensureAvailable(buffer, pos, 2);
+  if (!(buffer[pos] === 0x3c && buffer[pos + 1] === 0x3c))
+    throw new PdfParseError("Not a linearized file", { offset: pos });
+  const { dictString } = readDictString(buffer, pos);
+  if (!parseDict(dictString).has("Linearized"))
+    throw new PdfParseError("Not a linearized file", { offset: pos });
+  return dictString;
+}
+
+// -------- Accurate traversal using classic xref table --------
+function* countPagesViaClassicTraversal(doc) {
+  const xrefOffset = yield* findStartXrefOffset(doc);
+  const { objectOffsets, objToObjStm, latestTrailerDict } =
+    yield* buildClassicXrefOffsetsFollowingPrevChain(doc, xrefOffset);
+  useTrailer(doc, latestTrailerDict);
+  const rootRef = parseIndirectRefFromDict(latestTrailerDict, "Root");
+  if (!rootRef) throw new PdfParseError("Root not found");
+  if (objToObjStm.size) {
+    // Hybrid file: some objects live in object streams
+    const xmap = { objToOffset: objectOffsets, objToObjStm };
+    return yield* traversePageTreeWithXrefStream(doc, xmap, rootRef);
+  }
+  return yield* traversePageTreeWithMap(doc, objectOffsets, rootRef);
+}
+
+// -------- Accurate traversal using xref stream --------
+function* countPagesViaXrefStreamTraversal(doc) {
+  const xrefOffset = yield* findStartXrefOffset(doc);
+  const xrefObj = yield* loadStreamObject(doc, xrefOffset);
+  if (!hasType(xrefObj.dictString, "XRef"))
+    throw new PdfParseError("Not XRef stream", { offset: xrefOffset });
+  useTrailer(doc, xrefObj.dictString);
+  const rootRef = parseIndirectRefFromDict(xrefObj.dictString, "Root");
+  if (!rootRef) throw new PdfParseError("Root not found in trailer");
+  const xmap = yield* buildXrefMapFromXrefStreamChain(doc, xrefObj);
+  return yield* traversePageTreeWithXrefStream(doc, xmap, rootRef);
+}
+
+function* traversePageTreeWithMap(doc, objOffsets, rootRef) {
+  const catalogEntry = objOffsets.get(rootRef.obj);
+  if (!catalogEntry) throw new PdfParseError("Catalog not found");
+  const catalog = yield* loadIndirectObject(doc, catalogEntry.offset);
+  const pagesRef = parseIndirectRefFromDict(catalog.dictString, "Pages");
+  if (!pagesRef) throw new PdfParseError("Pages not found");
+  return yield* walkPageTree(doc, objectsViaOffsets(doc, objOffsets), pagesRef);
+}
+
+function* traversePageTreeWithXrefStream(doc, xmap, rootRef) {
+  const catalogDict = yield* getObjectDictViaXrefMap(
+    doc,
+    xmap,
+    rootRef.obj,
+    rootRef.gen
+  );
+  const pagesRef = parseIndirectRefFromDict(catalogDict, "Pages");
+  if (!pagesRef) throw new PdfParseError("Pages not found");
+  return yield* walkPageTree(doc, objectsViaXrefMap(doc, xmap), pagesRef);
+}
+
+/** Object loaders over a classic offset map; missing objects are null. */
+function objectsViaOffsets(doc, objOffsets) {
+  return {
+    *dict(ref) {
+      const entry = objOffsets.get(ref.obj);
+      if (!entry) return null;
+      const obj = yield* loadIndirectObject(doc, entry.offset);
+      return obj.dictString;
+    },
+    content: (ref) =>
+      getArrayContentViaOffsets(doc, objOffsets, ref.obj, ref.gen),
+  };
+}
+
+/** Object loaders over an xref stream map ({ objToOffset, objToObjStm }). */
+function objectsViaXrefMap(doc, xmap) {
+  return {
+    dict: (ref) => getObjectDictViaXrefMap(doc, xmap, ref.obj, ref.gen),
+    content: (ref) => getObjectContentViaXrefMap(doc, xmap, ref.obj, ref.gen),
+  };
+}
+
+/**
+ * Walk the page tree below `pagesRef` in document order and return the page
+ * count. The walk keeps its own stack, so deep trees do not exhaust the call
+ * stack; a node reached twice throws PdfCycleError, and doc.maxDepth and
+ * doc.maxNodes bound the walk. A /Pages node whose kids yield no page counts
+ * as its /Count. With doc.mode "strict", missing or mistyped nodes and /Count
+ * values that disagree with the pages below throw instead.
+ * @param {{maxDepth: number, maxNodes: number, mode: string}} doc
+ * @param {{dict: Function, content: Function}} objects - Node dictionary
+ *   string (or null if missing) and object content for a reference
+ * @param {{obj: number, gen: number}} pagesRef
+ * @param {{inherit?: Function, onPage?: Function}} [visitor] - `inherit(dict,
+ *   inherited, ref)` derives a node's attributes from its parent's, `onPage(ref,
+ *   attrs)` sees every page
+ * @returns {Generator<any, number>}
+ */
+function* walkPageTree(doc, objects, pagesRef, visitor = {}) {
+  const visited = new Set();
+  const stack = [];
+  // In strict mode anything the lenient walk would gloss over is an error
+  const lenient = (message) => {
+    if (doc.mode === "strict") throw new PdfParseError(message);
+  };
+  // A page or dead end returns its count; a /Pages node with kids pushes a
+  // frame that is summed up once its kids are done
+  function* enter(ref, inherited) {
+    const name = `${ref.obj} ${ref.gen} R`;
+    if (visited.has(ref.obj)) {
+      throw new PdfCycleError(`Page tree reaches object ${name} twice`);
+    }
+    visited.add(ref.obj);
+    if (visited.size > doc.maxNodes) {
+      throw new PdfLimitError(`Page tree has more than ${doc.maxNodes} nodes`, {
+        limit: "maxNodes",
+      });
+    }
+    const dictString = yield* objects.dict(ref);
+    if (dictString === null) {
+      if (!stack.length) throw new PdfParseError("Node not found");
+      lenient(`Page tree node ${name} not found`);
+      return 0;
+    }
+    const dict = parseDict(dictString);
+    const type = dictName(dict, "Type");
+    if (type !== "Page" && type !== "Pages") {
+      lenient(`Page tree node ${name} is neither /Page nor /Pages`);
+      return 0;
+    }
+    const attrs = visitor.inherit
+      ? yield* visitor.inherit(dict, inherited, ref)
+      : null;
+    if (type === "Page") {
+      if (visitor.onPage) visitor.onPage(ref, attrs);
+      return 1;
+    }
+    const cnt = dictNumber(dict, "Count");
+    const fallback = Number.isInteger(cnt) && cnt > 0 ? cnt : 0;
+    const kidsRef = dictRef(dict, "Kids");
+    const kidsValue = kidsRef
+      ? parsePdfObject(yield* objects.content(kidsRef))
+      : dict.get("Kids");
+    const kids = refsIn(kidsValue);
+    if (!Array.isArray(kidsValue) || kids.length !== kidsValue.length) {
+      lenient(`/Kids of ${name} is not an array of references`);
+    }
+    if (!kids.length) {
+      if (fallback) lenient(`/Pages node ${name} has /Count but no /Kids`);
+      return fallback;
+    }
+    if (stack.length >= doc.maxDepth) {
+      throw new PdfLimitError(`Page tree deeper than ${doc.maxDepth} levels`, {
+        limit: "maxDepth",
+      });
+    }
+    stack.push({ name, kids, next: 0, sum: 0, count: cnt, fallback, attrs });
+    return null;
+  }
+
+  const rootCount = yield* enter(pagesRef, {});
+  if (rootCount !== null) return rootCount;
+  for (;;) {
+    const frame = stack[stack.length - 1];
+    if (frame.next < frame.kids.length) {
+      const n = yield* enter(frame.kids[frame.next++], frame.attrs);
+      if (n !== null) frame.sum += n;
+      continue;
+    }
+    stack.pop();
+    if (frame.count !== frame.sum) {
+      lenient(
+        `/Count ${frame.count} of ${frame.name} does not match its ${frame.sum} pages`
+      );
+    }
+    const n = frame.sum || frame.fallback;
+    if (!stack.length) return n;
+    stack[stack.length - 1].sum += n;
+  }
+}
+
+// -------- Recovery for broken xref --------
+
+/**
+ * Traverse the page tree on an object table rebuilt by scanning the file,
+ * for when startxref or the xref sections are unusable.
+ * @param {{size: number}} doc
+ * @returns {Generator<any, number>}
+ */
+function* countPagesViaRecovery(doc) {
+  const { xmap, trailerDict } = yield* recoverXrefMap(doc);
+  const rootRef = parseIndirectRefFromDict(trailerDict, "Root");
+  if (!rootRef) throw new PdfParseError("Root not found");
+  return yield* traversePageTreeWithXrefStream(doc, xmap, rootRef);
+}
+
+/**
+ * Rebuild an object map in the xref stream shape from every "N G obj"
+ * header in the file plus the members of the object streams found. Later
+ * definitions win, as they would through /Prev chains of incremental updates.
+ * @param {{size: number}} doc
+ */
+function* recoverXrefMap(doc) {
+  const buffer = yield* readAll(doc);
+  const { objToOffset, objStms, trailerDict } = scanObjectHeaders(buffer, doc);
+  checkObjectCount(doc, objToOffset.size);
+  if (!trailerDict)
+    throw new PdfParseError("No trailer or catalog found in the file");
+  useTrailer(doc, trailerDict);
+  const xmap = { objToOffset, objToObjStm: new Map() };
+  const streams = Array.from(new Set(objStms)).sort(
+    (a, b) => objToOffset.get(a).offset - objToOffset.get(b).offset
+  );
+  for (const stmNum of streams) {
+    let objStm;
+    try {
+      objStm = yield* loadObjStm(doc, xmap, stmNum);
+    } catch (e) {
+      if (e instanceof PdfEncryptedError || e instanceof PdfLimitError) throw e;
+      continue; // a damaged object stream only loses its own members
+    }
+    const stmOffset = objToOffset.get(stmNum).offset;
+    objStm.pairs.forEach(({ obj }, index) => {
+      const direct = objToOffset.get(obj);
+      if (direct && direct.offset > stmOffset) return;
+      objToOffset.delete(obj);
+      xmap.objToObjStm.set(obj, { objstm: stmNum, index });
+    });
+  }
+  return { xmap, trailerDict };
+}
+
+/**
+ * One pass over the file: object offsets, object stream numbers and the
+ * newest trailer (classic or XRef stream dictionary) that names /Root. If
+ * there is none, a trailer pointing at the last /Type /Catalog stands in.
+ * @param {Uint8Array} buffer
+ */
+function scanObjectHeaders(buffer, doc) {
+  const s = latin1(buffer);
+  const objToOffset = new Map();
+  const objStms = [];
+  let trailer = null;
+  let catalog = null;
+  const re = /(\d{1,10})[\0\t\n\f\r ]+(\d{1,5})[\0\t\n\f\r ]+obj\b/g;
+  let m;
+  while ((m = re.exec(s)) !== null) {
+    checkDeadline(doc);
+    const obj = parseInt(m[1], 10);
+    const gen = parseInt(m[2], 10);
+    objToOffset.set(obj, { offset: m.index, gen });
+    const pos = skipWhitespace(buffer, m.index + m[0].length);
+    if (!(buffer[pos] === 0x3c && buffer[pos + 1] === 0x3c)) continue;
+    let dict;
+    let type;
+    try {
+      dict = readDictString(buffer, pos);
+      type = dictName(parseDict(dict.dictString), "Type");
+    } catch (e) {
+      continue;
+    }
+    const { dictString } = dict;
+    if (type === "ObjStm") objStms.push(obj);
+    else if (type === "XRef") {
+      if (parseIndirectRefFromDict(dictString, "Root"))
+        trailer = { offset: m.index, dictString };
+    } else if (type === "Catalog") catalog = { obj, gen };
+    // Skip stream data, so that binary content cannot pass for headers
+    const after = skipWhitespace(buffer, dict.endPos);
+    if (peekKeyword(buffer, after, "stream")) {
+      const end = s.indexOf("endstream", after);
+      if (end > 0) re.lastIndex = end;
+    }
+  }
+  const trailerRe = /trailer[\0\t\n\f\r ]*<</g;
+  while ((m = trailerRe.exec(s)) !== null) {
+    if (trailer && trailer.offset > m.index) continue;
+    try {
+      const { dictString } = readDictString(buffer, trailerRe.lastIndex - 2);
+      if (parseIndirectRefFromDict(dictString, "Root"))
+        trailer = { offset: m.index, dictString };
+    } catch (e) {
+      // an unterminated trailer is as good as none
+    }
+  }
+  let trailerDict = trailer ? trailer.dictString : null;
+  if (!trailerDict && catalog)
+    trailerDict = `<< /Root ${catalog.obj} ${catalog.gen} R >>`;
+  return { objToOffset, objStms, trailerDict };
+}
+
+// -------- Per-page enumeration --------
+
+/**
+ * Locate the newest xref section and return an object map in the xref stream
+ * shape ({ objToOffset, objToObjStm }) for either kind of xref, plus the
+ * trailer dictionary. An unusable xref falls back to a rebuilt object table,
+ * except in strict mode.
+ * @param {{size: number, mode: string}} doc
+ */
+function* openXrefMap(doc) {
+  try {
+    return yield* readXrefMap(doc, yield* findStartXrefOffset(doc));
+  } catch (e) {
+    if (e instanceof PdfEncryptedError || e instanceof PdfLimitError) throw e;
+    if (doc.mode === "strict") throw yield* checkPdfHeader(doc, e);
+  }
+  try {
+    return yield* recoverXrefMap(doc);
+  } catch (e) {
+    throw yield* checkPdfHeader(doc, e);
+  }
+}
+
+/** Object map and trailer of the revision whose xref section is at `xrefOffset`. */
+function* readXrefMap(doc, xrefOffset) {
+  const token = yield* readBytes(xrefOffset, 4);
+  if (readAscii(token, 0, 4) === "xref") {
+    const { objectOffsets, objToObjStm, latestTrailerDict } =
+      yield* buildClassicXrefOffsetsFollowingPrevChain(doc, xrefOffset);
+    useTrailer(doc, latestTrailerDict);
+    return {
+      xmap: { objToOffset: objectOffsets, objToObjStm },
+      trailerDict: latestTrailerDict,
+    };
+  }
+  const xrefObj = yield* loadStreamObject(doc, xrefOffset);
+  if (!hasType(xrefObj.dictString, "XRef"))
+    throw new PdfParseError("Not an XRef stream", { offset: xrefOffset });
+  useTrailer(doc, xrefObj.dictString);
+  return {
+    xmap: yield* buildXrefMapFromXrefStreamChain(doc, xrefObj),
+    trailerDict: xrefObj.dictString,
+  };
+}
+
+function* listPages(doc) {
+  const { xmap, trailerDict } = yield* openXrefMap(doc);
+  const rootRef = parseIndirectRefFromDict(trailerDict, "Root");
+  if (!rootRef) throw new PdfParseError("Root not found in trailer");
+  const catalogDict = yield* getObjectDictViaXrefMap(
+    doc,
+    xmap,
+    rootRef.obj,
+    rootRef.gen
+  );
+  const pagesRef = parseIndirectRefFromDict(catalogDict, "Pages");
+  if (!pagesRef) throw new PdfParseError("Pages not found");
+  const pages = [];
+  yield* walkPageTree(doc, objectsViaXrefMap(doc, xmap), pagesRef, {
+    // The inheritable attributes (/MediaBox, /CropBox, /Rotate)
+    *inherit(dict, inherited) {
+      const rotate = dictNumber(dict, "Rotate");
+      const attrs = {
+        mediaBox: yield* readBoxFromDict(doc, xmap, dict, "MediaBox"),
+        cropBox: yield* readBoxFromDict(doc, xmap, dict, "CropBox"),
+        rotate: rotate === null ? null : Math.trunc(rotate),
+      };
+      for (const key of Object.keys(attrs)) {
+        if (attrs[key] == null) attrs[key] = inherited[key];
+      }
+      return attrs;
+    },
+    onPage(ref, attrs) {
+      const loc = xmap.objToOffset.get(ref.obj);
+      const mediaBox = attrs.mediaBox || null;
+      pages.push({
+        index: pages.length,
+        obj: ref.obj,
+        gen: ref.gen,
+        offset: loc ? loc.offset : null,
+        mediaBox,
+        cropBox: attrs.cropBox || mediaBox,
+        rotate: normalizeRotate(attrs.rotate),
+      });
+    },
+  });
+  return pages;
+}
+
+/**
+ * Read a rectangle (/MediaBox etc.) given inline or as an indirect reference.
+ * Returns [llx, lly, urx, ury] normalized so that llx <= urx and lly <= ury.
+ */
+function* readBoxFromDict(doc, xmap, dict, key) {
+  let box = dict.get(key);
+  const ref = refOf(box);
+  if (ref) {
+    const content = yield* getObjectContentViaXrefMap(
+      doc,
+      xmap,
+      ref.obj,
+      ref.gen
+    );
+    box = parsePdfObject(content);
+  }
+  if (!Array.isArray(box) || box.length !== 4) return null;
+  if (box.some((n) => typeof n !== "number")) return null;
+  return [
+    Math.min(box[0], box[2]),
+    Math.min(box[1], box[3]),
+    Math.max(box[0], box[2]),
+    Math.max(box[1], box[3]),
+  ];
+}
+
+/** /Rotate must be a multiple of 90; map it into 0, 90, 180 or 270. */
+function normalizeRotate(rotate) {
+  if (!Number.isInteger(rotate) || rotate % 90 !== 0) return 0;
+  return ((rotate % 360) + 360) % 360;
+}
+
+// -------- Page size statistics --------
+
+// Portrait dimensions in PDF units (1/72 inch)
+const PAPER_FORMATS = [
+  { name: "A4", width: 595.28, height: 841.89 },
+  { name: "Letter", width: 612, height: 792 },
+  { name: "Legal", width: 612, height: 1008 },
+  { name: "A3", width: 841.89, height: 1190.55 },
+];
+// Roughly 1mm; producers round paper sizes differently
+const PAPER_TOLERANCE = 3;
+
+function classifyPaperFormat(width, height) {
+  const short = Math.min(width, height);
+  const long = Math.max(width, height);
+  for (const f of PAPER_FORMATS) {
+    if (
+      Math.abs(short - f.width) <= PAPER_TOLERANCE &&
+      Math.abs(long - f.height) <= PAPER_TOLERANCE
+    ) {
+      return f.name;
+    }
+  }
+  return "custom";
+}
+
+function summarizePageSizes(pages) {
+  const formats = { A4: 0, Letter: 0, Legal: 0, A3: 0, custom: 0, unknown: 0 };
+  const orientation = { portrait: 0, landscape: 0 };
+  const sizes = new Map(); // format or rounded "WxH" (portrait) -> entry
+  for (const page of pages) {
+    const box = page.cropBox || page.mediaBox;
+    if (!box) {
+      formats.unknown += 1;
+      continue;
+    }
+    let width = box[2] - box[0];
+    let height = box[3] - box[1];
+    if (page.rotate === 90 || page.rotate === 270) {
+      [width, height] = [height, width];
+    }
+    const format = classifyPaperFormat(width, height);
+    formats[format] += 1;
+    if (width > height) orientation.landscape += 1;
+    else orientation.portrait += 1;
+    const key =
+      format === "custom"
+        ? `${Math.round(Math.min(width, height))}x${Math.round(
+            Math.max(width, height)
+          )}`
+        : format;
+    const entry = sizes.get(key);
+    if (entry) entry.count += 1;
+    else {
+      sizes.set(key, {
+        format,
+        width: Math.min(width, height),
+        height: Math.max(width, height),
+        count: 1,
+      });
+    }
+  }
+  return {
+    pages: pages.length,
+    formats,
+    orientation,
+    mixedSizes: sizes.size + (formats.unknown > 0 ? 1 : 0) > 1,
+    sizes: Array.from(sizes.values()),
+  };
+}
+
+// -------- Revisions --------
+
+const REVISION_SCAN_CHUNK = 1024 * 1024;
+
+/**
+ * Every startxref/%%EOF section is a revision; the page tree is walked on
+ * the object map as of each one. A "startxref 0" (the first-page trailer of
+ * a linearized file) does not end a revision of its own.
+ * @param {{size: number}} doc
+ */
+function* listRevisions(doc) {
+  const revisions = [];
+  let start = 0;
+  for (const { startxref, end } of yield* findRevisionEnds(doc)) {
+    let pages = null;
+    let error = null;
+    try {
+      const { xmap, trailerDict } = yield* readXrefMap(doc, startxref);
+      const rootRef = parseIndirectRefFromDict(trailerDict, "Root");
+      if (!rootRef) throw new PdfParseError("Root not found in trailer");
+      pages = yield* traversePageTreeWithXrefStream(doc, xmap, rootRef);
+    } catch (e) {
+      if (e instanceof PdfEncryptedError || e instanceof PdfLimitError) throw e;
+      error = e && e.message ? e.message : String(e);
+    }
+    revisions.push({
+      index: revisions.length,
+      start,
+      end,
+      startxref,
+      pages,
+      error,
+    });
+    start = end;
+  }
+  if (!revisions.length) {
+    throw yield* checkPdfHeader(
+      doc,
+      new PdfParseError("No startxref/%%EOF section found")
+    );
+  }
+  return revisions;
+}
+
+/**
+ * Scan the file in chunks for "startxref N %%EOF" and return each xref
+ * offset with the position just past its %%EOF line.
+ * @param {{size: number}} doc
+ * @returns {Generator<any, {startxref: number, end: number}[]>}
+ */
+function* findRevisionEnds(doc) {
+  const overlap = 256; // longer than any marker with its whitespace
+  const out = [];
+  for (let base = 0; base < doc.size; base += REVISION_SCAN_CHUNK) {
+    const chunk = yield* readBytes(base, REVISION_SCAN_CHUNK + overlap);
+    const s = latin1(chunk);
+    const re = /startxref\s+(\d+)\s+%%EOF(\r\n|\r|\n)?/g;
+    let m;
+    while ((m = re.exec(s)) !== null) {
+      // Matches starting in the overlap belong to the next chunk
+      if (m.index >= REVISION_SCAN_CHUNK) break;
+      const startxref = parseInt(m[1], 10);
+      if (startxref > 0) out.push({ startxref, end: base + re.lastIndex });
+    }
+  }
+  return out;
+}
+
+// -------- Document metadata --------
+//
+// Strings in the Info dictionary are encrypted like any other string (unless
+// the object sits in an object stream, which is encrypted as a whole), and
+// the XMP stream like any stream unless /EncryptMetadata is false.
+
+const METADATA_FIELDS = {
+  title: { info: "Title", xmp: "dc:title" },
+  author: { info: "Author", xmp: "dc:creator" },
+  subject: { info: "Subject", xmp: "dc:description" },
+  keywords: { info: "Keywords", xmp: "pdf:Keywords" },
+  creator: { info: "Creator", xmp: "xmp:CreatorTool" },
+  producer: { info: "Producer", xmp: "pdf:Producer" },
+  creationDate: { info: "CreationDate", xmp: "xmp:CreateDate", date: true },
+  modificationDate: { info: "ModDate", xmp: "xmp:ModifyDate", date: true },
+};
+
+/**
+ * @param {{size: number}} doc
+ */
+function* readMetadata(doc) {
+  const head = latin1(yield* readBytes(0, 1024 + 5));
+  const header = /%PDF-(\d+\.\d+)/.exec(head);
+  const { xmap, trailerDict } = yield* openXrefMap(doc);
+  const trailer = parseDict(trailerDict);
+  const strict = doc.mode === "strict";
+
+  let info = {};
+  try {
+    info = yield* readInfoDict(doc, xmap, trailer.get("Info"));
+  } catch (e) {
+    if (strict || e instanceof PdfEncryptedError || e instanceof PdfLimitError)
+      throw e;
+  }
+
+  let version = header ? header[1] : null;
+  let xmp = null;
+  const rootRef = dictRef(trailer, "Root");
+  if (rootRef) {
+    try {
+      const catalog = parseDict(
+        yield* getObjectDictViaXrefMap(doc, xmap, rootRef.obj, rootRef.gen)
+      );
+      const catalogVersion = dictName(catalog, "Version");
+      if (/^\d+\.\d+$/.test(catalogVersion || "")) {
+        if (!version || compareVersions(catalogVersion, version) > 0)
+          version = catalogVersion;
+      }
+      const metadataRef = dictRef(catalog, "Metadata");
+      if (metadataRef) xmp = yield* readXmpPacket(doc, xmap, metadataRef);
+    } catch (e) {
+      if (
+        strict ||
+        e instanceof PdfEncryptedError ||
+        e instanceof PdfLimitError
+      )
+        throw e;
+    }
+  }
+
+  const fromInfo = {};
+  const fromXmp = {};
+  for (const [field, { info: key, xmp: property, date }] of Object.entries(
+    METADATA_FIELDS
+  )) {
+    const text = typeof info[key] === "string" ? info[key] : null;
+    const xmpText = xmp ? readXmpProperty(xmp, property) : null;
+    fromInfo[field] = date ? text && parsePdfDate(text) : text;
+    fromXmp[field] = date ? xmpText && parseXmpDate(xmpText) : xmpText;
+  }
+  // PDF 2.0 14.3.3: prefer XMP unless Info was modified after it
+  const preferInfo =
+    fromInfo.modificationDate &&
+    (!fromXmp.modificationDate ||
+      fromInfo.modificationDate > fromXmp.modificationDate);
+  const result = { version };
+  for (const field of Object.keys(METADATA_FIELDS)) {
+    const [first, second] = preferInfo
+      ? [fromInfo[field], fromXmp[field]]
+      : [fromXmp[field], fromInfo[field]];
+    result[field] = first || second || null;
+  }
+  result.info = info;
+  result.xmp = xmp;
+  return result;
+}
+
+/** Every entry of the /Info dictionary, text strings decoded. */
+function* readInfoDict(doc, xmap, value) {
+  const { value: dict, owner } = yield* resolveValue(doc, xmap, value, null);
+  if (!(dict instanceof Map)) return {};
+  const info = {};
+  for (const [key, entry] of dict) {
+    const item = yield* resolveValue(doc, xmap, entry, owner);
+    if (item.value && item.value.type === "string") {
+      info[key] = yield* readText(doc, xmap, item.value, item.owner);
+    } else if (item.value && item.value.type === "name") {
+      info[key] = item.value.name;
+    } else if (item.value === null || typeof item.value !== "object") {
+      info[key] = item.value;
+    }
+  }
+  return info;
+}
+
+/**
+ * Follow `value` if it is an indirect reference. `owner` is the object the
+ * value was read from (null for the trailer); it keys string decryption.
+ * @returns {Generator<any, {value: any, owner: {obj: number, gen: number}|null}>}
+ */
+function* resolveValue(doc, xmap, value, owner) {
+  const ref = refOf(value);
+  if (!ref) return { value, owner };
+  const content = yield* getObjectContentViaXrefMap(
+    doc,
+    xmap,
+    ref.obj,
+    ref.gen
+  );
+  return { value: parsePdfObject(content), owner: ref };
+}
+
+/** A text string of object `owner`, decrypted and decoded; null if not a string. */
+function* readText(doc, xmap, value, owner) {
+  if (!value || value.type !== "string") return null;
+  return decodePdfText(
+    yield* decryptObjectString(doc, xmap, owner, value.value)
+  );
+}
+
+/** Decrypt a string of object `owner`; null for strings of the trailer. */
+function* decryptObjectString(doc, xmap, owner, bytes) {
+  const security = yield* loadSecurity(doc, xmap);
+  if (!security || !owner) return bytes;
+  const loc = xmap.objToOffset.get(owner.obj);
+  if (!loc || !Number.isFinite(loc.offset)) return bytes;
+  return decryptStream(
+    security,
+    owner.obj,
+    owner.gen,
+    bytes,
+    security.stringMethod
+  );
+}
+
+/** The decoded XMP packet of the /Metadata stream as text. */
+function* readXmpPacket(doc, xmap, ref) {
+  const loc = xmap.objToOffset.get(ref.obj);
+  if (!loc || !Number.isFinite(loc.offset))
+    throw new PdfParseError("Metadata stream not found");
+  const { dictString, streamBuffer } = yield* loadStreamObject(doc, loc.offset);
+  const security = yield* loadSecurity(doc, xmap);
+  const data =
+    security && security.encryptMetadata
+      ? decryptStream(security, ref.obj, ref.gen, streamBuffer)
+      : streamBuffer;
+  const bytes = decodeStream(dictString, data, {}, doc.maxInflatedBytes);
+  if (bytes[0] === 0xfe && bytes[1] === 0xff) return utf16BeText(bytes, 2);
+  return new TextDecoder().decode(bytes);
+}
+
+/**
+ * Text of one XMP property, written either as an attribute of
+ * rdf:Description or as an element. Language alternatives (rdf:Alt) yield
+ * the x-default entry; lists (rdf:Seq, rdf:Bag) are joined with "; ".
+ */
+function readXmpProperty(xmp, name) {
+  const attr = new RegExp(`\\s${name}\\s*=\\s*(?:"([^"]*)"|'([^']*)')`).exec(
+    xmp
+  );
+  if (attr) return decodeXmlText(attr[1] !== undefined ? attr[1] : attr[2]);
+  const element = new RegExp(
+    `<${name}(?:\\s[^>]*)?>([\\s\\S]*?)</${name}\\s*>`
+  ).exec(xmp);
+  if (!element) return null;
+  const items = [];
+  const re = /<rdf:li(\s[^>]*)?>([\s\S]*?)<\/rdf:li\s*>/g;
+  let m;
+  while ((m = re.exec(element[1])) !== null) {
+    if (/\bxml:lang\s*=\s*["']x-default["']/.test(m[1] || "")) {
+      return decodeXmlText(m[2]).trim() || null;
+    }
+    items.push(decodeXmlText(m[2]).trim());
+  }
+  if (/<rdf:Alt\b/.test(element[1])) return items[0] || null;
+  const text = items.length
+    ? items.filter(Boolean).join("; ")
+    : decodeXmlText(element[1]).trim();
+  return text || null;
+}
+
+function decodeXmlText(s) {
+  return s
+    .replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, (_, text) =>
+      text.replace(/&/g, "&amp;").replace(/</g, "&lt;")
+    )
+    .replace(/<[^>]*>/g, "")
+    .replace(/&(#x[0-9a-fA-F]+|#\d+|amp|lt|gt|quot|apos);/g, (_, ref) => {
+      if (ref[0] === "#") {
+        const code =
+          ref[1] === "x" ? parseInt(ref.slice(2), 16) : parseInt(ref.slice(1));
+        return code <= 0x10ffff ? String.fromCodePoint(code) : "";
+      }
+      return { amp: "&", lt: "<", gt: ">", quot: '"', apos: "'" }[ref];
+    });
+}
+
+// PDFDocEncoding agrees with Latin-1 except at 0x18-0x1f and 0x80-0xa0
+const PDF_DOC_LOW = "˘ˇˆ˙˝˛˚˜";
+const PDF_DOC_HIGH = "•†‡…—–ƒ⁄‹›−‰„“”‘’‚™ﬁﬂŁŒŠŸŽıłœšž\ufffd€";
+
+/** A PDF text string: UTF-16BE or UTF-8 with a byte order mark, else PDFDocEncoding. */
+function decodePdfText(bytes) {
+  if (bytes[0] === 0xfe && bytes[1] === 0xff) {
+    // ESC <language code> ESC marks a language change
+    return utf16BeText(bytes, 2).replace(/\x1b[^\x1b]*\x1b/g, "");
+  }
+  if (bytes[0] === 0xef && bytes[1] === 0xbb && bytes[2] === 0xbf) {
+    return new TextDecoder().decode(bytes.subarray(3));
+  }
+  let s = "";
+  for (const b of bytes) {
+    if (b >= 0x18 && b <= 0x1f) s += PDF_DOC_LOW[b - 0x18];
+    else if (b >= 0x80 && b <= 0xa0) s += PDF_DOC_HIGH[b - 0x80];
+    else s += String.fromCharCode(b);
+  }
+  return s;
+}
+
+function utf16BeText(bytes, start) {
+  let s = "";
+  for (let i = start; i + 1 < bytes.length; i += 2) {
+    s += String.fromCharCode((bytes[i] << 8) | bytes[i + 1]);
+  }
+  return s;
+}
+
+/**
+ * "D:YYYYMMDDHHmmSSOHH'mm'" with everything after the year optional. A
+ * missing offset is taken as UTC. Null if the string is not a date.
+ */
+function parsePdfDate(s) {
+  const m =
+    /^\s*(?:D:)?(\d{4})(\d\d)?(\d\d)?(\d\d)?(\d\d)?(\d\d)?\s*(?:([Zz+-])\s*(\d\d)?'?\s*(\d\d)?'?)?/.exec(
+      s
+    );
+  if (!m) return null;
+  return dateFromParts(m.slice(1, 7), m[7], m[8], m[9]);
+}
+
+/** An XMP (ISO 8601) date such as "2024-05-01T10:20:30+09:00". */
+function parseXmpDate(s) {
+  const m =
+    /^\s*(\d{4})(?:-(\d\d)(?:-(\d\d)(?:T(\d\d):(\d\d)(?::(\d\d)(?:\.\d+)?)?)?)?)?\s*(?:([Zz+-])(?:(\d\d):?(\d\d))?)?\s*$/.exec(
+      s
+    );
+  if (!m) return null;
+  return dateFromParts(m.slice(1, 7), m[7], m[8], m[9]);
+}
+
+function dateFromParts(parts, sign, offsetHours, offsetMinutes) {
+  const [year, month = 1, day = 1, hour = 0, minute = 0, second = 0] =
+    parts.map((part) => (part === undefined ? undefined : Number(part)));
+  if (month < 1 || month > 12 || day < 1 || day > 31) return null;
+  if (hour > 23 || minute > 59 || second > 59) return null;
+  let time = Date.UTC(year, month - 1, day, hour, minute, second);
+  if (sign === "+" || sign === "-") {
+    const offset =
+      (Number(offsetHours || 0) * 60 + Number(offsetMinutes || 0)) * 60000;
+    time += sign === "+" ? -offset : offset;
+  }
+  return new Date(time);
+}
+
+/** Compare "major.minor" version strings numerically. */
+function compareVersions(a, b) {
+  const [aMajor, aMinor] = a.split(".").map(Number);
+  const [bMajor, bMinor] = b.split(".").map(Number);
+  return aMajor - bMajor || aMinor - bMinor;
+}
+
+// -------- Page labels --------
+
+/**
+ * @param {{size: number}} doc
+ */
+function* readPageLabels(doc) {
+  const { xmap, trailerDict } = yield* openXrefMap(doc);
+  const rootRef = parseIndirectRefFromDict(trailerDict, "Root");
+  if (!rootRef) throw new PdfParseError("Root not found in trailer");
+  const catalog = parseDict(
+    yield* getObjectDictViaXrefMap(doc, xmap, rootRef.obj, rootRef.gen)
+  );
+  const pagesRef = dictRef(catalog, "Pages");
+  if (!pagesRef) throw new PdfParseError("Pages not found");
+  const count = yield* walkPageTree(
+    doc,
+    objectsViaXrefMap(doc, xmap),
+    pagesRef
+  );
+
+  const ranges = [];
+  try {
+    const entries = yield* readTree(
+      doc,
+      xmap,
+      catalog.get("PageLabels"),
+      rootRef,
+      "Nums"
+    );
+    for (const { key, value, owner } of entries) {
+      if (!Number.isInteger(key) || key < 0) continue;
+      const label = yield* resolveValue(doc, xmap, value, owner);
+      if (!(label.value instanceof Map)) continue;
+      const first = dictNumber(label.value, "St");
+      const prefix = yield* resolveValue(
+        doc,
+        xmap,
+        label.value.get("P"),
+        label.owner
+      );
+      ranges.push({
+        start: key,
+        style: dictName(label.value, "S"),
+        prefix: (yield* readText(doc, xmap, prefix.value, prefix.owner)) || "",
+        first: Number.isInteger(first) && first > 0 ? first : 1,
+      });
+    }
+  } catch (e) {
+    if (doc.mode === "strict") throw e;
+    if (e instanceof PdfEncryptedError || e instanceof PdfLimitError) throw e;
+  }
+  ranges.sort((a, b) => a.start - b.start);
+
+  const labels = new Array(count);
+  let r = -1;
+  for (let i = 0; i < count; i += 1) {
+    while (r + 1 < ranges.length && ranges[r + 1].start <= i) r += 1;
+    labels[i] = r < 0 ? String(i + 1) : formatPageLabel(ranges[r], i);
+  }
+  return labels;
+}
+
+function formatPageLabel({ start, style, prefix, first }, index) {
+  const n = first + index - start;
+  switch (style) {
+    case "D":
+      return prefix + n;
+    case "R":
+      return prefix + romanNumeral(n);
+    case "r":
+      return prefix + romanNumeral(n).toLowerCase();
+    case "A":
+      return prefix + letterNumeral(n);
+    case "a":
+      return prefix + letterNumeral(n).toLowerCase();
+    default:
+      return prefix;
+  }
+}
+
+const ROMAN_NUMERALS = [
+  [1000, "M"],
+  [900, "CM"],
+  [500, "D"],
+  [400, "CD"],
+  [100, "C"],
+  [90, "XC"],
+  [50, "L"],
+  [40, "XL"],
+  [10, "X"],
+  [9, "IX"],
+  [5, "V"],
+  [4, "IV"],
+  [1, "I"],
+];
+
+function romanNumeral(n) {
+  let s = "";
+  for (const [value, numeral] of ROMAN_NUMERALS) {
+    while (n >= value) {
+      s += numeral;
+      n -= value;
+    }
+  }
+  return s;
+}
+
+/** A..Z, then AA..ZZ, AAA..ZZZ and so on. */
+function letterNumeral(n) {
+  return String.fromCharCode(65 + ((n - 1) % 26)).repeat(Math.ceil(n / 26));
+}
+
+// -------- Outline --------
+
+const MAX_DEST_HOPS = 8; // named destination -> dest dictionary -> array
+
+/**
+ * Walk the /First and /Next lists depth-first. A list that loops back is
+ * cut off where it does (an error in strict mode).
+ * @param {{size: number}} doc
+ */
+function* readOutline(doc) {
+  const { xmap, trailerDict } = yield* openXrefMap(doc);
+  const rootRef = parseIndirectRefFromDict(trailerDict, "Root");
+  if (!rootRef) throw new PdfParseError("Root not found in trailer");
+  const catalog = parseDict(
+    yield* getObjectDictViaXrefMap(doc, xmap, rootRef.obj, rootRef.gen)
+  );
+  const outlinesRef = dictRef(catalog, "Outlines");
+  if (!outlinesRef) return [];
+  const pagesRef = dictRef(catalog, "Pages");
+  if (!pagesRef) throw new PdfParseError("Pages not found");
+  const pageIndexes = new Map(); // page object number -> index
+  yield* walkPageTree(doc, objectsViaXrefMap(doc, xmap), pagesRef, {
+    onPage(ref) {
+      pageIndexes.set(ref.obj, pageIndexes.size);
+    },
+  });
+  const dests = createDestResolver(doc, xmap, catalog, rootRef, pageIndexes);
+
+  const outlines = parseDict(
+    yield* getObjectDictViaXrefMap(doc, xmap, outlinesRef.obj, outlinesRef.gen)
+  );
+  const items = [];
+  const visited = new Set([outlinesRef.obj]);
+  const stack = [{ ref: dictRef(outlines, "First"), items }];
+  while (stack.length) {
+    const frame = stack[stack.length - 1];
+    const { ref } = frame;
+    if (!ref) {
+      stack.pop();
+      continue;
+    }
+    frame.ref = null;
+    if (visited.has(ref.obj)) {
+      if (doc.mode === "strict") {
+        throw new PdfCycleError(
+          `Outline reaches object ${ref.obj} ${ref.gen} R twice`
+        );
+      }
+      continue;
+    }
+    visited.add(ref.obj);
+    if (visited.size > doc.maxNodes) {
+      throw new PdfLimitError(`Outline has more than ${doc.maxNodes} items`, {
+        limit: "maxNodes",
+      });
+    }
+    let dict;
+    try {
+      dict = parseDict(
+        yield* getObjectDictViaXrefMap(doc, xmap, ref.obj, ref.gen)
+      );
+    } catch (e) {
+      if (doc.mode === "strict") throw e;
+      if (e instanceof PdfEncryptedError || e instanceof PdfLimitError) throw e;
+      continue;
+    }
+    let title = null;
+    try {
+      // pdfTeX and hyperref write titles as indirect objects
+      const value = yield* resolveValue(doc, xmap, dict.get("Title"), ref);
+      title = yield* readText(doc, xmap, value.value, value.owner);
+    } catch (e) {
+      if (doc.mode === "strict") throw e;
+      if (e instanceof PdfEncryptedError || e instanceof PdfLimitError) throw e;
+    }
+    const item = {
+      title: title || "",
+      pageIndex: yield* dests.ofItem(dict, ref),
+      children: [],
+    };
+    frame.items.push(item);
+    frame.ref = dictRef(dict, "Next");
+    const first = dictRef(dict, "First");
+    if (first) {
+      if (stack.length >= doc.maxDepth) {
+        throw new PdfLimitError(`Outline deeper than ${doc.maxDepth} levels`, {
+          limit: "maxDepth",
+        });
+      }
+      stack.push({ ref: first, items: item.children });
+    }
+  }
+  return items;
+}
+
+/**
+ * Page indexes of destinations: explicit arrays ([page /XYZ ...]), names
+ * looked up in the catalog /Dests dictionary (PDF 1.1) and strings in the
+ * /Names /Dests name tree, which is read on first use.
+ */
+function createDestResolver(doc, xmap, catalog, rootRef, pageIndexes) {
+  let named = null; // destination name (latin1) -> {value, owner}
+
+  function* namedDests() {
+    if (named) return named;
+    named = new Map();
+    const names = yield* resolveValue(doc, xmap, catalog.get("Names"), rootRef);
+    if (!(names.value instanceof Map)) return named;
+    const entries = yield* readTree(
+      doc,
+      xmap,
+      names.value.get("Dests"),
+      names.owner,
+      "Names"
+    );
+    for (const { key, value, owner } of entries) {
+      if (!key || key.type !== "string") continue;
+      const name = latin1(
+        yield* decryptObjectString(doc, xmap, owner, key.value)
+      );
+      if (!named.has(name)) named.set(name, { value, owner });
+    }
+    return named;
+  }
+
+  function* pageOf(value, owner) {
+    for (let hop = 0; hop < MAX_DEST_HOPS; hop += 1) {
+      const dest = yield* resolveValue(doc, xmap, value, owner);
+      value = dest.value;
+      owner = dest.owner;
+      if (Array.isArray(value)) {
+        const ref = refOf(value[0]);
+        if (ref) {
+          const index = pageIndexes.get(ref.obj);
+          return index === undefined ? null : index;
+        }
+        // Page numbers belong in remote destinations, but some writers use them
+        const n = value[0];
+        return Number.isInteger(n) && n >= 0 && n < pageIndexes.size ? n : null;
+      }
+      if (value instanceof Map) {
+        value = value.get("D");
+      } else if (value && value.type === "name") {
+        const dests = yield* resolveValue(
+          doc,
+          xmap,
+          catalog.get("Dests"),
+          rootRef
+        );
+        if (!(dests.value instanceof Map)) return null;
+        value = dests.value.get(value.name);
+        owner = dests.owner;
+      } else if (value && value.type === "string") {
+        const name = latin1(
+          yield* decryptObjectString(doc, xmap, owner, value.value)
+        );
+        const entry = (yield* namedDests()).get(name);
+        if (!entry) return null;
+        ({ value, owner } = entry);
+      } else {
+        return null;
+      }
+    }
+    return null;
+  }
+
+  return {
+    /** The page an outline item's /Dest or /A GoTo action points to. */
+    *ofItem(dict, owner) {
+      try {
+        if (dict.has("Dest")) return yield* pageOf(dict.get("Dest"), owner);
+        const action = yield* resolveValue(doc, xmap, dict.get("A"), owner);
+        if (!(action.value instanceof Map)) return null;
+        if (dictName(action.value, "S") !== "GoTo") return null;
+        return yield* pageOf(action.value.get("D"), action.owner);
+      } catch (e) {
+        if (doc.mode === "strict") throw e;
+        if (e instanceof PdfEncryptedError || e instanceof PdfLimitError)
+          throw e;
+        return null;
+      }
+    },
+  };
+}
+
+/**
+ * Leaf entries of a number tree (`entries` "Nums") or name tree ("Names")
+ * in tree order, as {key, value, owner}; `owner` is the node object the
+ * entry was read from, for string decryption.
+ * @returns {Generator<any, {key: any, value: any, owner: {obj: number, gen: number}|null}[]>}
+ */
+function* readTree(doc, xmap, root, owner, entries) {
+  const out = [];
+  const visited = new Set();
+  const stack = [{ value: root, owner, depth: 0 }];
+  while (stack.length) {
+    const item = stack.pop();
+    const ref = refOf(item.value);
+    if (ref) {
+      if (visited.has(ref.obj)) {
+        throw new PdfCycleError(
+          `/${entries} tree reaches object ${ref.obj} ${ref.gen} R twice`
+        );
+      }
+      visited.add(ref.obj);
+      if (visited.size > doc.maxNodes) {
+        throw new PdfLimitError(
+          `/${entries} tree has more than ${doc.maxNodes} nodes`,
+          { limit: "maxNodes" }
+        );
+      }
+    }
+    const node = yield* resolveValue(doc, xmap, item.value, item.owner);
+    if (!(node.value instanceof Map)) continue;
+    const pairs = yield* resolveValue(
+      doc,
+      xmap,
+      node.value.get(entries),
+      node.owner
+    );
+    if (Array.isArray(pairs.value)) {
+      for (let i = 0; i + 1 < pairs.value.length; i += 2) {
+        const key = pairs.value[i];
+        out.push({ key, value: pairs.value[i + 1], owner: pairs.owner });
+      }
+    }
+    const kids = yield* resolveValue(
+      doc,
+      xmap,
+      node.value.get("Kids"),
+      node.owner
+    );
+    if (!Array.isArray(kids.value)) continue;
+    if (item.depth >= doc.maxDepth) {
+      throw new PdfLimitError(
+        `/${entries} tree deeper than ${doc.maxDepth} levels`,
+        { limit: "maxDepth" }
+      );
+    }
+    // Reversed so the leftmost kid is read first
+    for (let i = kids.value.length - 1; i >= 0; i -= 1) {
+      stack.push({
+        value: kids.value[i],
+        owner: kids.owner,
+        depth: item.depth + 1,
+      });
+    }
+  }
+  return out;
+}
+
+// -------- Content streams --------
+
+// Operators that paint paths and text
+const FILL_OPS = new Set(["f", "F", "f*"]);
+const STROKE_OPS = new Set(["S", "s"]);
+const FILL_STROKE_OPS = new Set(["B", "B*", "b", "b*"]);
+const TEXT_OPS = new Set(["Tj", "TJ", "'", '"']);
+// Text rendering modes (Tr) that fill or stroke glyphs; 3 and 7 do neither
+const FILL_TEXT_MODES = [0, 2, 4, 6];
+const STROKE_TEXT_MODES = [1, 2, 5, 6];
+
+/**
+ * Every page in document order with its /Contents value and the /Resources
+ * it inherits through the page tree, as {value, owner} with the node it
+ * was read from.
+ * @param {{size: number}} doc
+ */
+function* readPageContents(doc) {
+  const { xmap, trailerDict } = yield* openXrefMap(doc);
+  const rootRef = parseIndirectRefFromDict(trailerDict, "Root");
+  if (!rootRef) throw new PdfParseError("Root not found in trailer");
+  const catalog = parseDict(
+    yield* getObjectDictViaXrefMap(doc, xmap, rootRef.obj, rootRef.gen)
+  );
+  const pagesRef = dictRef(catalog, "Pages");
+  if (!pagesRef) throw new PdfParseError("Pages not found");
+  const pages = [];
+  yield* walkPageTree(doc, objectsViaXrefMap(doc, xmap), pagesRef, {
+    *inherit(dict, inherited, ref) {
+      return {
+        resources: dict.has("Resources")
+          ? { value: dict.get("Resources"), owner: ref }
+          : inherited.resources,
+        // Not inheritable; only a page's own entry is used
+        contents: dict.get("Contents"),
+      };
+    },
+    onPage(ref, attrs) {
+      pages.push({
+        ref,
+        contents: attrs.contents,
+        resources: attrs.resources || { value: null, owner: null },
+      });
+    },
+  });
+  return { xmap, pages };
+}
+
+/**
+ * Answer a yes/no question about the content of every page, in page order.
+ * `createTest(xmap)` returns the generator function asking it of one page.
+ * Outside strict mode a page whose content cannot be read answers yes:
+ * callers ask whether a page shows something (a mark, a color), and an
+ * unreadable page is no proof that it does not.
+ * @returns {Generator<any, boolean[]>}
+ */
+function* testPageContents(doc, createTest) {
+  const { xmap, pages } = yield* readPageContents(doc);
+  const test = createTest(xmap);
+  const answers = [];
+  for (const page of pages) {
+    let answer;
+    try {
+      answer = yield* test(page);
+    } catch (e) {
+      if (doc.mode === "strict") throw e;
+      if (e instanceof PdfEncryptedError || e instanceof PdfLimitError) throw e;
+      answer = true;
+    }
+    answers.push(answer);
+  }
+  return answers;
+}
+
+/**
+ * Feed the operators of a page's content streams to the generator
+ * `visit(op, operands, resources, xobject)`, which returns true to stop;
+ * `resources` is the {value, owner} of the /Resources in effect.
+ * A Form XObject painted with Do is walked in place, between a "q" and a
+ * "Q" as it is drawn; other XObjects reach `visit` as "Do" with `xobject`
+ * set to {ref, dict} of their stream, and inline images as "BI" with their
+ * dictionary as the only operand. A form that paints itself is cut off (a
+ * PdfCycleError in strict mode), and forms nested deeper than doc.maxDepth
+ * throw PdfLimitError.
+ * @returns {Generator<any, boolean>} Whether `visit` stopped the walk
+ */
+function* walkContent(doc, xmap, page, visit) {
+  const contents = yield* resolveValue(doc, xmap, page.contents, page.ref);
+  // A single stream resolves to its dictionary, an array to its streams
+  const refs =
+    contents.value instanceof Map
+      ? [refOf(page.contents)]
+      : refsIn(contents.value);
+  const parts = [];
+  for (const ref of refs) {
+    // Streams may split the content anywhere between two tokens
+    parts.push((yield* loadStream(doc, xmap, ref)).data, latin1Bytes("\n"));
+  }
+  const frames = [
+    {
+      lexer: { s: latin1(concatBytes(parts)), pos: 0 },
+      resources: yield* resolveValue(
+        doc,
+        xmap,
+        page.resources.value,
+        page.resources.owner
+      ),
+      form: null,
+    },
+  ];
+  const forms = new Set();
+  let operands = [];
+  while (frames.length) {
+    checkDeadline(doc);
+    const frame = frames[frames.length - 1];
+    const token = nextToken(frame.lexer);
+    if (token.type === "eof") {
+      frames.pop();
+      operands = [];
+      if (!frame.form) continue;
+      forms.delete(frame.form.obj);
+      if (yield* visit("Q", [], frames[frames.length - 1].resources)) {
+        return true;
+      }
+      continue;
+    }
+    if (
+      token.type !== "keyword" ||
+      ["true", "false", "null"].includes(token.value)
+    ) {
+      operands.push(valueFromToken(frame.lexer, token, 0));
+      continue;
+    }
+    const op = token.value;
+    let args = operands;
+    operands = [];
+    let xobject = null;
+    if (op === "BI") {
+      args = [readInlineImage(frame.lexer)];
+    } else if (op === "Do") {
+      const entry = yield* lookupResource(
+        doc,
+        xmap,
+        frame.resources,
+        "XObject",
+        args[args.length - 1]
+      );
+      const ref = refOf(entry.value);
+      if (!ref) {
+        if (doc.mode === "strict") {
+          throw new PdfParseError("Do names an XObject that is not there", {
+            offset: token.offset,
+          });
+        }
+        continue;
+      }
+      const dict = parseDict(
+        yield* getObjectDictViaXrefMap(doc, xmap, ref.obj, ref.gen)
+      );
+      if (dictName(dict, "Subtype") === "Form") {
+        if (forms.has(ref.obj)) {
+          if (doc.mode === "strict") {
+            throw new PdfCycleError(
+              `Form XObject ${ref.obj} ${ref.gen} R paints itself`
+            );
+          }
+          continue;
+        }
+        if (frames.length >= doc.maxDepth) {
+          throw new PdfLimitError(
+            `Form XObjects nested deeper than ${doc.maxDepth} levels`,
+            { limit: "maxDepth" }
+          );
+        }
+        const { data } = yield* loadStream(doc, xmap, ref);
+        const own = yield* resolveValue(doc, xmap, dict.get("Resources"), ref);
+        if (yield* visit("q", [], frame.resources)) return true;
+        forms.add(ref.obj);
+        frames.push({
+          lexer: { s: latin1(data), pos: 0 },
+          // Forms without /Resources use the page's
+          resources: own.value instanceof Map ? own : frame.resources,
+          form: ref,
+        });
+        continue;
+      }
+      xobject = { ref, dict };
+    }
+    if (yield* visit(op, args, frame.resources, xobject)) return true;
+  }
+  return false;
+}
+
+/**
+ * The dictionary of an inline image, parsed after its BI operator up to ID;
+ * the lexer is left after the EI that ends the image data.
+ */
+function readInlineImage(lexer) {
+  const dict = new Map();
+  for (;;) {
+    const key = nextToken(lexer);
+    if (key.type === "keyword" && key.value === "ID") break;
+    if (key.type === "eof") {
+      throw new PdfTruncatedError("Inline image without ID", {
+        offset: key.offset,
+      });
+    }
+    if (key.type !== "name") {
+      throw new PdfParseError("Expected a name in an inline image", {
+        offset: key.offset,
+      });
+    }
+    const value = parseValue(lexer, 1);
+    if (!dict.has(key.value)) dict.set(key.value, value);
+  }
+  // One whitespace byte follows ID; EI is whitespace-delimited
+  const { s } = lexer;
+  for (let pos = lexer.pos + 1; ; ) {
+    const end = s.indexOf("EI", pos);
+    if (end < 0) {
+      throw new PdfTruncatedError("Inline image without EI", {
+        offset: lexer.pos,
+      });
+    }
+    const after = s[end + 2];
+    if (
+      PDF_WHITESPACE.includes(s[end - 1]) &&
+      (after === undefined || !isRegularChar(after))
+    ) {
+      lexer.pos = end + 2;
+      return dict;
+    }
+    pos = end + 1;
+  }
+}
+
+/**
+ * Entry `name` (a name operand) of a /Resources category such as /XObject
+ * or /Font, as stored and with the object it was read from:
+ * {value, owner}, where `value` is null if there is no such entry.
+ */
+function* lookupResource(doc, xmap, resources, category, name) {
+  const none = { value: null, owner: null };
+  if (!name || name.type !== "name") return none;
+  if (!resources || !(resources.value instanceof Map)) return none;
+  const group = yield* resolveValue(
+    doc,
+    xmap,
+    resources.value.get(category),
+    resources.owner
+  );
+  if (!(group.value instanceof Map) || !group.value.has(name.name)) {
+    return none;
+  }
+  return { value: group.value.get(name.name), owner: group.owner };
+}
+
+/** The stream object `ref`: its dictionary and decrypted, decoded data. */
+function* loadStream(doc, xmap, ref) {
+  const loc = xmap.objToOffset.get(ref.obj);
+  if (!loc || !Number.isFinite(loc.offset)) {
+    throw new PdfParseError(`Stream ${ref.obj} ${ref.gen} R not found`);
+  }
+  const { dictString, streamBuffer } = yield* loadStreamObject(doc, loc.offset);
+  const security = yield* loadSecurity(doc, xmap);
+  const data = security
+    ? decryptStream(security, ref.obj, loc.gen, streamBuffer)
+    : streamBuffer;
+  return {
+    dictString,
+    data: decodeStream(dictString, data, {}, doc.maxInflatedBytes),
+  };
+}
+
+// -------- Blank pages --------
+
+// Character codes that print nothing in single-byte fonts
+const BLANK_CODES = new Set([0x00, 0x09, 0x0a, 0x0c, 0x0d, 0x20, 0xa0]);
+const DEVICE_SPACES = { g: "DeviceGray", rg: "DeviceRGB", k: "DeviceCMYK" };
+
+/**
+ * @param {{size: number, mode: string}} doc
+ */
+function* detectBlankPagesTask(doc) {
+  const marks = yield* testPageContents(
+    doc,
+    (xmap) => (page) => pageMarks(doc, xmap, page)
+  );
+  const blankPages = [];
+  marks.forEach((marked, i) => {
+    if (!marked) blankPages.push(i);
+  });
+  return {
+    pages: marks.length,
+    blankPages,
+    nonBlankPages: marks.length - blankPages.length,
+  };
+}
+
+/**
+ * Whether anything the page's content draws would show on white paper.
+ * Colors count as white only in the device color spaces; text counts as
+ * whitespace only in single-byte fonts, since the codes of composite
+ * (Type0) fonts do not say which glyph they select.
+ */
+function* pageMarks(doc, xmap, page) {
+  let gs = {
+    fillWhite: false,
+    strokeWhite: false,
+    fillSpace: "DeviceGray",
+    strokeSpace: "DeviceGray",
+    textMode: 0,
+    wideFont: false,
+  };
+  const saved = [];
+  return yield* walkContent(
+    doc,
+    xmap,
+    page,
+    function* (op, operands, resources, xobject) {
+      switch (op) {
+        case "q":
+          saved.push({ ...gs });
+          return false;
+        case "Q":
+          if (saved.length) gs = saved.pop();
+          return false;
+        case "g":
+        case "rg":
+        case "k":
+          gs.fillSpace = DEVICE_SPACES[op];
+          gs.fillWhite = isDeviceWhite(gs.fillSpace, operands);
+          return false;
+        case "G":
+        case "RG":
+        case "K":
+          gs.strokeSpace = DEVICE_SPACES[op.toLowerCase()];
+          gs.strokeWhite = isDeviceWhite(gs.strokeSpace, operands);
+          return false;
+        // A color space starts out black (or at its first color)
+        case "cs":
+          gs.fillSpace = operands[0] && operands[0].name;
+          gs.fillWhite = false;
+          return false;
+        case "CS":
+          gs.strokeSpace = operands[0] && operands[0].name;
+          gs.strokeWhite = false;
+          return false;
+        case "sc":
+        case "scn":
+          gs.fillWhite = isDeviceWhite(gs.fillSpace, operands);
+          return false;
+        case "SC":
+        case "SCN":
+          gs.strokeWhite = isDeviceWhite(gs.strokeSpace, operands);
+          return false;
+        case "Tr":
+          gs.textMode = operands[0];
+          return false;
+        case "Tf": {
+          const font = yield* lookupResource(
+            doc,
+            xmap,
+            resources,
+            "Font",
+            operands[0]
+          );
+          const { value } = yield* resolveValue(
+            doc,
+            xmap,
+            font.value,
+            font.owner
+          );
+          gs.wideFont =
+            value instanceof Map && dictName(value, "Subtype") === "Type0";
+          return false;
+        }
+        case "sh":
+          return true;
+        case "Do":
+          if (dictName(xobject.dict, "Subtype") !== "Image") return false;
+          return xobject.dict.get("ImageMask") === true ? !gs.fillWhite : true;
+        case "BI": {
+          const mask = operands[0].has("IM")
+            ? operands[0].get("IM")
+            : operands[0].get("ImageMask");
+          return mask === true ? !gs.fillWhite : true;
+        }
+      }
+      if (FILL_OPS.has(op)) return !gs.fillWhite;
+      if (STROKE_OPS.has(op)) return !gs.strokeWhite;
+      if (FILL_STROKE_OPS.has(op)) return !gs.fillWhite || !gs.strokeWhite;
+      if (TEXT_OPS.has(op)) return textMarks(gs, operands);
+      return false;
+    }
+  );
+}
+
+/** Whether color components in a device color space make white. */
+function isDeviceWhite(space, operands) {
+  const n = operands.filter((c) => typeof c === "number");
+  switch (space) {
+    case "DeviceGray":
+    case "G":
+      return n.length === 1 && n[0] >= 1;
+    case "DeviceRGB":
+    case "RGB":
+      return n.length === 3 && n.every((c) => c >= 1);
+    case "DeviceCMYK":
+    case "CMYK":
+      return n.length === 4 && n.every((c) => c <= 0);
+    default:
+      return false;
+  }
+}
+
+/** Whether a text-showing operator puts a visible glyph on the page. */
+function textMarks(gs, operands) {
+  const fills = FILL_TEXT_MODES.includes(gs.textMode);
+  const strokes = STROKE_TEXT_MODES.includes(gs.textMode);
+  if ((!fills || gs.fillWhite) && (!strokes || gs.strokeWhite)) return false;
+  const shown = operands[operands.length - 1];
+  const strings = Array.isArray(shown) ? shown : [shown];
+  return strings.some(
+    (s) =>
+      s &&
+      s.type === "string" &&
+      (gs.wideFont
+        ? s.value.length > 0
+        : s.value.some((c) => !BLANK_CODES.has(c)))
+  );
+}
+
+// -------- Page colors --------
+
+const COLOR_TOLERANCE = 0.01; // component spread still taken for gray
+const MAX_COLOR_SPACE_NESTING = 8; // /Indexed or /Pattern over a base space
+const MAX_PATTERN_NESTING = 32; // tiling patterns painting with patterns
+// Colorants printed without color ink
+const GRAY_COLORANTS = ["Black", "None"];
+const GRAY = { kind: "gray" };
+const DEVICE_KINDS = { g: "gray", rg: "rgb", k: "cmyk" };
+
+/**
+ * @param {{size: number, mode: string}} doc
+ */
+function* detectColorPagesTask(doc) {
+  const colors = yield* testPageContents(
+    doc,
+    (xmap) => createColorClassifier(doc, xmap).paintsColor
+  );
+  const colorPages = [];
+  const grayPages = [];
+  colors.forEach((color, i) => {
+    (color ? colorPages : grayPages).push(i);
+  });
+  return { pages: colors.length, colorPages, grayPages };
+}
+
+/**
+ * Whether content paints in color. Color spaces are reduced to what decides
+ * if a color in them is gray: {kind: "gray"} (DeviceGray, CalGray, ICC
+ * profiles with one component, black-only colorants), "rgb" (equal
+ * components), "cmyk" (no cyan, magenta or yellow), "lab" (a* = b* = 0),
+ * "indexed" with `colors` telling which palette entries are colors,
+ * "pattern" with the `base` of uncolored patterns, or "color" when any tint
+ * is (spot colors, tint transforms, which are not evaluated). Images and
+ * shadings are gray only if their color space is.
+ */
+function createColorClassifier(doc, xmap) {
+  const patterns = new Map(); // tiling pattern object number -> paints color
+  const walking = new Set(); // tiling patterns whose content is being read
+
+  function* colorSpace(value, resources, owner, depth) {
+    if (depth > MAX_COLOR_SPACE_NESTING) {
+      throw new PdfParseError("Color spaces nested too deeply");
+    }
+    if (value && value.type === "name") {
+      switch (value.name) {
+        case "DeviceGray":
+        case "G":
+          return GRAY;
+        case "DeviceRGB":
+        case "RGB":
+          return { kind: "rgb" };
+        case "DeviceCMYK":
+        case "CMYK":
+          return { kind: "cmyk" };
+        case "Pattern":
+          return { kind: "pattern", base: null };
+      }
+      const entry = yield* lookupResource(
+        doc,
+        xmap,
+        resources,
+        "ColorSpace",
+        value
+      );
+      if (entry.value === null) {
+        throw new PdfParseError(`Color space /${value.name} not found`);
+      }
+      return yield* colorSpace(entry.value, null, entry.owner, depth + 1);
+    }
+    if (refOf(value)) {
+      const resolved = yield* resolveValue(doc, xmap, value, owner);
+      return yield* colorSpace(
+        resolved.value,
+        resources,
+        resolved.owner,
+        depth + 1
+      );
+    }
+    const head = Array.isArray(value) ? value[0] : null;
+    const family = head && head.type === "name" ? head.name : null;
+    switch (family) {
+      case "CalGray":
+        return GRAY;
+      case "CalRGB":
+        return { kind: "rgb" };
+      case "Lab":
+        return { kind: "lab" };
+      case "ICCBased": {
+        const profile = yield* resolveValue(doc, xmap, value[1], owner);
+        const n =
+          profile.value instanceof Map ? dictNumber(profile.value, "N") : null;
+        if (n === 1) return GRAY;
+        return { kind: n === 4 ? "cmyk" : "rgb" };
+      }
+      case "Indexed":
+      case "I": {
+        const base = yield* colorSpace(value[1], resources, owner, depth + 1);
+        if (base.kind === "gray") return GRAY;
+        return {
+          kind: "indexed",
+          colors: yield* paletteColors(base, value[2], value[3], owner),
+        };
+      }
+      case "Separation":
+      case "DeviceN": {
+        const names = family === "Separation" ? [value[1]] : value[1];
+        const gray =
+          Array.isArray(names) &&
+          names.every((n) => n && GRAY_COLORANTS.includes(n.name));
+        if (gray) return GRAY;
+        const alternate = yield* colorSpace(
+          value[2],
+          resources,
+          owner,
+          depth + 1
+        );
+        return alternate.kind === "gray" ? GRAY : { kind: "color" };
+      }
+      case "Pattern":
+        return {
+          kind: "pattern",
+          base:
+            value.length > 1
+              ? yield* colorSpace(value[1], resources, owner, depth + 1)
+              : null,
+        };
+    }
+    throw new PdfParseError("Unsupported color space");
+  }
+
+  /** Which entries of an /Indexed palette are colors; null if unknown. */
+  function* paletteColors(base, hival, lookupValue, owner) {
+    const size = { rgb: 3, cmyk: 4 }[base.kind];
+    if (!size || !Number.isInteger(hival)) return null;
+    const lookup = yield* resolveValue(doc, xmap, lookupValue, owner);
+    let bytes;
+    if (lookup.value && lookup.value.type === "string") {
+      bytes = yield* decryptObjectString(
+        doc,
+        xmap,
+        lookup.owner,
+        lookup.value.value
+      );
+    } else if (lookup.value instanceof Map) {
+      bytes = (yield* loadStream(doc, xmap, refOf(lookupValue))).data;
+    } else {
+      return null;
+    }
+    const colors = [];
+    for (let i = 0; i <= hival && (i + 1) * size <= bytes.length; i += 1) {
+      const entry = Array.from(bytes.subarray(i * size, (i + 1) * size));
+      colors.push(
+        isColorValue(
+          base,
+          entry.map((b) => b / 255)
+        )
+      );
+    }
+    return colors;
+  }
+
+  /** Whether the pattern `name` paints color when selected with `components`. */
+  function* patternColored(name, components, space, resources) {
+    const entry = yield* lookupResource(doc, xmap, resources, "Pattern", name);
+    const pattern = yield* resolveValue(doc, xmap, entry.value, entry.owner);
+    if (!(pattern.value instanceof Map)) {
+      throw new PdfParseError(`Pattern /${name.name} not found`);
+    }
+    const dict = pattern.value;
+    if (dictNumber(dict, "PatternType") === 2) {
+      return yield* shadingColored(
+        dict.get("Shading"),
+        resources,
+        pattern.owner
+      );
+    }
+    if (dictNumber(dict, "PaintType") === 2) {
+      return space.base ? isColorValue(space.base, components) : true;
+    }
+    // A colored tiling pattern paints with its own content stream
+    const ref = refOf(entry.value);
+    if (!ref) throw new PdfParseError(`Pattern /${name.name} is not a stream`);
+    if (patterns.has(ref.obj)) return patterns.get(ref.obj);
+    if (walking.has(ref.obj)) {
+      if (doc.mode === "strict") {
+        throw new PdfCycleError(
+          `Pattern ${ref.obj} ${ref.gen} R paints itself`
+        );
+      }
+      return false; // what it paints with itself adds nothing
+    }
+    if (walking.size >= Math.min(doc.maxDepth, MAX_PATTERN_NESTING)) {
+      throw new PdfParseError("Patterns nested too deeply");
+    }
+    walking.add(ref.obj);
+    try {
+      const colored = yield* paintsColor({
+        ref,
+        contents: entry.value,
+        resources: { value: dict.get("Resources"), owner: ref },
+      });
+      patterns.set(ref.obj, colored);
+      return colored;
+    } finally {
+      walking.delete(ref.obj);
+    }
+  }
+
+  function* shadingColored(value, resources, owner) {
+    const shading = yield* resolveValue(doc, xmap, value, owner);
+    if (!(shading.value instanceof Map)) {
+      throw new PdfParseError("Shading not found");
+    }
+    return hasColor(
+      yield* colorSpace(
+        shading.value.get("ColorSpace"),
+        resources,
+        shading.owner,
+        0
+      )
+    );
+  }
+
+  /**
+   * Whether the content of a page (or tiling pattern) paints in color.
+   * @param {{ref: {obj: number, gen: number}, contents: any, resources: {value: any, owner: any}}} content
+   */
+  function* paintsColor(content) {
+    let gs = {
+      fill: false,
+      stroke: false,
+      fillSpace: GRAY,
+      strokeSpace: GRAY,
+      textMode: 0,
+    };
+    const saved = [];
+    return yield* walkContent(
+      doc,
+      xmap,
+      content,
+      function* (op, operands, resources, xobject) {
+        switch (op) {
+          case "q":
+            saved.push({ ...gs });
+            return false;
+          case "Q":
+            if (saved.length) gs = saved.pop();
+            return false;
+          case "g":
+          case "rg":
+          case "k":
+            gs.fillSpace = { kind: DEVICE_KINDS[op] };
+            gs.fill = isColorValue(gs.fillSpace, operands);
+            return false;
+          case "G":
+          case "RG":
+          case "K":
+            gs.strokeSpace = { kind: DEVICE_KINDS[op.toLowerCase()] };
+            gs.stroke = isColorValue(gs.strokeSpace, operands);
+            return false;
+          case "cs":
+            gs.fillSpace = yield* colorSpace(operands[0], resources, null, 0);
+            gs.fill = initialColorIsColor(gs.fillSpace);
+            return false;
+          case "CS":
+            gs.strokeSpace = yield* colorSpace(operands[0], resources, null, 0);
+            gs.stroke = initialColorIsColor(gs.strokeSpace);
+            return false;
+          case "sc":
+          case "scn":
+            gs.fill = yield* selectedColor(gs.fillSpace, operands, resources);
+            return false;
+          case "SC":
+          case "SCN":
+            gs.stroke = yield* selectedColor(
+              gs.strokeSpace,
+              operands,
+              resources
+            );
+            return false;
+          case "Tr":
+            gs.textMode = operands[0];
+            return false;
+          case "sh": {
+            const shading = yield* lookupResource(
+              doc,
+              xmap,
+              resources,
+              "Shading",
+              operands[0]
+            );
+            return yield* shadingColored(
+              shading.value,
+              resources,
+              shading.owner
+            );
+          }
+          case "Do": {
+            const { ref, dict } = xobject;
+            if (dictName(dict, "Subtype") !== "Image") return false;
+            if (dict.get("ImageMask") === true) return gs.fill;
+            if (!dict.has("ColorSpace")) {
+              // JPEG 2000 images may carry their own color space
+              const filter = dict.get("Filter");
+              const filters = Array.isArray(filter) ? filter : [filter];
+              return filters.some((f) => f && f.name === "JPXDecode");
+            }
+            return hasColor(
+              yield* colorSpace(dict.get("ColorSpace"), resources, ref, 0)
+            );
+          }
+          case "BI": {
+            const dict = operands[0];
+            const mask = dict.has("IM")
+              ? dict.get("IM")
+              : dict.get("ImageMask");
+            if (mask === true) return gs.fill;
+            const space = dict.has("CS")
+              ? dict.get("CS")
+              : dict.get("ColorSpace");
+            if (space === undefined) return false;
+            return hasColor(yield* colorSpace(space, resources, null, 0));
+          }
+        }
+        if (FILL_OPS.has(op)) return gs.fill;
+        if (STROKE_OPS.has(op)) return gs.stroke;
+        if (FILL_STROKE_OPS.has(op)) return gs.fill || gs.stroke;
+        if (TEXT_OPS.has(op)) {
+          return (
+            (FILL_TEXT_MODES.includes(gs.textMode) && gs.fill) ||
+            (STROKE_TEXT_MODES.includes(gs.textMode) && gs.stroke)
+          );
+        }
+        return false;
+      }
+    );
+  }
+
+  /** Whether the color selected by sc/scn (a pattern name last) is a color. */
+  function* selectedColor(space, operands, resources) {
+    if (space.kind !== "pattern") return isColorValue(space, operands);
+    const name = operands[operands.length - 1];
+    if (!name || name.type !== "name") return false;
+    return yield* patternColored(name, operands, space, resources);
+  }
+
+  return { paintsColor };
+}
+
+/** Whether color components in a color space (see createColorClassifier) are a color. */
+function isColorValue(space, operands) {
+  const c = operands.filter((n) => typeof n === "number");
+  switch (space.kind) {
+    case "gray":
+      return false;
+    case "rgb":
+      return (
+        c.length >= 3 &&
+        Math.max(c[0], c[1], c[2]) - Math.min(c[0], c[1], c[2]) >
+          COLOR_TOLERANCE
+      );
+    case "cmyk":
+      return c.slice(0, 3).some((v) => v > COLOR_TOLERANCE);
+    case "lab":
+      // a* and b* run from -100 to 100
+      return c.slice(1, 3).some((v) => Math.abs(v) > COLOR_TOLERANCE * 100);
+    case "indexed":
+      return !space.colors || space.colors[Math.round(c[0])] !== false;
+    default:
+      return true;
+  }
+}
+
+/** Whether a color space has colors in it at all (for images and shadings). */
+function hasColor(space) {
+  if (space.kind === "gray") return false;
+  if (space.kind === "indexed") {
+    return !space.colors || space.colors.some(Boolean);
+  }
+  return true;
+}
+
+/** Whether the color a color space starts out with (black, tint 1.0 or index 0) is a color. */
+function initialColorIsColor(space) {
+  if (space.kind === "indexed") return isColorValue(space, [0]);
+  return space.kind === "color";
+}
+
+function* getObjectContentViaXrefMap(doc, xmap, objNum, gen) {
+  const off = xmap.objToOffset.get(objNum);
+  if (off && Number.isFinite(off.offset)) {
+    return yield* loadAnyObjectContent(doc, off.offset, objNum, off.gen);
+  }
+  const os = xmap.objToObjStm.get(objNum);
+  if (!os) throw new PdfParseError("Object not found in xref map");
+  const objStm = yield* loadObjStm(doc, xmap, os.objstm);
+  return latin1(objStmMember(objStm, os.index));
+}
+
+/**
+ * Load and decode an object stream, keeping the most recently used ones per
+ * document so that sibling objects do not decode it again.
+ * @returns {Generator<any, {decoded: Uint8Array, first: number, pairs: {obj: number, off: number}[]}>}
+ */
+function* loadObjStm(doc, xmap, objstmNum) {
+  const osLoc = xmap.objToOffset.get(objstmNum);
+  if (!osLoc) throw new PdfParseError("Object stream location not found");
+  // Keyed by offset: an update may redefine the stream under the same number
+  const cached = doc.objStms.get(osLoc.offset);
+  if (cached) return cached;
+  const osObj = yield* loadStreamObject(doc, osLoc.offset);
+  if (!hasType(osObj.dictString, "ObjStm"))
+    throw new PdfParseError("Not an ObjStm", { offset: osLoc.offset });
+  const nVal = parseIntFromDict(osObj.dictString, "N");
+  const firstVal = parseIntFromDict(osObj.dictString, "First");
+  if (!Number.isInteger(nVal) || !Number.isInteger(firstVal))
+    throw new PdfParseError("ObjStm N/First missing", {
+      offset: osLoc.offset,
+    });
+  const security = yield* loadSecurity(doc, xmap);
+  const data = security
+    ? decryptStream(security, objstmNum, osLoc.gen, osObj.streamBuffer)
+    : osObj.streamBuffer;
+  let decoded;
+  try {
+    decoded = decodeStream(osObj.dictString, data, {}, doc.maxInflatedBytes);
+  } catch (e) {
+    if (e instanceof PdfLimitError) throw e;
+    throw new PdfParseError("Failed to decode ObjStm", {
+      offset: osLoc.offset,
+      cause: e,
+    });
+  }
+  const txt = latin1(decoded);
+  // Header: N pairs of "objNum offset"
+  const headerPart = txt.slice(0, firstVal);
+  const nums = headerPart
+    .trim()
+    .split(/\s+/)
+    .map((t) => parseInt(t, 10));
+  const pairs = [];
+  for (let i = 0; i + 1 < nums.length; i += 2)
+    pairs.push({ obj: nums[i], off: nums[i + 1] });
+  const objStm = { decoded, first: firstVal, pairs };
+  doc.objStms.set(osLoc.offset, objStm);
+  if (doc.objStms.size > MAX_CACHED_OBJSTMS) {
+    doc.objStms.delete(doc.objStms.keys().next().value);
+  }
+  return objStm;
+}
+
+/** Bytes of the `index`-th object stored in an object stream. */
+function objStmMember(objStm, index) {
+  const { decoded, first, pairs } = objStm;
+  const entry = pairs[index];
+  if (!entry) throw new PdfParseError("ObjStm index out of range");
+  const start = first + entry.off;
+  const nextOff =
+    index + 1 < pairs.length ? first + pairs[index + 1].off : decoded.length;
+  return decoded.subarray(start, nextOff);
+}
+
+// -------- Standard security handler --------
+//
+// Dictionaries of an encrypted file stay readable; only strings and stream
+// data are encrypted. Walking the page tree therefore needs the file key only
+// for object streams, and it is derived the first time one is loaded.
+
+const PASSWORD_PADDING = hexBytes(
+  "28bf4e5e4e758a4164004e56fffa01082e2e00b6d0683e802f0ca9fe6453697a"
+);
+
+/** Remember the newest trailer; its /Encrypt and /ID drive decryption. */
+function useTrailer(doc, trailerDict) {
+  doc.trailerDict = trailerDict;
+  doc.encrypted = parseDict(trailerDict).has("Encrypt");
+}
+
+/**
+ * Whether the document is encrypted, reading the newest trailer if no
+ * strategy has looked at it yet.
+ * @param {{size: number}} doc
+ * @returns {Generator<any, boolean>}
+ */
+function* detectEncryption(doc) {
+  if (doc.encrypted !== undefined) return doc.encrypted;
+  try {
+    const xrefOffset = yield* findStartXrefOffset(doc);
+    const token = readAscii(yield* readBytes(xrefOffset, 4), 0, 4);
+    if (token === "xref") {
+      const section = yield* parseWindow(
+        doc,
+        xrefOffset,
+        parseClassicXrefSection
+      );
+      useTrailer(doc, section.trailerDict);
+    } else {
+      useTrailer(doc, (yield* loadStreamObject(doc, xrefOffset)).dictString);
+    }
+  } catch (e) {
+    if (e instanceof PdfLimitError) throw e;
+    doc.encrypted = false;
+  }
+  return doc.encrypted;
+}
+
+/**
+ * File key and stream method of the document, or null if it is not
+ * encrypted. The password (default "") is tried as user password, then as
+ * owner password, so owner-password-only files open without one.
+ * @returns {Generator<any, {method: "identity"|"rc4"|"aesv2"|"aesv3", stringMethod: string, key: Uint8Array, encryptMetadata: boolean}|null>}
+ */
+function* loadSecurity(doc, xmap) {
+  if (doc.security !== undefined) return doc.security;
+  if (!doc.encrypted) return (doc.security = null);
+  const trailer = parseDict(doc.trailerDict);
+  const ref = dictRef(trailer, "Encrypt");
+  let encryptDict = trailer.get("Encrypt");
+  if (ref) {
+    encryptDict = parseDict(
+      yield* getObjectDictViaXrefMap(doc, xmap, ref.obj, ref.gen)
+    );
+  }
+  if (!(encryptDict instanceof Map))
+    throw new PdfEncryptedError("Encryption dictionary not found");
+  const id = dictBytes(trailer, "ID") || new Uint8Array(0);
+  doc.security = openStandardSecurity(encryptDict, id, doc.password);
+  return doc.security;
+}
+
+/**
+ * Authenticate against the standard security handler (revisions 2-6).
+ * @param {Map<string, any>} dict - Encryption dictionary
+ * @param {Uint8Array} id - First element of the trailer /ID
+ * @param {string|undefined} password
+ */
+function openStandardSecurity(dict, id, password) {
+  const filter = dictName(dict, "Filter");
+  if (filter !== "Standard") {
+    throw new PdfEncryptedError(
+      `Unsupported security handler /${filter || "?"}`
+    );
+  }
+  const v = dictNumber(dict, "V") || 0;
+  const r = dictNumber(dict, "R");
+  const o = dictBytes(dict, "O");
+  const u = dictBytes(dict, "U");
+  const p = dictNumber(dict, "P");
+  if (!r || !o || !u || p === null)
+    throw new PdfEncryptedError("Invalid encryption dictionary");
+  if (r < 2 || r > 6)
+    throw new PdfEncryptedError(`Unsupported security handler revision ${r}`);
+  const method = cryptFilterMethod(dict, v, "StmF");
+  const encryptMetadata = v < 4 || dict.get("EncryptMetadata") !== false;
+  const fileKey = (candidate) => {
+    if (r >= 5) {
+      const pw = new TextEncoder().encode(candidate.normalize("NFKC"));
+      return aes256FileKey(pw.subarray(0, 127), {
+        r,
+        o,
+        u,
+        oe: dictBytes(dict, "OE"),
+        ue: dictBytes(dict, "UE"),
+      });
+    }
+    const length = dictNumber(dict, "Length") || 128;
+    const params = {
+      r,
+      o,
+      u,
+      p: p | 0,
+      id,
+      length: r === 2 ? 5 : Math.min(16, length / 8),
+      encryptMetadata,
+    };
+    const pw = latin1Bytes(candidate);
+    return (
+      rc4FileKey(pw, params) ||
+      rc4FileKey(userPasswordFromOwner(pw, params), params)
+    );
+  };
+  // A password given for a batch must not lock out files that need none
+  let key = fileKey(password || "");
+  if (!key && password) key = fileKey("");
+  if (!key) {
+    throw new PdfEncryptedError(
+      password ? "Incorrect password" : "A password is required"
+    );
+  }
+  return {
+    method,
+    stringMethod: cryptFilterMethod(dict, v, "StrF"),
+    key,
+    encryptMetadata,
+  };
+}
+
+/**
+ * How streams (`entry` "StmF") or strings ("StrF") are encrypted: /V 1-2 use
+ * RC4, /V 4-5 name a crypt filter.
+ */
+function cryptFilterMethod(dict, v, entry) {
+  if (v < 4) return "rc4";
+  const name = dictName(dict, entry);
+  if (!name || name === "Identity") return "identity";
+  const filters = dict.get("CF");
+  const cf = filters instanceof Map ? filters.get(name) : null;
+  if (!(cf instanceof Map))
+    throw new PdfEncryptedError(`Crypt filter /${name} not found`);
+  const cfm = dictName(cf, "CFM") || "None";
+  if (cfm === "V2") return "rc4";
+  if (cfm === "AESV2") return "aesv2";
+  if (cfm === "AESV3") return "aesv3";
+  if (cfm === "None") return "identity";
+  throw new PdfEncryptedError(`Unsupported crypt filter method /${cfm}`);
+}
+
+/** Algorithm 2 (file key) checked with algorithm 4/5 (/U); null if wrong. */
+function rc4FileKey(password, { r, o, u, p, id, length, encryptMetadata }) {
+  const perms = Uint8Array.of(
+    p & 255,
+    (p >> 8) & 255,
+    (p >> 16) & 255,
+    p >>> 24
+  );
+  const parts = [padPassword(password), o.subarray(0, 32), perms, id];
+  if (r >= 4 && !encryptMetadata) parts.push(Uint8Array.of(255, 255, 255, 255));
+  let key = md5(...parts).subarray(0, length);
+  if (r >= 3) {
+    for (let i = 0; i < 50; i += 1) key = md5(key).subarray(0, length);
+  }
+  if (r === 2)
+    return bytesEqual(rc4(key, PASSWORD_PADDING), u.subarray(0, 32))
+      ? key
+      : null;
+  let check = rc4(key, md5(PASSWORD_PADDING, id));
+  for (let i = 1; i <= 19; i += 1) check = rc4(xorBytes(key, i), check);
+  return bytesEqual(check, u.subarray(0, 16)) ? key : null;
+}
+
+/** Algorithm 7: recover the padded user password from /O. */
+function userPasswordFromOwner(password, { r, o, length }) {
+  let hash = md5(padPassword(password));
+  if (r >= 3) {
+    for (let i = 0; i < 50; i += 1) hash = md5(hash);
+  }
+  const key = hash.subarray(0, length);
+  if (r === 2) return rc4(key, o.subarray(0, 32));
+  let out = o.subarray(0, 32);
+  for (let i = 19; i >= 0; i -= 1) out = rc4(xorBytes(key, i), out);
+  return out;
+}
+
+/** Revisions 5 and 6: validate against /O or /U and unwrap /OE or /UE. */
+function aes256FileKey(password, { r, o, u, oe, ue }) {
+  const hash = r === 5 ? (...parts) => sha("sha256", ...parts) : hardenedHash;
+  const userData = u.subarray(0, 48);
+  let wrapped = null;
+  let kek;
+  if (
+    bytesEqual(hash(password, o.subarray(32, 40), userData), o.subarray(0, 32))
+  ) {
+    kek = hash(password, o.subarray(40, 48), userData);
+    wrapped = oe;
+  } else if (
+    bytesEqual(hash(password, u.subarray(32, 40)), u.subarray(0, 32))
+  ) {
+    kek = hash(password, u.subarray(40, 48));
+    wrapped = ue;
+  }
+  if (!wrapped) return null;
+  if (wrapped.length < 32)
+    throw new PdfEncryptedError("Invalid encryption dictionary");
+  return aesCbcDecrypt(kek, new Uint8Array(16), wrapped.subarray(0, 32), false);
+}
+
+/** Algorithm 2.B (revision 6): iterated SHA-2/AES hash of the password. */
+function hardenedHash(password, salt, userData = new Uint8Array(0)) {
+  let k = sha("sha256", password, salt, userData);
+  for (let i = 0; ; i += 1) {
+    const block = concatBytes([password, k, userData]);
+    const e = aesCbcEncrypt(
+      k.subarray(0, 16),
+      k.subarray(16, 32),
+      concatBytes(new Array(64).fill(block))
+    );
+    let sum = 0;
+    for (let j = 0; j < 16; j += 1) sum += e[j];
+    k = sha(["sha256", "sha384", "sha512"][sum % 3], e);
+    if (i >= 63 && e[e.length - 1] <= i - 31) break;
+  }
+  return k.subarray(0, 32);
+}
+
+/**
+ * Decrypt the data of stream `obj gen` with the document key; strings pass
+ * security.stringMethod as `method`.
+ */
+function decryptStream(security, obj, gen, data, method = security.method) {
+  const { key } = security;
+  if (method === "identity") return data;
+  if (method === "aesv3") return aesDecrypt(key, data);
+  const objKey = md5(
+    key,
+    Uint8Array.of(obj & 255, (obj >> 8) & 255, (obj >> 16) & 255),
+    Uint8Array.of(gen & 255, (gen >> 8) & 255),
+    latin1Bytes(method === "aesv2" ? "sAlT" : "")
+  ).subarray(0, Math.min(key.length + 5, 16));
+  return method === "aesv2" ? aesDecrypt(objKey, data) : rc4(objKey, data);
+}
+
+/** AES-CBC with the IV in the first 16 bytes and PKCS#5 padding. */
+function aesDecrypt(key, data) {
+  if (data.length < 32 || data.length % 16 !== 0)
+    throw new PdfParseError("Invalid AES-encrypted data length");
+  try {
+    return aesCbcDecrypt(key, data.subarray(0, 16), data.subarray(16));
+  } catch (e) {
+    throw new PdfParseError("Failed to decrypt stream", { cause: e });
+  }
+}
+
+// OpenSSL 3 ships RC4 only in its legacy provider, so it is done here.
+function rc4(key, data) {
+  const s = new Uint8Array(256);
+  for (let i = 0; i < 256; i += 1) s[i] = i;
+  for (let i = 0, j = 0; i < 256; i += 1) {
+    j = (j + s[i] + key[i % key.length]) & 255;
+    const t = s[i];
+    s[i] = s[j];
+    s[j] = t;
+  }
+  const out = new Uint8Array(data.length);
+  for (let k = 0, i = 0, j = 0; k < data.length; k += 1) {
+    i = (i + 1) & 255;
+    j = (j + s[i]) & 255;
+    const t = s[i];
+    s[i] = s[j];
+    s[j] = t;
+    out[k] = data[k] ^ s[(s[i] + s[j]) & 255];
+  }
+  return out;
+}
+
+function padPassword(password) {
+  return concatBytes([password, PASSWORD_PADDING]).subarray(0, 32);
+}
+
+function xorBytes(key, value) {
+  return key.map((b) => b ^ value);
+}
+
+function md5(...parts) {
+  return sha("md5", ...parts);
+}
+
+function sha(algorithm, ...parts) {
+  return digest(algorithm, ...parts);
+}
+
+function readArrayString(buffer, pos) {
+  if (buffer[pos] !== 0x5b)
+    throw new PdfParseError("Expected [", { offset: pos });
+  let depth = 0;
+  let p = pos;
+  while (p < buffer.length) {
+    if (buffer[p] === 0x28) {
+      p = skipLiteralString(buffer, p);
+      continue;
+    }
+    if (buffer[p] === 0x25) {
+      p = skipComment(buffer, p);
+      continue;
+    }
+    const c = buffer[p++];
+    if (c === 0x5b) depth += 1; // [
+    else if (c === 0x5d) {
+      // ]
+      depth -= 1;
+      if (depth === 0) break;
+    }
+  }
+  if (depth !== 0)
+    throw new PdfTruncatedError("Unterminated array", { offset: pos });
+  return { arrayString: latin1(buffer, pos, p), endPos: p };
+}
+
+function readAnyObjectContent(buffer, offset, expectedObj, expectedGen) {
+  let pos = offset;
+  const headerLine = readLineAscii(buffer, pos).trim();
+  const m = headerLine.match(/^(\d+)\s+(\d+)\s+obj\b/);
+  if (!m) throw new PdfParseError("Invalid object header", { offset });
+  pos = advanceToNextLine(buffer, pos);
+  pos = skipWhitespace(buffer, pos);
+  ensureAvailable(buffer, pos, 2);
+  const c = buffer[pos];
+  if (c === 0x3c && buffer[pos + 1] === 0x3c) {
+    const { dictString } = readDictString(buffer, pos);
+    return dictString;
+  }
+  if (c === 0x5b) {
+    const { arrayString } = readArrayString(buffer, pos);
+    return arrayString;
+  }
+  // Fallback: read until endobj
+  const endIdx = indexOfBytes(buffer, "endobj", pos);
+  if (endIdx < 0)
+    throw new PdfTruncatedError("endobj not found", { offset: pos });
+  return latin1(buffer, pos, endIdx);
+}
+
+/** Read the content (dict, array or scalar) of the object at a file offset. */
+function* loadAnyObjectContent(doc, offset, expectedObj, expectedGen) {
+  return yield* parseWindow(doc, offset, (chunk) =>
+    readAnyObjectContent(chunk, 0, expectedObj, expectedGen)
+  );
+}
+
+function* getArrayContentViaOffsets(doc, objOffsets, objNum, gen) {
+  const entry = objOffsets.get(objNum);
+  if (!entry) throw new PdfParseError("Array object not found");
+  const content = yield* loadAnyObjectContent(doc, entry.offset, objNum, gen);
+  return content;
+}
+
+// Build classic xref object offset map following trailer /Prev chain. Hybrid
+// files add compressed objects through /XRefStm; those land in objToObjStm.
+function* buildClassicXrefOffsetsFollowingPrevChain(doc, startOffset) {
+  const objectOffsets = new Map();
+  const objToObjStm = new Map();
+  const known = (objNum) =>
+    objectOffsets.has(objNum) || objToObjStm.has(objNum);
+  let trailerDictString = "";
+  let offset = startOffset;
+  let hops = 0;
+  while (offset > 0 && hops < 10) {
+    let section;
+    try {
+      section = yield* parseWindow(doc, offset, parseClassicXrefSection);
+    } catch (e) {
+      // A broken older section only ends the chain
+      if (hops === 0 || e instanceof PdfLimitError) throw e;
+      break;
+    }
+    for (const [objNum, val] of section.objectOffsets) {
+      if (!known(objNum)) objectOffsets.set(objNum, val);
+    }
+    const dictString = section.trailerDict;
+    // The table of a section wins over its /XRefStm, which wins over /Prev
+    const xrefStm = yield* loadHybridXrefStream(doc, dictString);
+    if (xrefStm) {
+      for (const [objNum, val] of xrefStm.objToOffset) {
+        if (!known(objNum)) objectOffsets.set(objNum, val);
+      }
+      for (const [objNum, val] of xrefStm.objToObjStm) {
+        if (!known(objNum)) objToObjStm.set(objNum, val);
+      }
+    }
+    checkObjectCount(doc, objectOffsets.size + objToObjStm.size);
+    trailerDictString = trailerDictString || dictString; // keep latest (first loop)
+    const prev = parseIntFromDict(dictString, "Prev");
+    if (!Number.isFinite(prev) || prev <= 0 || prev >= doc.size) break;
+    offset = prev;
+    hops += 1;
+  }
+  if (!trailerDictString) throw new PdfParseError("No trailer found");
+  return { objectOffsets, objToObjStm, latestTrailerDict: trailerDictString };
+}
+
+/**
+ * The xref stream a hybrid file's trailer names in /XRefStm, or null. Readers
+ * without xref stream support ignore it, so a broken one is ignored too.
+ */
+function* loadHybridXrefStream(doc, trailerDict) {
+  const offset = parseIntFromDict(trailerDict, "XRefStm");
+  if (!Number.isFinite(offset) || offset <= 0 || offset >= doc.size)
+    return null;
+  try {
+    const xrefObj = yield* loadStreamObject(doc, offset);
+    if (!hasType(xrefObj.dictString, "XRef")) return null;
+    return buildXrefMapFromXrefStream(doc, xrefObj);
+  } catch (e) {
+    if (e instanceof PdfLimitError) throw e;
+    return null;
+  }
+}
+
+// Build xref map by following /Prev chain, supporting both xref streams and classic xref tables in previous revisions
+function* buildXrefMapFromXrefStreamChain(doc, firstXrefObj) {
+  let merged = buildXrefMapFromXrefStream(doc, firstXrefObj);
+  let dict = firstXrefObj.dictString;
+  let prev = parseIntFromDict(dict, "Prev");
+  let hops = 0;
+  while (Number.isFinite(prev) && prev > 0 && prev < doc.size && hops < 10) {
+    // Decide whether prev points to classic xref or xref stream
+    const token = readAscii(yield* readBytes(prev, 4), 0, 4);
+    if (token === "xref") {
+      // Parse classic and merge
+      const { objectOffsets, objToObjStm } =
+        yield* buildClassicXrefOffsetsFollowingPrevChain(doc, prev);
+      const known = (obj) =>
+        merged.objToOffset.has(obj) || merged.objToObjStm.has(obj);
+      for (const [obj, val] of objectOffsets.entries()) {
+        if (!known(obj)) merged.objToOffset.set(obj, val);
+      }
+      for (const [obj, val] of objToObjStm.entries()) {
+        if (!known(obj)) merged.objToObjStm.set(obj, val);
+      }
+      break; // classic chain will internally follow further Prev
+    } else {
+      // Treat as xref stream
+      const xo = yield* loadStreamObject(doc, prev);
+      if (!hasType(xo.dictString, "XRef")) break;
+      const map = buildXrefMapFromXrefStream(doc, xo);
+      // merge: keep latest (first) wins
+      for (const [obj, val] of map.objToOffset.entries()) {
+        if (!merged.objToOffset.has(obj)) merged.objToOffset.set(obj, val);
+      }
+      for (const [obj, val] of map.objToObjStm.entries()) {
+        if (!merged.objToObjStm.has(obj)) merged.objToObjStm.set(obj, val);
+      }
+      dict = xo.dictString;
+      prev = parseIntFromDict(dict, "Prev");
+      hops += 1;
+    }
+    checkObjectCount(doc, merged.objToOffset.size + merged.objToObjStm.size);
+  }
+  return merged;
+}
+// ---------------- XRef Stream Path -----------------
+function* parsePageCountViaXrefStream(doc) {
+  const xrefOffset = yield* findStartXrefOffset(doc);
+  const xrefObj = yield* loadStreamObject(doc, xrefOffset);
+  if (!hasType(xrefObj.dictString, "XRef"))
+    throw new PdfParseError("Not an XRef stream", { offset: xrefOffset });
+  useTrailer(doc, xrefObj.dictString);
+  const rootRef = parseIndirectRefFromDict(xrefObj.dictString, "Root");
+  if (!rootRef) throw new PdfParseError("Root not in XRef trailer");
+
+  const xmap = buildXrefMapFromXrefStream(doc, xrefObj);
+  const catalogDict = yield* getObjectDictViaXrefMap(
+    doc,
+    xmap,
+    rootRef.obj,
+    rootRef.gen
+  );
+  const pagesRef = parseIndirectRefFromDict(catalogDict, "Pages");
+  if (!pagesRef) throw new PdfParseError("Pages ref not in Catalog");
+  const pagesDict = yield* getObjectDictViaXrefMap(
+    doc,
+    xmap,
+    pagesRef.obj,
+    pagesRef.gen
+  );
+  const count = parseIntFromDict(pagesDict, "Count");
+  if (!Number.isInteger(count) || count <= 0)
+    throw new PdfParseError("Count not found");
+  return count;
+}
+
+function readStreamObject(buffer, offset) {
+  let pos = offset;
+  const headerLine = readLineAscii(buffer, pos).trim();
+  const m = headerLine.match(/^(\d+)\s+(\d+)\s+obj\b/);
+  if (!m) throw new PdfParseError("Invalid object header", { offset });
+  pos = advanceToNextLine(buffer, pos);
+  pos = skipWhitespace(buffer, pos);
+  ensureAvailable(buffer, pos, 2);
+  if (!(buffer[pos] === 0x3c && buffer[pos + 1] === 0x3c))
+    throw new PdfParseError("Object dictionary not found", { offset: pos });
+  const { dictString, endPos } = readDictString(buffer, pos);
+  let p = endPos;
+  // find 'stream'; it follows the dictionary after whitespace
+  const idx = indexOfBytes(buffer, "stream", p);
+  if (idx === -1 || idx - p > 256) {
+    if (idx === -1 && buffer.length - p < 256 + "stream".length)
+      throw new PdfTruncatedError("stream keyword not found", { offset: p });
+    throw new PdfParseError("stream keyword not found", { offset: p });
+  }
+  // Trust a direct /Length when 'endstream' is where it says
+  const length = parseIntFromDict(dictString, "Length");
+  if (Number.isInteger(length)) {
+    let start = idx + "stream".length;
+    ensureAvailable(buffer, start, 2);
+    if (buffer[start] === 0x0d) start += 1;
+    if (buffer[start] === 0x0a) start += 1;
+    ensureAvailable(buffer, start, length);
+    const after = skipWhitespace(buffer, start + length);
+    ensureAvailable(buffer, after, "endstream".length);
+    if (peekKeyword(buffer, after, "endstream")) {
+      return {
+        dictString,
+        streamBuffer: buffer.subarray(start, start + length),
+      };
+    }
+  }
+  let dataStart = idx + "stream".length;
+  while (
+    buffer[dataStart] === 0x20 ||
+    buffer[dataStart] === 0x0d ||
+    buffer[dataStart] === 0x0a
+  )
+    dataStart += 1;
+  const endIdx = indexOfBytes(buffer, "endstream", dataStart);
+  if (endIdx === -1)
+    throw new PdfTruncatedError("endstream not found", { offset: dataStart });
+  const streamBuffer = buffer.subarray(dataStart, endIdx);
+  return { dictString, streamBuffer };
+}
+
+/** Read the stream object at a file offset: { dictString, streamBuffer }. */
+function* loadStreamObject(doc, offset) {
+  return yield* parseWindow(doc, offset, (chunk) => readStreamObject(chunk, 0));
+}
+
+function readWArray(dictString) {
+  const w = parseDict(dictString).get("W");
+  if (!Array.isArray(w) || w.length !== 3 || !w.every(isNonNegativeInt))
+    throw new PdfParseError("W array not found");
+  return w;
+}
+
+function readIndexArray(dictString, size) {
+  const index = parseDict(dictString).get("Index");
+  if (!Array.isArray(index)) return [0, size];
+  const nums = index.filter(isNonNegativeInt);
+  const out = [];
+  for (let i = 0; i + 1 < nums.length; i += 2) out.push(nums[i], nums[i + 1]);
+  return out.length ? out : [0, size];
+}
+
+function readSize(dictString) {
+  const size = parseIntFromDict(dictString, "Size");
+  if (size === null) throw new PdfParseError("Size not found");
+  return size;
+}
+
+function isNonNegativeInt(value) {
+  return Number.isInteger(value) && value >= 0;
+}
+
+function buildXrefMapFromXrefStream(doc, xrefObj) {
+  const size = readSize(xrefObj.dictString);
+  const [w0, w1, w2] = readWArray(xrefObj.dictString);
+  const index = readIndexArray(xrefObj.dictString, size);
+  let data;
+  try {
+    // Rows are one entry wide unless /DecodeParms says otherwise
+    data = decodeStream(
+      xrefObj.dictString,
+      xrefObj.streamBuffer,
+      { columns: w0 + w1 + w2 },
+      doc.maxInflatedBytes
+    );
+  } catch (e) {
+    if (e instanceof PdfLimitError) throw e;
+    throw new PdfParseError("Failed to decode XRef stream", { cause: e });
+  }
+  const rowSize = w0 + w1 + w2;
+  if (!rowSize) throw new PdfParseError("W array describes empty rows");
+  const objToOffset = new Map();
+  const objToObjStm = new Map(); // obj -> { objstm, index }
+  let p = 0;
+  for (let i = 0; i < index.length; i += 2) {
+    const objStart = index[i];
+    const count = index[i + 1];
+    // /Index may claim more rows than the data holds
+    for (let j = 0; j < count && p + rowSize <= data.length; j += 1) {
+      const type = readUIntBE(data, p, w0);
+      p += w0;
+      const f2 = readUIntBE(data, p, w1);
+      p += w1; // offset or objstm
+      const f3 = readUIntBE(data, p, w2);
+      p += w2; // gen or index
+      const objNum = objStart + j;
+      const t = w0 === 0 ? 1 : type; // default type 1 when w0==0
+      if (t === 1) {
+        objToOffset.set(objNum, { offset: f2, gen: f3 });
+      } else if (t === 2) {
+        objToObjStm.set(objNum, { objstm: f2, index: f3 });
+      }
+    }
+  }
+  checkObjectCount(doc, objToOffset.size + objToObjStm.size);
+  return { objToOffset, objToObjStm };
+}
+
+function pngPredictorDecode(buf, rowSize, bpp = 1) {
+  // PNG Up/Sub/Average/Paeth on rows of rowSize bytes; each row starts with filter byte
+  const out = new Uint8Array(buf.length); // max
+  let inPos = 0;
+  let outPos = 0;
+  let prevRowStart = -1;
+  while (inPos < buf.length) {
+    const filter = buf[inPos++];
+    if (inPos + rowSize > buf.length) break;
+    // copy row to temp
+    for (let i = 0; i < rowSize; i += 1) {
+      let x = buf[inPos + i] | 0;
+      const left = i >= bpp ? out[outPos + i - bpp] : 0;
+      const up = prevRowStart >= 0 ? out[prevRowStart + i] : 0;
+      if (filter === 0) {
+        // None
+      } else if (filter === 1) {
+        // Sub
+        x = (x + left) & 255;
+      } else if (filter === 2) {
+        // Up
+        x = (x + up) & 255;
+      } else if (filter === 3) {
+        // Average
+        x = (x + Math.floor((left + up) / 2)) & 255;
+      } else if (filter === 4) {
+        // Paeth
+        const a = left,
+          b = up,
+          c = prevRowStart >= 0 && i >= bpp ? out[prevRowStart + i - bpp] : 0;
+        const p = a + b - c;
+        const pa = Math.abs(p - a);
+        const pb = Math.abs(p - b);
+        const pc = Math.abs(p - c);
+        const pr = pa <= pb && pa <= pc ? a : pb <= pc ? b : c;
+        x = (x + pr) & 255;
+      }
+      out[outPos + i] = x;
+    }
+    prevRowStart = outPos;
+    outPos += rowSize;
+    inPos += rowSize;
+  }
+  return out.slice(0, outPos);
+}
+
+// -------- Stream filters --------
+
+const FILTER_ABBREVIATIONS = {
+  Fl: "FlateDecode",
+  LZW: "LZWDecode",
+  AHx: "ASCIIHexDecode",
+  A85: "ASCII85Decode",
+  RL: "RunLengthDecode",
+};
+const SUPPORTED_FILTERS = new Set([
+  "FlateDecode",
+  "LZWDecode",
+  "ASCIIHexDecode",
+  "ASCII85Decode",
+  "RunLengthDecode",
+]);
+
+/**
+ * Decode stream data through its /Filter chain, applying each filter's
+ * /DecodeParms. `defaults` fills in parameters the dictionary leaves out.
+ * @param {string} dictString - Stream dictionary
+ * @param {Uint8Array} data - Raw (decrypted) stream data
+ * @param {{columns?: number}} [defaults]
+ * @param {number} [maxBytes] - Most bytes any filter may produce
+ * @returns {Uint8Array}
+ */
+function decodeStream(dictString, data, defaults = {}, maxBytes = Infinity) {
+  const filters = readFilterNames(dictString);
+  const parms = readDecodeParmsList(dictString, filters.length);
+  let out = data;
+  filters.forEach((name, i) => {
+    const dp = Object.assign({}, defaults, parms[i]);
+    if (name === "FlateDecode") out = inflate(out, maxBytes);
+    else if (name === "LZWDecode") {
+      const earlyChange = dp.earlyChange == null ? 1 : dp.earlyChange;
+      out = lzwDecode(out, earlyChange, maxBytes);
+    } else if (name === "ASCIIHexDecode") out = asciiHexDecode(out, maxBytes);
+    else if (name === "ASCII85Decode") out = ascii85Decode(out, maxBytes);
+    else if (name === "RunLengthDecode") out = runLengthDecode(out, maxBytes);
+    else throw new PdfParseError(`Unsupported filter /${name}`);
+    if (out.length > maxBytes) throw inflatedBytesError(maxBytes);
+    if (name === "FlateDecode" || name === "LZWDecode") {
+      out = predictorDecode(out, dp);
+      if (out.length > maxBytes) throw inflatedBytesError(maxBytes);
+    }
+  });
+  return out;
+}
+
+/** zlib inflate that stops once the output would exceed `maxBytes`. */
+function inflate(data, maxBytes) {
+  try {
+    return zlibInflate(data, maxBytes);
+  } catch (e) {
+    if (e.code === "ERR_BUFFER_TOO_LARGE") throw inflatedBytesError(maxBytes);
+    throw e;
+  }
+}
+
+function inflatedBytesError(maxBytes) {
+  return new PdfLimitError(
+    `Stream decodes to more than maxInflatedBytes ${maxBytes} bytes`,
+    { limit: "maxInflatedBytes" }
+  );
+}
+
+/** Whether every filter of the stream is one decodeStream understands. */
+function hasDecodableFilters(dictString) {
+  let filters;
+  try {
+    filters = readFilterNames(dictString);
+  } catch (e) {
+    return false; // the scans pass whatever precedes "stream"
+  }
+  return filters.length > 0 && filters.every((f) => SUPPORTED_FILTERS.has(f));
+}
+
+/** /Filter as a list of full filter names (a single name or an array). */
+function readFilterNames(dictString) {
+  const filter = parseDict(dictString).get("Filter");
+  const names = (Array.isArray(filter) ? filter : [filter])
+    .filter((value) => value && value.type === "name")
+    .map((value) => value.name);
+  return names.map((n) => FILTER_ABBREVIATIONS[n] || n);
+}
+
+/**
+ * /DecodeParms as one entry per filter: a dictionary, or an array holding a
+ * dictionary or null for each filter.
+ */
+function readDecodeParmsList(dictString, count) {
+  const dict = parseDict(dictString);
+  const value = dict.has("DecodeParms")
+    ? dict.get("DecodeParms")
+    : dict.get("DP");
+  const dicts = Array.isArray(value) ? value : [value];
+  const list = new Array(count).fill(null);
+  const keys = {
+    predictor: "Predictor",
+    colors: "Colors",
+    bitsPerComponent: "BitsPerComponent",
+    columns: "Columns",
+    earlyChange: "EarlyChange",
+  };
+  dicts.slice(0, count).forEach((d, i) => {
+    if (!(d instanceof Map)) return;
+    list[i] = {};
+    for (const [prop, key] of Object.entries(keys)) {
+      const n = dictNumber(d, key);
+      if (n !== null && n >= 0) list[i][prop] = Math.trunc(n);
+    }
+  });
+  return list;
+}
+
+/** Undo a TIFF (2) or PNG (10-15) predictor; 1 or none means no prediction. */
+function predictorDecode(data, dp) {
+  const predictor = dp.predictor || 1;
+  if (predictor === 1) return data;
+  const colors = dp.colors || 1;
+  const bpc = dp.bitsPerComponent || 8;
+  const columns = dp.columns || 1;
+  if (predictor === 2) return tiffPredictorDecode(data, colors, bpc, columns);
+  if (predictor >= 10) {
+    const rowSize = Math.ceil((colors * bpc * columns) / 8);
+    const bpp = Math.max(1, Math.ceil((colors * bpc) / 8));
+    return pngPredictorDecode(data, rowSize, bpp);
+  }
+  throw new PdfParseError(`Unsupported predictor ${predictor}`);
+}
+
+/** TIFF predictor 2: each component is stored as the difference to its left neighbor. */
+function tiffPredictorDecode(buf, colors, bpc, columns) {
+  const out = Uint8Array.from(buf);
+  const rowSize = Math.ceil((colors * bpc * columns) / 8);
+  for (let row = 0; row + rowSize <= out.length; row += rowSize) {
+    if (bpc === 8) {
+      for (let i = row + colors; i < row + rowSize; i += 1)
+        out[i] = (out[i] + out[i - colors]) & 255;
+    } else if (bpc === 16) {
+      for (let i = row + 2 * colors; i + 1 < row + rowSize; i += 2) {
+        const sum =
+          ((out[i] << 8) | out[i + 1]) +
+          ((out[i - 2 * colors] << 8) | out[i - 2 * colors + 1]);
+        out[i] = (sum >> 8) & 255;
+        out[i + 1] = sum & 255;
+      }
+    } else {
+      const mask = (1 << bpc) - 1;
+      const bitAt = (k) => row * 8 + k * bpc;
+      for (let k = colors; k < colors * columns; k += 1) {
+        const value =
+          (readBits(out, bitAt(k), bpc) +
+            readBits(out, bitAt(k - colors), bpc)) &
+          mask;
+        writeBits(out, bitAt(k), bpc, value);
+      }
+    }
+  }
+  return out;
+}
+
+// Sub-byte samples (1, 2 or 4 bits) never straddle a byte boundary.
+function readBits(buf, bit, width) {
+  const shift = 8 - (bit % 8) - width;
+  return (buf[bit >> 3] >> shift) & ((1 << width) - 1);
+}
+
+function writeBits(buf, bit, width, value) {
+  const shift = 8 - (bit % 8) - width;
+  const mask = ((1 << width) - 1) << shift;
+  buf[bit >> 3] = (buf[bit >> 3] & ~mask) | (value << shift);
+}
+
+/** Variable-width (9-12 bit) LZW, as in TIFF; EarlyChange 1 is the default. */
+function lzwDecode(data, earlyChange, maxBytes = Infinity) {
+  const prefix = new Int32Array(4096);
+  const suffix = new Uint8Array(4096);
+  const length = new Uint16Array(4096);
+  for (let i = 0; i < 256; i += 1) {
+    prefix[i] = -1;
+    suffix[i] = i;
+    length[i] = 1;
+  }
+  let out = new Uint8Array(Math.max(1024, data.length * 2));
+  let outLen = 0;
+  let next = 258;
+  let codeLength = 9;
+  let prev = -1;
+  let bits = 0;
+  let bitCount = 0;
+  let p = 0;
+  for (;;) {
+    while (bitCount < codeLength && p < data.length) {
+      bits = ((bits << 8) | data[p++]) & 0xfffff;
+      bitCount += 8;
+    }
+    if (bitCount < codeLength) break;
+    bitCount -= codeLength;
+    const code = (bits >> bitCount) & ((1 << codeLength) - 1);
+    if (code === 256) {
+      next = 258;
+      codeLength = 9;
+      prev = -1;
+      continue;
+    }
+    if (code === 257) break;
+    if (code > next || (code === next && prev < 0)) {
+      throw new PdfParseError("Invalid LZW code");
+    }
+    let added = false;
+    if (code === next) {
+      // The code being defined: previous string plus its own first byte
+      let first = prev;
+      while (prefix[first] >= 0) first = prefix[first];
+      prefix[next] = prev;
+      suffix[next] = suffix[first];
+      length[next] = length[prev] + 1;
+      next += 1;
+      added = true;
+    }
+    const len = length[code];
+    if (outLen + len > maxBytes) throw inflatedBytesError(maxBytes);
+    if (outLen + len > out.length) {
+      const grown = new Uint8Array(Math.max(out.length * 2, outLen + len));
+      grown.set(out.subarray(0, outLen));
+      out = grown;
+    }
+    for (let k = len - 1, c = code; k >= 0; k -= 1) {
+      out[outLen + k] = suffix[c];
+      c = prefix[c];
+    }
+    if (!added && prev >= 0 && next < 4096) {
+      prefix[next] = prev;
+      suffix[next] = out[outLen];
+      length[next] = length[prev] + 1;
+      next += 1;
+    }
+    outLen += len;
+    prev = code;
+    if (next + earlyChange >= 1 << codeLength && codeLength < 12)
+      codeLength += 1;
+  }
+  return out.subarray(0, outLen);
+}
+
+function asciiHexDecode(data, maxBytes = Infinity) {
+  let hex = "";
+  for (let i = 0; i < data.length && data[i] !== 0x3e; i += 1) {
+    const c = data[i];
+    if (isWhitespaceByte(c)) continue;
+    const ch = String.fromCharCode(c);
+    if (!/[0-9A-Fa-f]/.test(ch))
+      throw new PdfParseError("Invalid ASCIIHex data", { offset: i });
+    if (hex.length >= maxBytes * 2) throw inflatedBytesError(maxBytes);
+    hex += ch;
+  }
+  if (hex.length % 2) hex += "0";
+  return hexBytes(hex);
+}
+
+function ascii85Decode(data, maxBytes = Infinity) {
+  const out = new Uint8Array(Math.min(data.length * 4, maxBytes));
+  let outLen = 0;
+  let group = 0;
+  let n = 0;
+  const flush = (bytes) => {
+    if (outLen + bytes > maxBytes) throw inflatedBytesError(maxBytes);
+    for (let k = 0; k < bytes; k += 1)
+      out[outLen++] = Math.floor(group / 2 ** (24 - 8 * k)) & 255;
+  };
+  let i = data[0] === 0x3c && data[1] === 0x7e ? 2 : 0; // optional "<~"
+  for (; i < data.length; i += 1) {
+    const c = data[i];
+    if (isWhitespaceByte(c)) continue;
+    if (c === 0x7e) break; // "~>"
+    if (c === 0x7a && n === 0) {
+      if (outLen + 4 > maxBytes) throw inflatedBytesError(maxBytes);
+      outLen += 4; // "z": four zero bytes
+      continue;
+    }
+    if (c < 0x21 || c > 0x75)
+      throw new PdfParseError("Invalid ASCII85 data", { offset: i });
+    group = group * 85 + (c - 0x21);
+    n += 1;
+    if (n === 5) {
+      flush(4);
+      group = 0;
+      n = 0;
+    }
+  }
+  if (n === 1) throw new PdfParseError("Invalid ASCII85 final group");
+  if (n > 1) {
+    for (let k = n; k < 5; k += 1) group = group * 85 + 84;
+    flush(n - 1);
+  }
+  return out.subarray(0, outLen);
+}
+
+function runLengthDecode(data, maxBytes = Infinity) {
+  const chunks = [];
+  let size = 0;
+  let i = 0;
+  while (i < data.length) {
+    const len = data[i++];
+    if (len === 128) break;
+    let chunk;
+    if (len < 128) {
+      chunk = data.subarray(i, i + len + 1);
+      i += len + 1;
+    } else {
+      if (i >= data.length) break;
+      chunk = new Uint8Array(257 - len).fill(data[i]);
+      i += 1;
+    }
+    size += chunk.length;
+    if (size > maxBytes) throw inflatedBytesError(maxBytes);
+    chunks.push(chunk);
+  }
+  return concatBytes(chunks);
+}
+
+function isWhitespaceByte(c) {
+  return (
+    c === 0x00 ||
+    c === 0x09 ||
+    c === 0x0a ||
+    c === 0x0c ||
+    c === 0x0d ||
+    c === 0x20
+  );
+}
+
+function readUIntBE(buf, pos, len) {
+  if (len === 0) return 0;
+  let n = 0;
+  for (let i = 0; i < len; i += 1) n = (n << 8) | (buf[pos + i] || 0);
+  return n >>> 0;
+}
+
+function* getObjectDictViaXrefMap(doc, xmap, objNum, gen) {
+  const off = xmap.objToOffset.get(objNum);
+  if (off && Number.isFinite(off.offset)) {
+    const obj = yield* loadIndirectObject(doc, off.offset);
+    return obj.dictString;
+  }
+  const os = xmap.objToObjStm.get(objNum);
+  if (!os) throw new PdfParseError("Object not found in xref map");
+  // Load object stream
+  const objStm = yield* loadObjStm(doc, xmap, os.objstm);
+  const slice = objStmMember(objStm, os.index);
+  // Extract dictionary from slice
+  const dictStart = indexOfBytes(slice, "<<");
+  if (dictStart === -1)
+    throw new PdfParseError("Dict not found in embedded object");
+  const { dictString } = readDictString(slice, dictStart);
+  return dictString;
+}
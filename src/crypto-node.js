@@ -0,0 +1,51 @@
+const crypto = require("crypto");
+
+/**
+ * node:crypto behind the interface of ./crypto.js, which stands in for it on
+ * other platforms (see "imports" in package.json).
+ */
+
+/**
+ * Digest of the concatenated parts.
+ * @param {"md5"|"sha256"|"sha384"|"sha512"} algorithm
+ * @param {...Uint8Array} parts
+ * @returns {Uint8Array}
+ */
+function hash(algorithm, ...parts) {
+  const h = crypto.createHash(algorithm);
+  for (const part of parts) h.update(part);
+  return h.digest();
+}
+
+/**
+ * AES-CBC decryption; with `padding`, PKCS#7 padding is checked and removed.
+ * @param {Uint8Array} key - 16, 24 or 32 bytes
+ * @param {Uint8Array} iv
+ * @param {Uint8Array} data - a multiple of 16 bytes
+ * @param {boolean} [padding=true]
+ * @returns {Uint8Array}
+ */
+function aesCbcDecrypt(key, iv, data, padding = true) {
+  const decipher = crypto.createDecipheriv(
+    `aes-${key.length * 8}-cbc`,
+    key,
+    iv
+  );
+  decipher.setAutoPadding(padding);
+  return Buffer.concat([decipher.update(data), decipher.final()]);
+}
+
+/**
+ * AES-CBC encryption without padding.
+ * @param {Uint8Array} key - 16, 24 or 32 bytes
+ * @param {Uint8Array} iv
+ * @param {Uint8Array} data - a multiple of 16 bytes
+ * @returns {Uint8Array}
+ */
+function aesCbcEncrypt(key, iv, data) {
+  const cipher = crypto.createCipheriv(`aes-${key.length * 8}-cbc`, key, iv);
+  cipher.setAutoPadding(false);
+  return Buffer.concat([cipher.update(data), cipher.final()]);
+}
+
+module.exports = { hash, aesCbcDecrypt, aesCbcEncrypt };
@@ -0,0 +1,501 @@
+/**
+ * MD5, SHA-256/384/512 and AES-CBC in plain JavaScript, for platforms
+ * without node:crypto. Only the pieces the standard security handler needs,
+ * with the interface of ./crypto-node.js.
+ */
+
+// -------- Hashes --------
+
+const MD5_SHIFTS = [
+  [7, 12, 17, 22],
+  [5, 9, 14, 20],
+  [4, 11, 16, 23],
+  [6, 10, 15, 21],
+].flatMap((round) => [...round, ...round, ...round, ...round]);
+const MD5_K = Array.from(
+  { length: 64 },
+  (_, i) => Math.floor(Math.abs(Math.sin(i + 1)) * 2 ** 32) >>> 0
+);
+// First 32 bits of the fractional parts of the cube roots of the first 64
+// primes (square roots of the first 8 for the initial state)
+const SHA256_K = [
+  0x428a2f98, 0x71374491, 0xb5c0fbcf, 0xe9b5dba5, 0x3956c25b, 0x59f111f1,
+  0x923f82a4, 0xab1c5ed5, 0xd807aa98, 0x12835b01, 0x243185be, 0x550c7dc3,
+  0x72be5d74, 0x80deb1fe, 0x9bdc06a7, 0xc19bf174, 0xe49b69c1, 0xefbe4786,
+  0x0fc19dc6, 0x240ca1cc, 0x2de92c6f, 0x4a7484aa, 0x5cb0a9dc, 0x76f988da,
+  0x983e5152, 0xa831c66d, 0xb00327c8, 0xbf597fc7, 0xc6e00bf3, 0xd5a79147,
+  0x06ca6351, 0x14292967, 0x27b70a85, 0x2e1b2138, 0x4d2c6dfc, 0x53380d13,
+  0x650a7354, 0x766a0abb, 0x81c2c92e, 0x92722c85, 0xa2bfe8a1, 0xa81a664b,
+  0xc24b8b70, 0xc76c51a3, 0xd192e819, 0xd6990624, 0xf40e3585, 0x106aa070,
+  0x19a4c116, 0x1e376c08, 0x2748774c, 0x34b0bcb5, 0x391c0cb3, 0x4ed8aa4a,
+  0x5b9cca4f, 0x682e6ff3, 0x748f82ee, 0x78a5636f, 0x84c87814, 0x8cc70208,
+  0x90befffa, 0xa4506ceb, 0xbef9a3f7, 0xc67178f2,
+];
+const SHA256_INIT = [
+  0x6a09e667, 0xbb67ae85, 0x3c6ef372, 0xa54ff53a, 0x510e527f, 0x9b05688c,
+  0x1f83d9ab, 0x5be0cd19,
+];
+// The same for SHA-512 as 64-bit values split into [high, low] 32-bit words
+const SHA512_K = [
+  0x428a2f98, 0xd728ae22, 0x71374491, 0x23ef65cd, 0xb5c0fbcf, 0xec4d3b2f,
+  0xe9b5dba5, 0x8189dbbc, 0x3956c25b, 0xf348b538, 0x59f111f1, 0xb605d019,
+  0x923f82a4, 0xaf194f9b, 0xab1c5ed5, 0xda6d8118, 0xd807aa98, 0xa3030242,
+  0x12835b01, 0x45706fbe, 0x243185be, 0x4ee4b28c, 0x550c7dc3, 0xd5ffb4e2,
+  0x72be5d74, 0xf27b896f, 0x80deb1fe, 0x3b1696b1, 0x9bdc06a7, 0x25c71235,
+  0xc19bf174, 0xcf692694, 0xe49b69c1, 0x9ef14ad2, 0xefbe4786, 0x384f25e3,
+  0x0fc19dc6, 0x8b8cd5b5, 0x240ca1cc, 0x77ac9c65, 0x2de92c6f, 0x592b0275,
+  0x4a7484aa, 0x6ea6e483, 0x5cb0a9dc, 0xbd41fbd4, 0x76f988da, 0x831153b5,
+  0x983e5152, 0xee66dfab, 0xa831c66d, 0x2db43210, 0xb00327c8, 0x98fb213f,
+  0xbf597fc7, 0xbeef0ee4, 0xc6e00bf3, 0x3da88fc2, 0xd5a79147, 0x930aa725,
+  0x06ca6351, 0xe003826f, 0x14292967, 0x0a0e6e70, 0x27b70a85, 0x46d22ffc,
+  0x2e1b2138, 0x5c26c926, 0x4d2c6dfc, 0x5ac42aed, 0x53380d13, 0x9d95b3df,
+  0x650a7354, 0x8baf63de, 0x766a0abb, 0x3c77b2a8, 0x81c2c92e, 0x47edaee6,
+  0x92722c85, 0x1482353b, 0xa2bfe8a1, 0x4cf10364, 0xa81a664b, 0xbc423001,
+  0xc24b8b70, 0xd0f89791, 0xc76c51a3, 0x0654be30, 0xd192e819, 0xd6ef5218,
+  0xd6990624, 0x5565a910, 0xf40e3585, 0x5771202a, 0x106aa070, 0x32bbd1b8,
+  0x19a4c116, 0xb8d2d0c8, 0x1e376c08, 0x5141ab53, 0x2748774c, 0xdf8eeb99,
+  0x34b0bcb5, 0xe19b48a8, 0x391c0cb3, 0xc5c95a63, 0x4ed8aa4a, 0xe3418acb,
+  0x5b9cca4f, 0x7763e373, 0x682e6ff3, 0xd6b2b8a3, 0x748f82ee, 0x5defb2fc,
+  0x78a5636f, 0x43172f60, 0x84c87814, 0xa1f0ab72, 0x8cc70208, 0x1a6439ec,
+  0x90befffa, 0x23631e28, 0xa4506ceb, 0xde82bde9, 0xbef9a3f7, 0xb2c67915,
+  0xc67178f2, 0xe372532b, 0xca273ece, 0xea26619c, 0xd186b8c7, 0x21c0c207,
+  0xeada7dd6, 0xcde0eb1e, 0xf57d4f7f, 0xee6ed178, 0x06f067aa, 0x72176fba,
+  0x0a637dc5, 0xa2c898a6, 0x113f9804, 0xbef90dae, 0x1b710b35, 0x131c471b,
+  0x28db77f5, 0x23047d84, 0x32caab7b, 0x40c72493, 0x3c9ebe0a, 0x15c9bebc,
+  0x431d67c4, 0x9c100d4c, 0x4cc5d4be, 0xcb3e42b6, 0x597f299c, 0xfc657e2a,
+  0x5fcb6fab, 0x3ad6faec, 0x6c44198c, 0x4a475817,
+];
+const SHA512_INIT = [
+  0x6a09e667, 0xf3bcc908, 0xbb67ae85, 0x84caa73b, 0x3c6ef372, 0xfe94f82b,
+  0xa54ff53a, 0x5f1d36f1, 0x510e527f, 0xade682d1, 0x9b05688c, 0x2b3e6c1f,
+  0x1f83d9ab, 0xfb41bd6b, 0x5be0cd19, 0x137e2179,
+];
+const SHA384_INIT = [
+  0xcbbb9d5d, 0xc1059ed8, 0x629a292a, 0x367cd507, 0x9159015a, 0x3070dd17,
+  0x152fecd8, 0xf70e5939, 0x67332667, 0xffc00b31, 0x8eb44a87, 0x68581511,
+  0xdb0c2e0d, 0x64f98fa7, 0x47b5481d, 0xbefa4fa4,
+];
+
+/**
+ * Digest of the concatenated parts.
+ * @param {"md5"|"sha256"|"sha384"|"sha512"} algorithm
+ * @param {...Uint8Array} parts
+ * @returns {Uint8Array}
+ */
+function hash(algorithm, ...parts) {
+  const data = concat(parts);
+  if (algorithm === "md5") return md5(data);
+  if (algorithm === "sha256") return sha256(data);
+  if (algorithm === "sha384") return sha512(data, SHA384_INIT).subarray(0, 48);
+  if (algorithm === "sha512") return sha512(data, SHA512_INIT);
+  throw new Error(`Unsupported hash ${algorithm}`);
+}
+
+function concat(parts) {
+  let length = 0;
+  for (const part of parts) length += part.length;
+  const out = new Uint8Array(length);
+  let pos = 0;
+  for (const part of parts) {
+    out.set(part, pos);
+    pos += part.length;
+  }
+  return out;
+}
+
+/**
+ * Message padding of the MD5/SHA family: 0x80, zeros, then the bit length in
+ * the last 8 bytes of a `blockSize` block.
+ */
+function padMessage(data, blockSize, littleEndian) {
+  const lengthBytes = blockSize === 128 ? 16 : 8;
+  const total =
+    Math.ceil((data.length + 1 + lengthBytes) / blockSize) * blockSize;
+  const out = new Uint8Array(total);
+  out.set(data);
+  out[data.length] = 0x80;
+  const view = new DataView(out.buffer);
+  const bits = data.length * 8;
+  const high = Math.floor(bits / 2 ** 32);
+  const low = bits >>> 0;
+  if (littleEndian) {
+    view.setUint32(total - 8, low, true);
+    view.setUint32(total - 4, high, true);
+  } else {
+    view.setUint32(total - 8, high);
+    view.setUint32(total - 4, low);
+  }
+  return out;
+}
+
+function md5(data) {
+  const msg = padMessage(data, 64, true);
+  const view = new DataView(msg.buffer);
+  const m = new Uint32Array(16);
+  const h = [0x67452301, 0xefcdab89, 0x98badcfe, 0x10325476];
+  for (let off = 0; off < msg.length; off += 64) {
+    for (let i = 0; i < 16; i++) m[i] = view.getUint32(off + i * 4, true);
+    let [a, b, c, d] = h;
+    for (let i = 0; i < 64; i++) {
+      let f;
+      let g;
+      if (i < 16) {
+        f = (b & c) | (~b & d);
+        g = i;
+      } else if (i < 32) {
+        f = (d & b) | (~d & c);
+        g = (5 * i + 1) % 16;
+      } else if (i < 48) {
+        f = b ^ c ^ d;
+        g = (3 * i + 5) % 16;
+      } else {
+        f = c ^ (b | ~d);
+        g = (7 * i) % 16;
+      }
+      f = (f + a + MD5_K[i] + m[g]) | 0;
+      a = d;
+      d = c;
+      c = b;
+      b = (b + ((f << MD5_SHIFTS[i]) | (f >>> (32 - MD5_SHIFTS[i])))) | 0;
+    }
+    h[0] = (h[0] + a) | 0;
+    h[1] = (h[1] + b) | 0;
+    h[2] = (h[2] + c) | 0;
+    h[3] = (h[3] + d) | 0;
+  }
+  const out = new Uint8Array(16);
+  const outView = new DataView(out.buffer);
+  h.forEach((word, i) => outView.setUint32(i * 4, word >>> 0, true));
+  return out;
+}
+
+function sha256(data) {
+  const msg = padMessage(data, 64, false);
+  const view = new DataView(msg.buffer);
+  const w = new Uint32Array(64);
+  const h = Uint32Array.from(SHA256_INIT);
+  const rotr = (x, n) => (x >>> n) | (x << (32 - n));
+  for (let off = 0; off < msg.length; off += 64) {
+    for (let i = 0; i < 16; i++) w[i] = view.getUint32(off + i * 4);
+    for (let i = 16; i < 64; i++) {
+      const s0 = rotr(w[i - 15], 7) ^ rotr(w[i - 15], 18) ^ (w[i - 15] >>> 3);
+      const s1 = rotr(w[i - 2], 17) ^ rotr(w[i - 2], 19) ^ (w[i - 2] >>> 10);
+      w[i] = w[i - 16] + s0 + w[i - 7] + s1;
+    }
+    let [a, b, c, d, e, f, g, hh] = h;
+    for (let i = 0; i < 64; i++) {
+      const s1 = rotr(e, 6) ^ rotr(e, 11) ^ rotr(e, 25);
+      const ch = (e & f) ^ (~e & g);
+      const t1 = (hh + s1 + ch + SHA256_K[i] + w[i]) | 0;
+      const s0 = rotr(a, 2) ^ rotr(a, 13) ^ rotr(a, 22);
+      const maj = (a & b) ^ (a & c) ^ (b & c);
+      const t2 = (s0 + maj) | 0;
+      hh = g;
+      g = f;
+      f = e;
+      e = (d + t1) | 0;
+      d = c;
+      c = b;
+      b = a;
+      a = (t1 + t2) | 0;
+    }
+    h[0] += a;
+    h[1] += b;
+    h[2] += c;
+    h[3] += d;
+    h[4] += e;
+    h[5] += f;
+    h[6] += g;
+    h[7] += hh;
+  }
+  const out = new Uint8Array(32);
+  const outView = new DataView(out.buffer);
+  h.forEach((word, i) => outView.setUint32(i * 4, word));
+  return out;
+}
+
+/**
+ * SHA-512 (or SHA-384, by its initial state). 64-bit words are kept as high
+ * and low 32-bit halves; sums carry from the low half by hand.
+ */
+function sha512(data, init) {
+  const msg = padMessage(data, 128, false);
+  const view = new DataView(msg.buffer);
+  const wh = new Int32Array(80);
+  const wl = new Int32Array(80);
+  const hh = new Int32Array(8);
+  const hl = new Int32Array(8);
+  for (let i = 0; i < 8; i++) {
+    hh[i] = init[2 * i];
+    hl[i] = init[2 * i + 1];
+  }
+  const carry = (lo) => Math.floor(lo / 0x100000000);
+  for (let off = 0; off < msg.length; off += 128) {
+    for (let i = 0; i < 16; i++) {
+      wh[i] = view.getInt32(off + 8 * i);
+      wl[i] = view.getInt32(off + 8 * i + 4);
+    }
+    for (let i = 16; i < 80; i++) {
+      // sigma0 = rotr 1 ^ rotr 8 ^ shr 7, sigma1 = rotr 19 ^ rotr 61 ^ shr 6
+      let xh = wh[i - 15];
+      let xl = wl[i - 15];
+      const s0h =
+        ((xh >>> 1) | (xl << 31)) ^ ((xh >>> 8) | (xl << 24)) ^ (xh >>> 7);
+      const s0l =
+        ((xl >>> 1) | (xh << 31)) ^
+        ((xl >>> 8) | (xh << 24)) ^
+        ((xl >>> 7) | (xh << 25));
+      xh = wh[i - 2];
+      xl = wl[i - 2];
+      const s1h =
+        ((xh >>> 19) | (xl << 13)) ^ ((xl >>> 29) | (xh << 3)) ^ (xh >>> 6);
+      const s1l =
+        ((xl >>> 19) | (xh << 13)) ^
+        ((xh >>> 29) | (xl << 3)) ^
+        ((xl >>> 6) | (xh << 26));
+      const lo =
+        (s0l >>> 0) + (wl[i - 16] >>> 0) + (wl[i - 7] >>> 0) + (s1l >>> 0);
+      wh[i] = s0h + wh[i - 16] + wh[i - 7] + s1h + carry(lo);
+      wl[i] = lo;
+    }
+    let [ah, bh, ch, dh, eh, fh, gh, h7h] = hh;
+    let [al, bl, cl, dl, el, fl, gl, h7l] = hl;
+    for (let i = 0; i < 80; i++) {
+      // Sigma1(e) = rotr 14 ^ rotr 18 ^ rotr 41
+      const s1h =
+        ((eh >>> 14) | (el << 18)) ^
+        ((eh >>> 18) | (el << 14)) ^
+        ((el >>> 9) | (eh << 23));
+      const s1l =
+        ((el >>> 14) | (eh << 18)) ^
+        ((el >>> 18) | (eh << 14)) ^
+        ((eh >>> 9) | (el << 23));
+      const chh = (eh & fh) ^ (~eh & gh);
+      const chl = (el & fl) ^ (~el & gl);
+      const t1l =
+        (h7l >>> 0) +
+        (s1l >>> 0) +
+        (chl >>> 0) +
+        SHA512_K[2 * i + 1] +
+        (wl[i] >>> 0);
+      const t1h = h7h + s1h + chh + SHA512_K[2 * i] + wh[i] + carry(t1l);
+      // Sigma0(a) = rotr 28 ^ rotr 34 ^ rotr 39
+      const s0h =
+        ((ah >>> 28) | (al << 4)) ^
+        ((al >>> 2) | (ah << 30)) ^
+        ((al >>> 7) | (ah << 25));
+      const s0l =
+        ((al >>> 28) | (ah << 4)) ^
+        ((ah >>> 2) | (al << 30)) ^
+        ((ah >>> 7) | (al << 25));
+      const majh = (ah & bh) ^ (ah & ch) ^ (bh & ch);
+      const majl = (al & bl) ^ (al & cl) ^ (bl & cl);
+      const t2l = (s0l >>> 0) + (majl >>> 0);
+      const t2h = s0h + majh + carry(t2l);
+      h7h = gh;
+      h7l = gl;
+      gh = fh;
+      gl = fl;
+      fh = eh;
+      fl = el;
+      const el2 = (dl >>> 0) + (t1l >>> 0);
+      eh = (dh + t1h + carry(el2)) | 0;
+      el = el2 | 0;
+      dh = ch;
+      dl = cl;
+      ch = bh;
+      cl = bl;
+      bh = ah;
+      bl = al;
+      const al2 = (t1l >>> 0) + (t2l >>> 0);
+      ah = (t1h + t2h + carry(al2)) | 0;
+      al = al2 | 0;
+    }
+    const highs = [ah, bh, ch, dh, eh, fh, gh, h7h];
+    const lows = [al, bl, cl, dl, el, fl, gl, h7l];
+    for (let i = 0; i < 8; i++) {
+      const lo = (hl[i] >>> 0) + (lows[i] >>> 0);
+      hh[i] = hh[i] + highs[i] + carry(lo);
+      hl[i] = lo;
+    }
+  }
+  const out = new Uint8Array(64);
+  const outView = new DataView(out.buffer);
+  for (let i = 0; i < 8; i++) {
+    outView.setInt32(8 * i, hh[i]);
+    outView.setInt32(8 * i + 4, hl[i]);
+  }
+  return out;
+}
+
+// -------- AES --------
+
+const SBOX = new Uint8Array(256);
+const INV_SBOX = new Uint8Array(256);
+(function buildSboxes() {
+  const rotl8 = (x, n) => ((x << n) | (x >> (8 - n))) & 0xff;
+  // p walks the multiplicative group by 3, q by its inverse 1/3
+  let p = 1;
+  let q = 1;
+  do {
+    p = p ^ ((p << 1) & 0xff) ^ (p & 0x80 ? 0x1b : 0);
+    q ^= q << 1;
+    q ^= q << 2;
+    q ^= q << 4;
+    q &= 0xff;
+    if (q & 0x80) q ^= 0x09;
+    const x = q ^ rotl8(q, 1) ^ rotl8(q, 2) ^ rotl8(q, 3) ^ rotl8(q, 4);
+    SBOX[p] = x ^ 0x63;
+  } while (p !== 1);
+  SBOX[0] = 0x63;
+  for (let i = 0; i < 256; i++) INV_SBOX[SBOX[i]] = i;
+})();
+
+function gmul(a, b) {
+  let product = 0;
+  for (; b; b >>= 1) {
+    if (b & 1) product ^= a;
+    a = (a << 1) ^ (a & 0x80 ? 0x11b : 0);
+  }
+  return product;
+}
+
+const MUL = [2, 3, 9, 11, 13, 14].reduce((tables, factor) => {
+  tables[factor] = Uint8Array.from({ length: 256 }, (_, i) => gmul(i, factor));
+  return tables;
+}, {});
+
+/** Round keys of AES-128/192/256 as one byte array of 16 * (rounds + 1). */
+function expandKey(key) {
+  const nk = key.length / 4;
+  if (![4, 6, 8].includes(nk)) throw new Error("Invalid AES key length");
+  const rounds = nk + 6;
+  const w = new Uint8Array(16 * (rounds + 1));
+  w.set(key);
+  let rcon = 1;
+  for (let i = nk; i < 4 * (rounds + 1); i++) {
+    let t = w.slice(4 * (i - 1), 4 * i);
+    if (i % nk === 0) {
+      t = Uint8Array.of(SBOX[t[1]] ^ rcon, SBOX[t[2]], SBOX[t[3]], SBOX[t[0]]);
+      rcon = gmul(rcon, 2);
+    } else if (nk > 6 && i % nk === 4) {
+      t = t.map((b) => SBOX[b]);
+    }
+    for (let j = 0; j < 4; j++) w[4 * i + j] = w[4 * (i - nk) + j] ^ t[j];
+  }
+  return { w, rounds };
+}
+
+function addRoundKey(s, w, round) {
+  for (let i = 0; i < 16; i++) s[i] ^= w[16 * round + i];
+}
+
+// Scratch state for the block functions
+const t = new Uint8Array(16);
+
+function encryptBlock(s, { w, rounds }) {
+  addRoundKey(s, w, 0);
+  for (let round = 1; round <= rounds; round++) {
+    // SubBytes and ShiftRows: row r moves r columns left
+    for (let c = 0; c < 4; c++) {
+      for (let row = 0; row < 4; row++) {
+        t[row + 4 * c] = SBOX[s[row + 4 * ((c + row) % 4)]];
+      }
+    }
+    if (round < rounds) {
+      for (let c = 0; c < 4; c++) {
+        const a0 = t[4 * c];
+        const a1 = t[4 * c + 1];
+        const a2 = t[4 * c + 2];
+        const a3 = t[4 * c + 3];
+        s[4 * c] = MUL[2][a0] ^ MUL[3][a1] ^ a2 ^ a3;
+        s[4 * c + 1] = a0 ^ MUL[2][a1] ^ MUL[3][a2] ^ a3;
+        s[4 * c + 2] = a0 ^ a1 ^ MUL[2][a2] ^ MUL[3][a3];
+        s[4 * c + 3] = MUL[3][a0] ^ a1 ^ a2 ^ MUL[2][a3];
+      }
+    } else {
+      s.set(t);
+    }
+    addRoundKey(s, w, round);
+  }
+}
+
+function decryptBlock(s, { w, rounds }) {
+  addRoundKey(s, w, rounds);
+  for (let round = rounds - 1; round >= 0; round--) {
+    // Inverse ShiftRows and SubBytes
+    for (let c = 0; c < 4; c++) {
+      for (let row = 0; row < 4; row++) {
+        t[row + 4 * ((c + row) % 4)] = INV_SBOX[s[row + 4 * c]];
+      }
+    }
+    s.set(t);
+    addRoundKey(s, w, round);
+    if (round > 0) {
+      for (let c = 0; c < 4; c++) {
+        const a0 = s[4 * c];
+        const a1 = s[4 * c + 1];
+        const a2 = s[4 * c + 2];
+        const a3 = s[4 * c + 3];
+        s[4 * c] = MUL[14][a0] ^ MUL[11][a1] ^ MUL[13][a2] ^ MUL[9][a3];
+        s[4 * c + 1] = MUL[9][a0] ^ MUL[14][a1] ^ MUL[11][a2] ^ MUL[13][a3];
+        s[4 * c + 2] = MUL[13][a0] ^ MUL[9][a1] ^ MUL[14][a2] ^ MUL[11][a3];
+        s[4 * c + 3] = MUL[11][a0] ^ MUL[13][a1] ^ MUL[9][a2] ^ MUL[14][a3];
+      }
+    }
+  }
+}
+
+/**
+ * AES-CBC decryption; with `padding`, PKCS#7 padding is checked and removed.
+ * @param {Uint8Array} key - 16, 24 or 32 bytes
+ * @param {Uint8Array} iv
+ * @param {Uint8Array} data - a multiple of 16 bytes
+ * @param {boolean} [padding=true]
+ * @returns {Uint8Array}
+ */
+function aesCbcDecrypt(key, iv, data, padding = true) {
+  if (data.length % 16 !== 0) throw new Error("wrong final block length");
+  const schedule = expandKey(key);
+  const out = new Uint8Array(data.length);
+  const block = new Uint8Array(16);
+  let prev = iv;
+  for (let off = 0; off < data.length; off += 16) {
+    block.set(data.subarray(off, off + 16));
+    decryptBlock(block, schedule);
+    for (let i = 0; i < 16; i++) out[off + i] = block[i] ^ prev[i];
+    prev = data.subarray(off, off + 16);
+  }
+  if (!padding) return out;
+  const n = out[out.length - 1];
+  if (!out.length || n < 1 || n > 16) throw new Error("bad decrypt");
+  for (let i = out.length - n; i < out.length; i++) {
+    if (out[i] !== n) throw new Error("bad decrypt");
+  }
+  return out.subarray(0, out.length - n);
+}
+
+/**
+ * AES-CBC encryption without padding.
+ * @param {Uint8Array} key - 16, 24 or 32 bytes
+ * @param {Uint8Array} iv
+ * @param {Uint8Array} data - a multiple of 16 bytes
+ * @returns {Uint8Array}
+ */
+function aesCbcEncrypt(key, iv, data) {
+  if (data.length % 16 !== 0) {
+    throw new Error("data not multiple of block length");
+  }
+  const schedule = expandKey(key);
+  const out = new Uint8Array(data.length);
+  let prev = iv;
+  for (let off = 0; off < data.length; off += 16) {
+    const block = out.subarray(off, off + 16);
+    for (let i = 0; i < 16; i++) block[i] = data[off + i] ^ prev[i];
+    encryptBlock(block, schedule);
+    prev = block;
+  }
+  return out;
+}
+
+module.exports = { hash, aesCbcDecrypt, aesCbcEncrypt };
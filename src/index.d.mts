@@ -0,0 +1,5 @@
+// Types for ./index.mjs, which re-exports ./index.js as an ES module.
+import * as api from "./index.js";
+
+export * from "./index.js";
+export default api;
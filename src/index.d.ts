@@ -1,6 +1,172 @@
+import type {
+  PdfInput as PdfCoreInput,
+  PdfAsyncInput as PdfCoreAsyncInput,
+  PdfOptions,
+  PdfPagesAnalysis,
+  PdfPageEntry,
+  PdfPageSizeSummary,
+  PdfRevision,
+  PdfMetadata,
+  PdfOutlineItem,
+  PdfBlankPages,
+  PdfColorPages,
+} from "./core";
+
+// The Node entry point: the core API, plus file paths, worker threads and batches.
+export * from "./core";
+
+/** A file path, relative to the working directory, or a core input. */
+export type PdfNodeInput = string | PdfCoreInput;
+export type PdfNodeAsyncInput = string | PdfCoreAsyncInput;
+
+export interface PdfPageCounterPoolOptions extends Omit<PdfOptions, "signal"> {
+  /** Most worker threads running at once. Default: one per CPU. */
+  concurrency?: number;
+}
+
+export interface PdfPageCounterPool {
+  /**
+   * Count pages on a worker thread. A Buffer or Uint8Array spanning its whole
+   * ArrayBuffer is transferred, not copied, and is empty afterwards.
+   */
+  count(input: string | Uint8Array, options?: PdfOptions): Promise<number>;
+  /** Let queued counts finish, then stop the workers. */
+  close(): Promise<void>;
+}
+
+export interface PdfBatchOptions extends PdfOptions {
+  /** Most counts in flight at once. Default: one per CPU. */
+  concurrency?: number;
+  /** Descend into subdirectories of directory inputs. Default false. */
+  recursive?: boolean;
+  /**
+   * Files to take from directories, relative to the listed directory. Without
+   * "/" it matches the file name. Case-insensitive. Default "*.pdf".
+   */
+  glob?: string;
+  /** Run the counts on this pool's worker threads. */
+  pool?: PdfPageCounterPool;
+}
+
+export interface PdfBatchResult {
+  path: string;
+  /** null when `error` is set. */
+  pages: number | null;
+  error: Error | null;
+  durationMs: number;
+}
+
+export interface PdfBatchProgress {
+  /** Files finished so far, failures included. */
+  done: number;
+  /** Number of files, once every input has been listed; null before. */
+  total: number | null;
+  pages: number;
+  failed: number;
+}
+
+export interface PdfBatchSummary {
+  files: number;
+  pages: number;
+  failed: number;
+  failures: { path: string; error: Error }[];
+  durationMs: number;
+}
+
+export interface PdfBatch
+  extends NodeJS.EventEmitter,
+    AsyncIterable<PdfBatchResult> {
+  on(event: "progress", listener: (progress: PdfBatchProgress) => void): this;
+  on(event: "end", listener: (summary: PdfBatchSummary) => void): this;
+  on(event: string | symbol, listener: (...args: any[]) => void): this;
+  /** Resolves once every file is done, counting them if nobody iterates. */
+  summary(): Promise<PdfBatchSummary>;
+}
+
 export declare function countPdfPagesSync(
-  input: string | Buffer | Uint8Array
+  input: PdfNodeInput,
+  options?: PdfOptions
 ): number;
 export declare function countPdfPages(
-  input: string | Buffer | Uint8Array
+  input: PdfNodeAsyncInput,
+  options?: PdfOptions
 ): Promise<number>;
+export declare function analyzePdfPagesSync(
+  input: PdfNodeInput,
+  options?: PdfOptions
+): PdfPagesAnalysis;
+export declare function analyzePdfPages(
+  input: PdfNodeAsyncInput,
+  options?: PdfOptions
+): Promise<PdfPagesAnalysis>;
+export declare function listPdfPagesSync(
+  input: PdfNodeInput,
+  options?: PdfOptions
+): PdfPageEntry[];
+export declare function listPdfPages(
+  input: PdfNodeAsyncInput,
+  options?: PdfOptions
+): Promise<PdfPageEntry[]>;
+export declare function summarizePdfPageSizesSync(
+  input: PdfNodeInput,
+  options?: PdfOptions
+): PdfPageSizeSummary;
+export declare function summarizePdfPageSizes(
+  input: PdfNodeAsyncInput,
+  options?: PdfOptions
+): Promise<PdfPageSizeSummary>;
+export declare function listPdfRevisionsSync(
+  input: PdfNodeInput,
+  options?: PdfOptions
+): PdfRevision[];
+export declare function listPdfRevisions(
+  input: PdfNodeAsyncInput,
+  options?: PdfOptions
+): Promise<PdfRevision[]>;
+export declare function readPdfMetadataSync(
+  input: PdfNodeInput,
+  options?: PdfOptions
+): PdfMetadata;
+export declare function readPdfMetadata(
+  input: PdfNodeAsyncInput,
+  options?: PdfOptions
+): Promise<PdfMetadata>;
+export declare function readPdfPageLabelsSync(
+  input: PdfNodeInput,
+  options?: PdfOptions
+): string[];
+export declare function readPdfPageLabels(
+  input: PdfNodeAsyncInput,
+  options?: PdfOptions
+): Promise<string[]>;
+export declare function readPdfOutlineSync(
+  input: PdfNodeInput,
+  options?: PdfOptions
+): PdfOutlineItem[];
+export declare function readPdfOutline(
+  input: PdfNodeAsyncInput,
+  options?: PdfOptions
+): Promise<PdfOutlineItem[]>;
+export declare function detectBlankPagesSync(
+  input: PdfNodeInput,
+  options?: PdfOptions
+): PdfBlankPages;
+export declare function detectBlankPages(
+  input: PdfNodeAsyncInput,
+  options?: PdfOptions
+): Promise<PdfBlankPages>;
+export declare function detectColorPagesSync(
+  input: PdfNodeInput,
+  options?: PdfOptions
+): PdfColorPages;
+export declare function detectColorPages(
+  input: PdfNodeAsyncInput,
+  options?: PdfOptions
+): Promise<PdfColorPages>;
+export declare function createPdfPageCounterPool(
+  options?: PdfPageCounterPoolOptions
+): PdfPageCounterPool;
+export declare function countPdfPagesBatch(
+  inputs: string | Iterable<string> | AsyncIterable<string>,
+  options?: PdfBatchOptions
+): PdfBatch;
@@ -1,14 +1,67 @@
-import fs from "fs";
-import path from "path";
-import { fileURLToPath } from "url";
 import * as cjs from "./index.js";
 
 // Provide ESM re-exports for import users
 export const countPdfPages = cjs.countPdfPages;
 export const countPdfPagesSync = cjs.countPdfPagesSync;
+export const analyzePdfPages = cjs.analyzePdfPages;
+export const analyzePdfPagesSync = cjs.analyzePdfPagesSync;
+export const listPdfPages = cjs.listPdfPages;
+export const listPdfPagesSync = cjs.listPdfPagesSync;
+export const summarizePdfPageSizes = cjs.summarizePdfPageSizes;
+export const summarizePdfPageSizesSync = cjs.summarizePdfPageSizesSync;
+export const listPdfRevisions = cjs.listPdfRevisions;
+export const listPdfRevisionsSync = cjs.listPdfRevisionsSync;
+export const readPdfMetadata = cjs.readPdfMetadata;
+export const readPdfMetadataSync = cjs.readPdfMetadataSync;
+export const readPdfPageLabels = cjs.readPdfPageLabels;
+export const readPdfPageLabelsSync = cjs.readPdfPageLabelsSync;
+export const findPdfPageByLabel = cjs.findPdfPageByLabel;
+export const readPdfOutline = cjs.readPdfOutline;
+export const readPdfOutlineSync = cjs.readPdfOutlineSync;
+export const detectBlankPages = cjs.detectBlankPages;
+export const detectBlankPagesSync = cjs.detectBlankPagesSync;
+export const detectColorPages = cjs.detectColorPages;
+export const detectColorPagesSync = cjs.detectColorPagesSync;
+export const parsePdfObject = cjs.parsePdfObject;
+export const createPdfPageCounterPool = cjs.createPdfPageCounterPool;
+export const countPdfPagesBatch = cjs.countPdfPagesBatch;
+export const PdfParseError = cjs.PdfParseError;
+export const PdfEncryptedError = cjs.PdfEncryptedError;
+export const PdfTruncatedError = cjs.PdfTruncatedError;
+export const PdfNotAPdfError = cjs.PdfNotAPdfError;
+export const PdfCycleError = cjs.PdfCycleError;
+export const PdfLimitError = cjs.PdfLimitError;
 
 // Optional: default export for convenience
 export default {
   countPdfPages,
   countPdfPagesSync,
+  analyzePdfPages,
+  analyzePdfPagesSync,
+  listPdfPages,
+  listPdfPagesSync,
+  summarizePdfPageSizes,
+  summarizePdfPageSizesSync,
+  listPdfRevisions,
+  listPdfRevisionsSync,
+  readPdfMetadata,
+  readPdfMetadataSync,
+  readPdfPageLabels,
+  readPdfPageLabelsSync,
+  findPdfPageByLabel,
+  readPdfOutline,
+  readPdfOutlineSync,
+  detectBlankPages,
+  detectBlankPagesSync,
+  detectColorPages,
+  detectColorPagesSync,
+  parsePdfObject,
+  createPdfPageCounterPool,
+  countPdfPagesBatch,
+  PdfParseError,
+  PdfEncryptedError,
+  PdfTruncatedError,
+  PdfNotAPdfError,
+  PdfCycleError,
+  PdfLimitError,
 };
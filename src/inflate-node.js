@@ -0,0 +1,17 @@
+const { constants } = require("buffer");
+const zlib = require("zlib");
+
+/**
+ * node:zlib behind the interface of ./inflate.js, which stands in for it on
+ * other platforms (see "imports" in package.json).
+ * @param {Uint8Array} data - zlib-wrapped deflate data
+ * @param {number} [maxBytes=Infinity]
+ * @returns {Uint8Array}
+ */
+function inflate(data, maxBytes = Infinity) {
+  if (maxBytes >= constants.MAX_LENGTH) return zlib.inflateSync(data);
+  // zlib wants at least 1; the caller checks the length it gets back
+  return zlib.inflateSync(data, { maxOutputLength: Math.max(1, maxBytes) });
+}
+
+module.exports = { inflate };
@@ -0,0 +1,281 @@
+/**
+ * zlib (RFC 1950/1951) inflate in plain JavaScript, for platforms without
+ * node:zlib. It fails like zlib.inflateSync does: a bad header, truncated
+ * input or a wrong Adler-32 checksum throws, and output beyond `maxBytes`
+ * throws an error with code ERR_BUFFER_TOO_LARGE.
+ */
+
+const LENGTH_BASE = [
+  3, 4, 5, 6, 7, 8, 9, 10, 11, 13, 15, 17, 19, 23, 27, 31, 35, 43, 51, 59, 67,
+  83, 99, 115, 131, 163, 195, 227, 258,
+];
+const LENGTH_EXTRA = [
+  0, 0, 0, 0, 0, 0, 0, 0, 1, 1, 1, 1, 2, 2, 2, 2, 3, 3, 3, 3, 4, 4, 4, 4, 5, 5,
+  5, 5, 0,
+];
+const DIST_BASE = [
+  1, 2, 3, 4, 5, 7, 9, 13, 17, 25, 33, 49, 65, 97, 129, 193, 257, 385, 513, 769,
+  1025, 1537, 2049, 3073, 4097, 6145, 8193, 12289, 16385, 24577,
+];
+const DIST_EXTRA = [
+  0, 0, 0, 0, 1, 1, 2, 2, 3, 3, 4, 4, 5, 5, 6, 6, 7, 7, 8, 8, 9, 9, 10, 10, 11,
+  11, 12, 12, 13, 13,
+];
+// Order in which code length code lengths are stored in a dynamic block
+const CODE_LENGTH_ORDER = [
+  16, 17, 18, 0, 8, 7, 9, 6, 10, 5, 11, 4, 12, 3, 13, 2, 14, 1, 15,
+];
+
+let fixedTables = null;
+
+/**
+ * @param {Uint8Array} data - zlib-wrapped deflate data
+ * @param {number} [maxBytes=Infinity]
+ * @returns {Uint8Array}
+ */
+function inflate(data, maxBytes = Infinity) {
+  if (data.length < 2) throw zlibError("unexpected end of file", "Z_BUF_ERROR");
+  if ((data[0] & 0x0f) !== 8 || ((data[0] << 8) | data[1]) % 31 !== 0) {
+    throw zlibError("incorrect header check");
+  }
+  if (data[0] >> 4 > 7) throw zlibError("invalid window size");
+  if (data[1] & 0x20) throw zlibError("Missing dictionary", "Z_NEED_DICT");
+
+  const s = { data, pos: 2, bits: 0, bitCount: 0 };
+  const out = createOutput(data.length, maxBytes);
+  let final;
+  do {
+    final = readBits(s, 1);
+    const type = readBits(s, 2);
+    if (type === 0) {
+      storedBlock(s, out);
+    } else if (type === 1) {
+      if (!fixedTables) fixedTables = buildFixedTables();
+      codesBlock(s, out, fixedTables.lengths, fixedTables.dists);
+    } else if (type === 2) {
+      const tables = readDynamicTables(s);
+      codesBlock(s, out, tables.lengths, tables.dists);
+    } else {
+      throw zlibError("invalid block type");
+    }
+  } while (!final);
+
+  // The Adler-32 checksum follows on the next byte boundary
+  s.bits = 0;
+  s.bitCount = 0;
+  if (s.pos + 4 > data.length) {
+    throw zlibError("unexpected end of file", "Z_BUF_ERROR");
+  }
+  const expected =
+    ((data[s.pos] << 24) |
+      (data[s.pos + 1] << 16) |
+      (data[s.pos + 2] << 8) |
+      data[s.pos + 3]) >>>
+    0;
+  const result = out.bytes.subarray(0, out.length);
+  if (adler32(result) !== expected) throw zlibError("incorrect data check");
+  return result;
+}
+
+function zlibError(message, code = "Z_DATA_ERROR") {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+}
+
+function readBits(s, n) {
+  while (s.bitCount < n) {
+    if (s.pos >= s.data.length) {
+      throw zlibError("unexpected end of file", "Z_BUF_ERROR");
+    }
+    s.bits |= s.data[s.pos++] << s.bitCount;
+    s.bitCount += 8;
+  }
+  const value = s.bits & ((1 << n) - 1);
+  s.bits >>>= n;
+  s.bitCount -= n;
+  return value;
+}
+
+/** Growable output that refuses to pass `maxBytes`. */
+function createOutput(inputLength, maxBytes) {
+  return {
+    bytes: new Uint8Array(Math.min(maxBytes, Math.max(1024, inputLength * 4))),
+    length: 0,
+    maxBytes,
+    reserve(n) {
+      const needed = this.length + n;
+      if (needed <= this.bytes.length) return;
+      if (needed > this.maxBytes) {
+        const err = new RangeError(
+          `Cannot create a Buffer larger than ${this.maxBytes} bytes`
+        );
+        err.code = "ERR_BUFFER_TOO_LARGE";
+        throw err;
+      }
+      const bigger = new Uint8Array(
+        Math.min(this.maxBytes, Math.max(needed, this.bytes.length * 2))
+      );
+      bigger.set(this.bytes.subarray(0, this.length));
+      this.bytes = bigger;
+    },
+  };
+}
+
+function storedBlock(s, out) {
+  s.bits = 0;
+  s.bitCount = 0;
+  const { data } = s;
+  if (s.pos + 4 > data.length) {
+    throw zlibError("unexpected end of file", "Z_BUF_ERROR");
+  }
+  const len = data[s.pos] | (data[s.pos + 1] << 8);
+  const nlen = data[s.pos + 2] | (data[s.pos + 3] << 8);
+  s.pos += 4;
+  if (len !== (~nlen & 0xffff)) throw zlibError("invalid stored block lengths");
+  if (s.pos + len > data.length) {
+    throw zlibError("unexpected end of file", "Z_BUF_ERROR");
+  }
+  out.reserve(len);
+  out.bytes.set(data.subarray(s.pos, s.pos + len), out.length);
+  out.length += len;
+  s.pos += len;
+}
+
+function codesBlock(s, out, lengths, dists) {
+  for (;;) {
+    const symbol = decodeSymbol(s, lengths);
+    if (symbol < 256) {
+      out.reserve(1);
+      out.bytes[out.length++] = symbol;
+      continue;
+    }
+    if (symbol === 256) return;
+    const index = symbol - 257;
+    if (index >= 29) throw zlibError("invalid literal/length code");
+    const length = LENGTH_BASE[index] + readBits(s, LENGTH_EXTRA[index]);
+    const distSymbol = decodeSymbol(s, dists);
+    if (distSymbol >= 30) throw zlibError("invalid distance code");
+    const distance =
+      DIST_BASE[distSymbol] + readBits(s, DIST_EXTRA[distSymbol]);
+    if (distance > out.length) {
+      throw zlibError("invalid distance too far back");
+    }
+    out.reserve(length);
+    const { bytes } = out;
+    let from = out.length - distance;
+    for (let i = 0; i < length; i++) bytes[out.length++] = bytes[from++];
+  }
+}
+
+/**
+ * Canonical Huffman table: `counts[len]` codes of each length and the
+ * symbols sorted by code. Over-subscribed sets are rejected; incomplete ones
+ * are allowed and fail only if an unused code turns up.
+ */
+function buildTable(codeLengths, what) {
+  const counts = new Uint16Array(16);
+  for (const len of codeLengths) counts[len]++;
+  counts[0] = 0;
+  let left = 1;
+  for (let len = 1; len < 16; len++) {
+    left = (left << 1) - counts[len];
+    if (left < 0) throw zlibError(`invalid ${what} set`);
+  }
+  const offsets = new Uint16Array(16);
+  for (let len = 1; len < 15; len++) {
+    offsets[len + 1] = offsets[len] + counts[len];
+  }
+  const symbols = new Uint16Array(codeLengths.length);
+  codeLengths.forEach((len, symbol) => {
+    if (len) symbols[offsets[len]++] = symbol;
+  });
+  return { counts, symbols };
+}
+
+function decodeSymbol(s, table) {
+  let code = 0;
+  let first = 0;
+  let index = 0;
+  for (let len = 1; len < 16; len++) {
+    code |= readBits(s, 1);
+    const count = table.counts[len];
+    if (code - first < count) return table.symbols[index + code - first];
+    index += count;
+    first = (first + count) << 1;
+    code <<= 1;
+  }
+  throw zlibError("invalid code");
+}
+
+function buildFixedTables() {
+  const lengths = new Array(288);
+  lengths.fill(8, 0, 144);
+  lengths.fill(9, 144, 256);
+  lengths.fill(7, 256, 280);
+  lengths.fill(8, 280, 288);
+  return {
+    lengths: buildTable(lengths, "literal/lengths"),
+    dists: buildTable(new Array(30).fill(5), "distances"),
+  };
+}
+
+function readDynamicTables(s) {
+  const nlen = readBits(s, 5) + 257;
+  const ndist = readBits(s, 5) + 1;
+  const ncode = readBits(s, 4) + 4;
+  if (nlen > 286 || ndist > 30) {
+    throw zlibError("too many length or distance symbols");
+  }
+  const codeLengthLengths = new Array(19).fill(0);
+  for (let i = 0; i < ncode; i++) {
+    codeLengthLengths[CODE_LENGTH_ORDER[i]] = readBits(s, 3);
+  }
+  const codeLengths = buildTable(codeLengthLengths, "code lengths");
+  const lengths = [];
+  while (lengths.length < nlen + ndist) {
+    const symbol = decodeSymbol(s, codeLengths);
+    if (symbol < 16) {
+      lengths.push(symbol);
+      continue;
+    }
+    let repeat;
+    let value = 0;
+    if (symbol === 16) {
+      if (!lengths.length) throw zlibError("invalid bit length repeat");
+      value = lengths[lengths.length - 1];
+      repeat = 3 + readBits(s, 2);
+    } else if (symbol === 17) {
+      repeat = 3 + readBits(s, 3);
+    } else {
+      repeat = 11 + readBits(s, 7);
+    }
+    if (lengths.length + repeat > nlen + ndist) {
+      throw zlibError("invalid bit length repeat");
+    }
+    for (let i = 0; i < repeat; i++) lengths.push(value);
+  }
+  if (!lengths[256]) throw zlibError("invalid code -- missing end-of-block");
+  return {
+    lengths: buildTable(lengths.slice(0, nlen), "literal/lengths"),
+    dists: buildTable(lengths.slice(nlen), "distances"),
+  };
+}
+
+function adler32(bytes) {
+  let a = 1;
+  let b = 0;
+  for (let i = 0; i < bytes.length; ) {
+    // 5552 is the most bytes before b can overflow 2^32 - 1
+    const end = Math.min(bytes.length, i + 5552);
+    for (; i < end; i++) {
+      a += bytes[i];
+      b += a;
+    }
+    a %= 65521;
+    b %= 65521;
+  }
+  return ((b << 16) | a) >>> 0;
+}
+
+module.exports = { inflate };
@@ -0,0 +1,28 @@
+const { parentPort } = require("worker_threads");
+const { countPdfPages } = require("./index.js");
+
+/**
+ * Worker side of createPdfPageCounterPool: one { input, options } message in,
+ * one { pages } or { error } message out. Errors travel as plain objects and
+ * are turned back into their classes on the main thread.
+ */
+parentPort.on("message", async ({ input, options }) => {
+  try {
+    parentPort.postMessage({ pages: await countPdfPages(input, options) });
+  } catch (err) {
+    parentPort.postMessage({ error: serializeError(err) });
+  }
+});
+
+function serializeError(err) {
+  if (!(err instanceof Error)) return { name: "Error", message: String(err) };
+  return {
+    name: err.name,
+    message: err.message,
+    stack: err.stack,
+    code: err.code,
+    offset: err.offset,
+    limit: err.limit,
+    errors: err.errors,
+  };
+}
@@ -0,0 +1,55 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  analyzePdfPages,
+  analyzePdfPagesSync,
+  countPdfPages,
+  countPdfPagesSync,
+} = require("../src/index.js");
+const { classic, pageTree, xrefStream } = require("./helpers/pdf");
+
+test("counts a classic xref file by walking its page tree", async () => {
+  const pdf = classic(pageTree(7));
+  const result = analyzePdfPagesSync(pdf);
+  assert.equal(result.pages, 7);
+  assert.equal(result.method, "classic-traversal");
+  assert.equal(result.confidence, "high");
+  assert.equal(result.encrypted, false);
+  assert.deepEqual(result.warnings, []);
+  assert.deepEqual(await analyzePdfPages(pdf), result);
+  assert.equal(countPdfPagesSync(pdf), 7);
+  assert.equal(await countPdfPages(pdf), 7);
+});
+
+test("counts an XRef stream file with compressed page objects", () => {
+  const tree = pageTree(13);
+  const pdf = xrefStream(tree, { compress: [3, 4, 5, 6, 7, 8, 9, 10] });
+  const result = analyzePdfPagesSync(pdf);
+  assert.equal(result.pages, 13);
+  assert.equal(result.method, "xref-stream-traversal");
+  assert.equal(result.confidence, "high");
+});
+
+test("records why each earlier strategy failed", () => {
+  const result = analyzePdfPagesSync(classic(pageTree(2)));
+  const methods = result.errors.map((e) => e.method);
+  assert.deepEqual(methods, ["linearized", "xref-stream-traversal"]);
+  for (const error of result.errors) {
+    assert.equal(typeof error.message, "string");
+    assert.equal(error.code, "ERR_PDF_PARSE");
+  }
+});
+
+test("falls back to scanning for /Count without xref or objects", () => {
+  const pdf = Buffer.from("%PDF-1.4\n<< /Type /Pages /Count 4 >>\n%%EOF\n");
+  const result = analyzePdfPagesSync(pdf);
+  assert.equal(result.pages, 4);
+  assert.equal(result.method, "scan-pages-count");
+  assert.equal(result.confidence, "low");
+  assert.equal(result.warnings.length, 1);
+});
+
+test("accepts Uint8Array input", () => {
+  const pdf = new Uint8Array(classic(pageTree(3)));
+  assert.equal(countPdfPagesSync(pdf), 3);
+});
@@ -0,0 +1,98 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const {
+  countPdfPagesBatch,
+  createPdfPageCounterPool,
+} = require("../src/index.js");
+const { classic, pageTree } = require("./helpers/pdf");
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "pdf-pages-count-"));
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+const write = (name, bytes) => {
+  const file = path.join(dir, name);
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, bytes);
+  return file;
+};
+write("a.pdf", classic(pageTree(2)));
+write("B.PDF", classic(pageTree(3)));
+write("notes.txt", "not counted");
+write("broken.pdf", "not a pdf");
+write("2024/c.pdf", classic(pageTree(4)));
+write("2024/deep/d.pdf", classic(pageTree(5)));
+
+const byPath = (results) =>
+  Object.fromEntries(results.map((r) => [path.relative(dir, r.path), r.pages]));
+
+test("counts the PDFs of a directory tree as they finish", async () => {
+  const batch = countPdfPagesBatch(dir, { recursive: true, concurrency: 3 });
+  const progress = [];
+  batch.on("progress", (p) => progress.push(p));
+  const results = [];
+  for await (const result of batch) {
+    assert.equal(typeof result.durationMs, "number");
+    results.push(result);
+  }
+  assert.deepEqual(byPath(results), {
+    "a.pdf": 2,
+    "B.PDF": 3,
+    "broken.pdf": null,
+    [path.join("2024", "c.pdf")]: 4,
+    [path.join("2024", "deep", "d.pdf")]: 5,
+  });
+  const broken = results.find((r) => r.pages === null);
+  assert.equal(broken.error.code, "ERR_PDF_NOT_A_PDF");
+  assert.equal(progress.length, 5);
+  assert.deepEqual(progress[4], { done: 5, total: 5, pages: 14, failed: 1 });
+
+  const summary = await batch.summary();
+  assert.equal(summary.files, 5);
+  assert.equal(summary.pages, 14);
+  assert.equal(summary.failed, 1);
+  assert.equal(summary.failures[0].path, broken.path);
+});
+
+test("lists only the top directory unless recursive", async () => {
+  const summary = await countPdfPagesBatch(dir).summary();
+  assert.equal(summary.files, 3);
+});
+
+test("glob selects files by name or by path", async () => {
+  const results = [];
+  for await (const r of countPdfPagesBatch(dir, {
+    recursive: true,
+    glob: "2024/**/*.pdf",
+  })) {
+    results.push(r);
+  }
+  assert.deepEqual(Object.values(byPath(results)).sort(), [4, 5]);
+  const summary = await countPdfPagesBatch([dir, path.join(dir, "notes.txt")], {
+    recursive: true,
+    glob: "?.pdf",
+  }).summary();
+  // Names match case-insensitively; notes.txt counts since it was named
+  assert.equal(summary.files, 5);
+  assert.equal(summary.failed, 1);
+});
+
+test("counts on a worker pool", async () => {
+  const pool = createPdfPageCounterPool({ concurrency: 2 });
+  try {
+    const summary = await countPdfPagesBatch(dir, {
+      recursive: true,
+      pool,
+    }).summary();
+    assert.equal(summary.pages, 14);
+  } finally {
+    await pool.close();
+  }
+});
+
+test("an aborted signal rejects the batch", async () => {
+  const batch = countPdfPagesBatch(dir, { signal: AbortSignal.abort() });
+  await assert.rejects(batch.summary(), { name: "AbortError" });
+});
@@ -0,0 +1,123 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  detectBlankPages,
+  detectBlankPagesSync,
+  PdfCycleError,
+  PdfParseError,
+} = require("../src/index.js");
+const { classic, contentPages, stream } = require("./helpers/pdf");
+
+const font = "/Font << /F1 << /Type /Font /Subtype /Type1 >> >>";
+const text = (ops) => ({ content: `BT /F1 12 Tf ${ops} ET`, resources: font });
+
+test("pages that draw nothing, or only in white, are blank", async () => {
+  const pdf = classic(
+    contentPages([
+      null,
+      "",
+      text("( \\t ) Tj [( )] TJ"),
+      text("3 Tr (Hidden) Tj"),
+      "0 0 100 100 re W n",
+      "1 g 0 0 100 100 re f 1 1 1 RG 0 0 m 100 100 l S",
+      "0 0 0 0 k 0 0 100 100 re f q 0 g Q 0 0 10 10 re f",
+    ])
+  );
+  assert.deepEqual(await detectBlankPages(pdf), {
+    pages: 7,
+    blankPages: [0, 1, 2, 3, 4, 5, 6],
+    nonBlankPages: 0,
+  });
+});
+
+test("text, paths and shadings in any other color make marks", () => {
+  const pdf = classic(
+    contentPages([
+      text("(Hello) Tj"),
+      "0 0 100 100 re f",
+      "1 1 1 rg 0 0 m 100 100 l S",
+      "0.9 g 0 0 100 100 re f",
+      "/Sh1 sh",
+      "1 g 0 0 100 100 re f",
+    ])
+  );
+  const result = detectBlankPagesSync(pdf);
+  assert.deepEqual(result.blankPages, [5]);
+  assert.equal(result.nonBlankPages, 5);
+});
+
+test("form XObjects are followed and images are marks", () => {
+  const xobjects =
+    "/XObject << /White 6 0 R /Black 7 0 R /Scan 8 0 R /Mask 9 0 R >>";
+  const pdf = classic(
+    contentPages(
+      [
+        { content: "/White Do", resources: xobjects },
+        { content: "/Black Do", resources: xobjects },
+        { content: "/Scan Do", resources: xobjects },
+      ],
+      [
+        stream("/Subtype /Form /BBox [0 0 10 10]", "1 g 0 0 10 10 re f"),
+        stream("/Subtype /Form /BBox [0 0 10 10]", "0 0 10 10 re f"),
+        stream(
+          "/Subtype /Image /Width 1 /Height 1 /BitsPerComponent 8 /ColorSpace /DeviceGray",
+          "\xff"
+        ),
+        stream("/Subtype /Image /Width 1 /Height 1 /ImageMask true", "\x00"),
+      ]
+    )
+  );
+  assert.deepEqual(detectBlankPagesSync(pdf).blankPages, [0]);
+});
+
+test("white image masks and inline images", () => {
+  const xobjects = "/XObject << /Mask 5 0 R >>";
+  const pdf = classic(
+    contentPages(
+      [
+        { content: "1 g /Mask Do", resources: xobjects },
+        "1 g BI /W 1 /H 1 /IM true ID \x00 EI",
+        "BI /W 1 /H 1 /BPC 8 /CS /G ID \xff EI",
+      ],
+      [stream("/Subtype /Image /Width 1 /Height 1 /ImageMask true", "\x00")]
+    )
+  );
+  assert.deepEqual(detectBlankPagesSync(pdf).blankPages, [0, 1]);
+});
+
+test("unreadable content is not blank, and throws in strict mode", () => {
+  const pdf = classic([
+    "<< /Type /Catalog /Pages 2 0 R >>",
+    "<< /Type /Pages /Kids [3 0 R] /Count 1 >>",
+    "<< /Type /Page /Parent 2 0 R /Contents 4 0 R >>",
+    stream("/Filter /JBIG2Decode", "not a page"),
+  ]);
+  assert.deepEqual(detectBlankPagesSync(pdf), {
+    pages: 1,
+    blankPages: [],
+    nonBlankPages: 1,
+  });
+  assert.throws(
+    () => detectBlankPagesSync(pdf, { mode: "strict" }),
+    PdfParseError
+  );
+});
+
+test("a form that paints itself is cut off, or throws in strict mode", () => {
+  const pdf = classic(
+    contentPages(
+      [{ content: "/Me Do", resources: "/XObject << /Me 4 0 R >>" }],
+      [
+        stream(
+          "/Subtype /Form /BBox [0 0 10 10] /Resources << /XObject << /Me 4 0 R >> >>",
+          "1 g 0 0 10 10 re f /Me Do"
+        ),
+      ]
+    )
+  );
+  assert.deepEqual(detectBlankPagesSync(pdf).blankPages, [0]);
+  assert.throws(
+    () => detectBlankPagesSync(pdf, { mode: "strict" }),
+    PdfCycleError
+  );
+});
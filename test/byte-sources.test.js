@@ -0,0 +1,52 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { countPdfPages, countPdfPagesSync } = require("../src/index.js");
+const { classic, pageTree } = require("./helpers/pdf");
+
+// 256KB of comments up front, so the traversal can skip whole blocks
+const padding = `%${"x".repeat(1023)}\n`.repeat(256);
+const pdf = classic(pageTree(6), { header: `%PDF-1.4\n${padding}` });
+const BLOCK = 64 * 1024;
+
+function source(bytes, wrap = (x) => x) {
+  const reads = [];
+  return {
+    reads,
+    size: () => wrap(bytes.length),
+    read(offset, length) {
+      reads.push({ offset, length });
+      return wrap(bytes.subarray(offset, offset + length));
+    },
+  };
+}
+
+test("counts through an async byte source", async () => {
+  const src = source(pdf, (x) => Promise.resolve(x));
+  assert.equal(await countPdfPages(src), 6);
+  for (const { offset, length } of src.reads) {
+    assert.equal(offset % BLOCK, 0);
+    assert.equal(length, Math.min(BLOCK, pdf.length - offset));
+  }
+  const blocks = new Set(src.reads.map((r) => r.offset));
+  assert.ok(blocks.size < Math.ceil(pdf.length / BLOCK));
+});
+
+test("sync functions take sources that answer synchronously", async () => {
+  assert.equal(countPdfPagesSync(source(pdf)), 6);
+  assert.equal(await countPdfPages(source(pdf)), 6);
+});
+
+test("sync functions reject sources that return promises", () => {
+  const src = source(pdf, (x) => Promise.resolve(x));
+  assert.throws(() => countPdfPagesSync(src), TypeError);
+});
+
+test("errors of the source propagate", async () => {
+  const src = {
+    size: async () => pdf.length,
+    read: async () => {
+      throw new Error("network down");
+    },
+  };
+  await assert.rejects(countPdfPages(src), /network down/);
+});
@@ -0,0 +1,81 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { spawnSync } = require("child_process");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { classic, pageTree } = require("./helpers/pdf");
+
+const bin = path.join(__dirname, "..", "bin", "pdf-pages-count.js");
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "pdf-pages-count-"));
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+const write = (name, bytes) => {
+  const file = path.join(dir, name);
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, bytes);
+  return file;
+};
+const two = write("two.pdf", classic(pageTree(2)));
+const three = write("sub/three.pdf", classic(pageTree(3)));
+const broken = write("broken.pdf", "not a pdf");
+
+function run(args, input) {
+  return spawnSync(process.execPath, [bin, ...args], {
+    cwd: dir,
+    input,
+    encoding: "utf8",
+    timeout: 60000,
+  });
+}
+
+test("exit code 0: prints the count of a single file", () => {
+  const { status, stdout } = run([two]);
+  assert.equal(status, 0);
+  assert.equal(stdout, "2\n");
+});
+
+test("exit code 0: one line per file and totals over directories", () => {
+  const lines = run([two, three]).stdout.trim().split("\n").sort();
+  assert.deepEqual(lines, [`${three}\t3`, `${two}\t2`].sort());
+  assert.equal(run(["-r", "--total", "sub"]).stdout, "3\n");
+});
+
+test("exit code 0: reads one PDF from stdin", () => {
+  const { status, stdout } = run(["-"], fs.readFileSync(three));
+  assert.equal(status, 0);
+  assert.equal(stdout, "3\n");
+});
+
+test("exit code 1: usage errors", () => {
+  const { status, stderr } = run(["--frobnicate", two]);
+  assert.equal(status, 1);
+  assert.match(stderr, /frobnicate/);
+  assert.equal(run(["-c", "zero", two]).status, 1);
+});
+
+test("exit code 2: some files failed", () => {
+  const { status, stdout, stderr } = run([two, broken]);
+  assert.equal(status, 2);
+  assert.equal(stdout, `${two}\t2\n`);
+  assert.match(stderr, /broken\.pdf/);
+});
+
+test("--json reports every file, the total and the failures", () => {
+  const { status, stdout } = run(["--json", two, broken]);
+  assert.equal(status, 2);
+  const report = JSON.parse(stdout);
+  assert.equal(report.total, 2);
+  assert.equal(report.failed, 1);
+  const files = Object.fromEntries(report.files.map((f) => [f.path, f]));
+  assert.equal(files[two].pages, 2);
+  assert.equal(files[broken].pages, null);
+  assert.equal(typeof files[broken].error, "string");
+});
+
+test("--csv writes a header and one row per file", () => {
+  const rows = run(["--csv", two]).stdout.trim().split("\n");
+  assert.equal(rows[0], "path,pages,error");
+  assert.equal(rows.length, 2);
+  assert.match(rows[1], /,2,$/);
+});
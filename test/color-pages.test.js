@@ -0,0 +1,128 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  detectColorPages,
+  detectColorPagesSync,
+  PdfCycleError,
+  PdfParseError,
+} = require("../src/index.js");
+const { classic, contentPages, stream } = require("./helpers/pdf");
+
+const fill = "0 0 10 10 re f";
+const spaces = `/ColorSpace <<
+  /L [/Lab << /WhitePoint [0.95 1 1.09] >>]
+  /Ix [/Indexed /DeviceRGB 1 <808080FF0000>]
+  /Black [/Separation /Black /DeviceCMYK << /FunctionType 2 /Domain [0 1] /N 1 >>]
+  /Spot [/Separation /PANTONE#20185 /DeviceCMYK << /FunctionType 2 /Domain [0 1] /N 1 >>]
+>> /Font << /F1 << /Type /Font /Subtype /Type1 >> >>`;
+
+/** [content, whether it paints color] */
+const cases = [
+  [`1 0 0 rg ${fill}`, true],
+  [`0.5 0.5 0.5 rg ${fill}`, false],
+  [`0 0 0 1 k ${fill}`, false],
+  ["0 1 0 0 K 0 0 m 10 10 l S", true],
+  ["1 0 0 rg 1 0 0 RG", false],
+  [`/L cs 50 0 0 sc ${fill}`, false],
+  [`/L cs 50 20 0 sc ${fill}`, true],
+  [`/Ix cs 0 sc ${fill}`, false],
+  [`/Ix cs 1 sc ${fill}`, true],
+  [`/Black cs 1 sc ${fill}`, false],
+  [`/Spot cs 1 sc ${fill}`, true],
+  ["BT /F1 12 Tf 0 0 1 rg (Hi) Tj ET", true],
+  ["BT /F1 12 Tf 0 0 1 rg 3 Tr (Hi) Tj ET", false],
+];
+
+test("classifies device, Lab, indexed and spot colors", async () => {
+  const pdf = classic(
+    contentPages(cases.map(([content]) => ({ content, resources: spaces })))
+  );
+  const colorPages = [];
+  const grayPages = [];
+  cases.forEach(([, color], i) => (color ? colorPages : grayPages).push(i));
+  assert.deepEqual(await detectColorPages(pdf), {
+    pages: cases.length,
+    colorPages,
+    grayPages,
+  });
+});
+
+test("follows forms and patterns, and judges images and shadings by their color space", () => {
+  const pages = [
+    "/Red Do",
+    "/Gray Do",
+    "/Rgb Do",
+    "/Gr Do",
+    `/Pattern cs /P1 scn ${fill}`,
+    "/Sh sh",
+    `/Icc cs 0.3 sc ${fill}`,
+  ];
+  const x = 3 + pages.length;
+  const image = "/Subtype /Image /Width 1 /Height 1 /BitsPerComponent 8";
+  const resources = `/XObject << /Red ${x} 0 R /Gray ${x + 1} 0 R
+      /Rgb ${x + 2} 0 R /Gr ${x + 3} 0 R >>
+    /Pattern << /P1 ${x + 4} 0 R >>
+    /Shading << /Sh << /ShadingType 2 /ColorSpace /DeviceRGB /Coords [0 0 1 0]
+      /Function << /FunctionType 2 /Domain [0 1] /N 1 >> >> >>
+    /ColorSpace << /Icc [/ICCBased ${x + 5} 0 R] >>`;
+  const pdf = classic(
+    contentPages(
+      pages.map((content) => ({ content, resources })),
+      [
+        stream("/Subtype /Form /BBox [0 0 10 10]", `1 0 0 rg ${fill}`),
+        stream("/Subtype /Form /BBox [0 0 10 10]", `0.5 g ${fill}`),
+        stream(`${image} /ColorSpace /DeviceRGB`, "\x80\x80\x80"),
+        stream(`${image} /ColorSpace /DeviceGray`, "\x80"),
+        stream(
+          "/PatternType 1 /PaintType 1 /TilingType 1 /BBox [0 0 10 10] " +
+            "/XStep 10 /YStep 10 /Resources << >>",
+          "0 0 1 rg 0 0 5 5 re f"
+        ),
+        stream("/N 1", ""),
+      ]
+    )
+  );
+  const result = detectColorPagesSync(pdf);
+  assert.deepEqual(result.colorPages, [0, 2, 4, 5]);
+  assert.deepEqual(result.grayPages, [1, 3, 6]);
+});
+
+test("a pattern that paints itself is cut off, or throws in strict mode", () => {
+  const pdf = classic(
+    contentPages(
+      [
+        {
+          content: `/Pattern cs /P scn ${fill}`,
+          resources: "/Pattern << /P 4 0 R >>",
+        },
+      ],
+      [
+        stream(
+          "/PatternType 1 /PaintType 1 /TilingType 1 /BBox [0 0 10 10] " +
+            "/XStep 10 /YStep 10 /Resources << /Pattern << /P 4 0 R >> >>",
+          `0.2 g ${fill} /Pattern cs /P scn 0 0 5 5 re f`
+        ),
+      ]
+    )
+  );
+  assert.deepEqual(detectColorPagesSync(pdf).grayPages, [0]);
+  assert.throws(
+    () => detectColorPagesSync(pdf, { mode: "strict" }),
+    PdfCycleError
+  );
+});
+
+test("unreadable content counts as color, and throws in strict mode", () => {
+  const pdf = classic(
+    contentPages([`/Nowhere cs 1 sc ${fill}`, `0 g ${fill}`])
+  );
+  assert.deepEqual(detectColorPagesSync(pdf), {
+    pages: 2,
+    colorPages: [0],
+    grayPages: [1],
+  });
+  assert.throws(
+    () => detectColorPagesSync(pdf, { mode: "strict" }),
+    PdfParseError
+  );
+});
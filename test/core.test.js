@@ -0,0 +1,103 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+const zlib = require("zlib");
+const core = require("../src/core.js");
+const pure = {
+  inflate: require("../src/inflate.js"),
+  crypto: require("../src/crypto.js"),
+};
+const native = {
+  inflate: require("../src/inflate-node.js"),
+  crypto: require("../src/crypto-node.js"),
+};
+const { classic, pageTree } = require("./helpers/pdf");
+
+const pdf = new Uint8Array(classic(pageTree(6)));
+
+test("the core counts bytes, Blobs, streams and byte sources", async () => {
+  assert.equal(core.countPdfPagesSync(pdf), 6);
+  assert.equal(await core.countPdfPages(new Blob([pdf])), 6);
+  const stream = new ReadableStream({
+    start(controller) {
+      controller.enqueue(pdf.subarray(0, 100));
+      controller.enqueue(pdf.subarray(100));
+      controller.close();
+    },
+  });
+  assert.equal(await core.countPdfPages(stream), 6);
+  const source = {
+    size: () => pdf.length,
+    read: (offset, length) => pdf.subarray(offset, offset + length),
+  };
+  assert.equal(core.countPdfPagesSync(source), 6);
+});
+
+test("the core takes no file paths", async () => {
+  const message = "File paths are only supported by the Node entry point.";
+  assert.throws(() => core.countPdfPagesSync("a.pdf"), {
+    name: "TypeError",
+    message,
+  });
+  await assert.rejects(core.countPdfPages("a.pdf"), {
+    name: "TypeError",
+    message,
+  });
+});
+
+test("the ES module entry points export what the CommonJS ones do", async () => {
+  for (const [cjs, esm] of [
+    ["../src/index.js", "../src/index.mjs"],
+    ["../src/core.js", "../src/core.mjs"],
+  ]) {
+    const { abortReason, ...expected } = require(cjs);
+    const actual = { ...(await import(esm)) };
+    delete actual.default;
+    assert.deepEqual(Object.keys(actual).sort(), Object.keys(expected).sort());
+    for (const name of Object.keys(actual)) {
+      assert.equal(actual[name], expected[name], name);
+    }
+  }
+});
+
+test("the pure inflate matches node:zlib", () => {
+  const data = crypto.randomBytes(3000).toString("hex").repeat(20);
+  const deflated = zlib.deflateSync(data);
+  assert.deepEqual(
+    Buffer.from(pure.inflate.inflate(deflated)),
+    native.inflate.inflate(deflated)
+  );
+  assert.throws(() => pure.inflate.inflate(deflated, 1000));
+  assert.throws(() => native.inflate.inflate(deflated, 1000));
+});
+
+test("the pure crypto matches node:crypto", () => {
+  const parts = [crypto.randomBytes(10), crypto.randomBytes(100)];
+  for (const algorithm of ["md5", "sha256", "sha384", "sha512"]) {
+    assert.deepEqual(
+      Buffer.from(pure.crypto.hash(algorithm, ...parts)),
+      native.crypto.hash(algorithm, ...parts),
+      algorithm
+    );
+  }
+  for (const size of [16, 24, 32]) {
+    const key = crypto.randomBytes(size);
+    const iv = crypto.randomBytes(16);
+    const data = crypto.randomBytes(64);
+    const encrypted = native.crypto.aesCbcEncrypt(key, iv, data);
+    assert.deepEqual(
+      Buffer.from(pure.crypto.aesCbcEncrypt(key, iv, data)),
+      encrypted
+    );
+    assert.deepEqual(
+      Buffer.from(pure.crypto.aesCbcDecrypt(key, iv, encrypted, false)),
+      data
+    );
+    const padded = crypto.createCipheriv(`aes-${size * 8}-cbc`, key, iv);
+    const withPadding = Buffer.concat([padded.update("hello"), padded.final()]);
+    assert.equal(
+      Buffer.from(pure.crypto.aesCbcDecrypt(key, iv, withPadding)).toString(),
+      "hello"
+    );
+  }
+});
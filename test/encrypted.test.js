@@ -0,0 +1,63 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const path = require("path");
+const {
+  analyzePdfPagesSync,
+  countPdfPages,
+  PdfEncryptedError,
+} = require("../src/index.js");
+
+// 13 pages in an encrypted object stream, encrypted with pypdf. The "-user"
+// files need the user password "secret" (or the owner password "boss"); the
+// "-owner" files have only an owner password and open without one.
+const fixture = (name) => path.join(__dirname, "fixtures", `${name}.pdf`);
+const handlers = [
+  "r2-rc4-40",
+  "r3-rc4-128",
+  "r4-aes-128",
+  "r5-aes-256",
+  "r6-aes-256",
+];
+
+for (const handler of handlers) {
+  test(`${handler}: decrypts object streams with either password`, async () => {
+    for (const password of ["secret", "boss"]) {
+      const result = analyzePdfPagesSync(fixture(`${handler}-user`), {
+        password,
+      });
+      assert.equal(result.pages, 13);
+      assert.equal(result.method, "xref-stream-traversal");
+      assert.equal(result.encrypted, true);
+    }
+    const pages = await countPdfPages(fixture(`${handler}-user`), {
+      password: "secret",
+    });
+    assert.equal(pages, 13);
+  });
+
+  test(`${handler}: opens without a password when only the owner has one`, () => {
+    const result = analyzePdfPagesSync(fixture(`${handler}-owner`));
+    assert.equal(result.pages, 13);
+    assert.equal(result.method, "xref-stream-traversal");
+    assert.equal(result.encrypted, true);
+  });
+
+  test(`${handler}: strict mode needs the right password`, () => {
+    const file = fixture(`${handler}-user`);
+    assert.throws(
+      () => analyzePdfPagesSync(file, { mode: "strict" }),
+      (err) => err instanceof PdfEncryptedError && /required/.test(err.message)
+    );
+    assert.throws(
+      () => analyzePdfPagesSync(file, { mode: "strict", password: "bad" }),
+      (err) => err instanceof PdfEncryptedError && /Incorrect/.test(err.message)
+    );
+  });
+}
+
+test("without the password, lenient mode falls back to the root /Count", () => {
+  const result = analyzePdfPagesSync(fixture("r4-aes-128-user"));
+  assert.equal(result.pages, 13);
+  assert.equal(result.method, "xref-stream-count");
+  assert.ok(result.errors.some((e) => e.code === "ERR_PDF_ENCRYPTED"));
+});
@@ -0,0 +1,66 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  analyzePdfPagesSync,
+  countPdfPages,
+  countPdfPagesSync,
+  PdfParseError,
+  PdfEncryptedError,
+  PdfTruncatedError,
+  PdfNotAPdfError,
+  PdfCycleError,
+  PdfLimitError,
+} = require("../src/index.js");
+const { classic, pageTree } = require("./helpers/pdf");
+
+test("every error class is a PdfParseError with its own code", () => {
+  const classes = [
+    [PdfParseError, "ERR_PDF_PARSE"],
+    [PdfEncryptedError, "ERR_PDF_ENCRYPTED"],
+    [PdfTruncatedError, "ERR_PDF_TRUNCATED"],
+    [PdfNotAPdfError, "ERR_PDF_NOT_A_PDF"],
+    [PdfCycleError, "ERR_PDF_CYCLE"],
+    [PdfLimitError, "ERR_PDF_LIMIT"],
+  ];
+  for (const [ErrorClass, code] of classes) {
+    const cause = new Error("inner");
+    const err = new ErrorClass("message", { offset: 12, cause });
+    assert.ok(err instanceof PdfParseError);
+    assert.equal(err.name, ErrorClass.name);
+    assert.equal(err.code, code);
+    assert.equal(err.offset, 12);
+    assert.equal(err.cause, cause);
+  }
+  assert.equal(new PdfParseError("message").offset, null);
+});
+
+test("input that is not a PDF throws PdfNotAPdfError", async () => {
+  const input = Buffer.from("hello world");
+  assert.throws(() => countPdfPagesSync(input), PdfNotAPdfError);
+  await assert.rejects(countPdfPages(input), (err) => {
+    assert.ok(err instanceof PdfNotAPdfError);
+    assert.equal(err.code, "ERR_PDF_NOT_A_PDF");
+    assert.ok(Array.isArray(err.errors) && err.errors.length > 0);
+    return true;
+  });
+});
+
+test("a readable file without the %PDF- header is still counted", () => {
+  const pdf = classic(pageTree(4));
+  pdf.fill(0x20, 0, 8); // blank out the header, keeping every offset
+  assert.equal(countPdfPagesSync(pdf), 4);
+  assert.equal(countPdfPagesSync(pdf, { mode: "strict" }), 4);
+});
+
+test("a file cut off early throws PdfTruncatedError with its offset", () => {
+  const pdf = classic(pageTree(4)).subarray(0, 60);
+  assert.throws(
+    () => analyzePdfPagesSync(pdf),
+    (err) => {
+      assert.ok(err instanceof PdfTruncatedError);
+      assert.equal(err.offset, 60);
+      assert.ok(err.errors.some((e) => e.code === "ERR_PDF_TRUNCATED"));
+      return true;
+    }
+  );
+});
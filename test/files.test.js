@@ -0,0 +1,38 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { countPdfPages, countPdfPagesSync } = require("../src/index.js");
+const { classic, pageTree } = require("./helpers/pdf");
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "pdf-pages-count-"));
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+// 4MB of comment lines between the header and the first object
+const padding = `%${"x".repeat(1023)}\n`.repeat(4096);
+const file = path.join(dir, "padded.pdf");
+fs.writeFileSync(
+  file,
+  classic(pageTree(5), { header: `%PDF-1.4\n${padding}` })
+);
+
+test("counts files by path, absolute or relative", async () => {
+  assert.equal(countPdfPagesSync(file), 5);
+  assert.equal(await countPdfPages(file), 5);
+  assert.equal(countPdfPagesSync(path.relative(process.cwd(), file)), 5);
+});
+
+test("reads only the parts of a file the traversal visits", (t) => {
+  const readSync = t.mock.method(fs, "readSync");
+  assert.equal(countPdfPagesSync(file), 5);
+  const bytesRead = readSync.mock.calls.reduce((n, c) => n + c.result, 0);
+  assert.ok(bytesRead > 0);
+  assert.ok(bytesRead < 1024 * 1024, `${bytesRead} bytes read`);
+});
+
+test("missing files reject with the file system error", async () => {
+  const missing = path.join(dir, "missing.pdf");
+  assert.throws(() => countPdfPagesSync(missing), { code: "ENOENT" });
+  await assert.rejects(countPdfPages(missing), { code: "ENOENT" });
+});
@@ -0,0 +1,96 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const zlib = require("zlib");
+const { analyzePdfPagesSync, listPdfPagesSync } = require("../src/index.js");
+const { pageTree, xrefStream } = require("./helpers/pdf");
+const {
+  asciiHex,
+  ascii85,
+  runLength,
+  lzw,
+  tiffPredict,
+  pngSubPredict,
+} = require("./helpers/filters");
+
+const tree = pageTree(40);
+const compress = [...tree.keys()].map((i) => i + 1).filter((n) => n > 2);
+const deflate = (data) => zlib.deflateSync(data);
+
+const objStmEncodings = {
+  ASCIIHexDecode: (data) => ({
+    dict: "/Filter /ASCIIHexDecode",
+    data: asciiHex(data),
+  }),
+  ASCII85Decode: (data) => ({
+    dict: "/Filter /ASCII85Decode",
+    data: ascii85(data),
+  }),
+  RunLengthDecode: (data) => ({
+    dict: "/Filter /RunLengthDecode",
+    data: runLength(data),
+  }),
+  LZWDecode: (data) => ({ dict: "/Filter /LZWDecode", data: lzw(data) }),
+  "LZWDecode /EarlyChange 0": (data) => ({
+    dict: "/Filter /LZWDecode /DecodeParms << /EarlyChange 0 >>",
+    data: lzw(data, 0),
+  }),
+  "[/ASCII85Decode /FlateDecode]": (data) => ({
+    dict: "/Filter [/ASCII85Decode /FlateDecode]",
+    data: ascii85(deflate(data)),
+  }),
+  "abbreviated [/AHx /LZW]": (data) => ({
+    dict: "/Filter [/AHx /LZW]",
+    data: asciiHex(lzw(data)),
+  }),
+  unfiltered: (data) => ({ dict: "", data }),
+};
+
+for (const [name, encodeObjStm] of Object.entries(objStmEncodings)) {
+  test(`decodes object streams: ${name}`, () => {
+    const pdf = xrefStream(tree, { compress, encodeObjStm });
+    const result = analyzePdfPagesSync(pdf);
+    assert.equal(result.pages, 40);
+    assert.equal(result.method, "xref-stream-traversal");
+  });
+}
+
+// Rows of the XRef stream are 7 bytes wide (/W [1 4 2])
+const xrefEncodings = {
+  "TIFF predictor": (data) => ({
+    dict: "/Filter /FlateDecode /DecodeParms << /Predictor 2 /Columns 7 >>",
+    data: deflate(tiffPredict(data, 7)),
+  }),
+  "PNG predictor": (data) => ({
+    dict: "/Filter /FlateDecode /DecodeParms << /Predictor 12 /Columns 7 >>",
+    data: deflate(pngSubPredict(data, 7, 1)),
+  }),
+  "PNG predictor with /Colors": (data) => ({
+    dict: "/Filter /FlateDecode /DecodeParms << /Predictor 11 /Colors 7 /Columns 1 >>",
+    data: deflate(pngSubPredict(data, 7, 7)),
+  }),
+  "predictor after a filter chain": (data) => ({
+    dict: "/Filter [/ASCII85Decode /LZWDecode] /DecodeParms [null << /Predictor 2 /Columns 7 >>]",
+    data: ascii85(lzw(tiffPredict(data, 7))),
+  }),
+};
+
+for (const [name, encodeXref] of Object.entries(xrefEncodings)) {
+  test(`decodes XRef streams: ${name}`, () => {
+    const pdf = xrefStream(tree, { compress, encodeXref });
+    const result = analyzePdfPagesSync(pdf);
+    assert.equal(result.pages, 40);
+    assert.equal(result.method, "xref-stream-traversal");
+    assert.equal(listPdfPagesSync(pdf).length, 40);
+  });
+}
+
+test("an unsupported filter fails the traversal, not the count", () => {
+  const pdf = xrefStream(tree, {
+    compress,
+    encodeObjStm: (data) => ({ dict: "/Filter /JBIG2Decode", data }),
+  });
+  const result = analyzePdfPagesSync(pdf);
+  assert.equal(result.pages, 40);
+  assert.notEqual(result.method, "xref-stream-traversal");
+  assert.equal(result.errors[1].method, "xref-stream-traversal");
+});
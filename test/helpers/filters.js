@@ -0,0 +1,137 @@
+// Encoders for the stream filters and predictors the parser decodes.
+
+/** ASCIIHexDecode */
+function asciiHex(data) {
+  const hex = data.toString("hex").replace(/(.{60})/g, "$1\n");
+  return Buffer.from(`${hex}>`, "latin1");
+}
+
+/** ASCII85Decode, with "z" for all-zero groups */
+function ascii85(data) {
+  let s = "";
+  for (let i = 0; i < data.length; i += 4) {
+    const n = Math.min(4, data.length - i);
+    const group = Buffer.alloc(4);
+    data.copy(group, 0, i, i + n);
+    let value = group.readUInt32BE(0);
+    if (value === 0 && n === 4) {
+      s += "z";
+      continue;
+    }
+    const digits = [];
+    for (let k = 0; k < 5; k += 1) {
+      digits.unshift(String.fromCharCode((value % 85) + 33));
+      value = Math.floor(value / 85);
+    }
+    s += digits.join("").slice(0, n + 1);
+  }
+  return Buffer.from(`${s.replace(/(.{70})/g, "$1\n")}~>`, "latin1");
+}
+
+/** RunLengthDecode: runs of three or more bytes repeat, the rest is literal */
+function runLength(data) {
+  const out = [];
+  let i = 0;
+  while (i < data.length) {
+    let j = i;
+    while (j < data.length && data[j] === data[i] && j - i < 128) j += 1;
+    if (j - i >= 3) {
+      out.push(257 - (j - i), data[i]);
+      i = j;
+      continue;
+    }
+    const start = i;
+    const repeats = (k) =>
+      k + 2 < data.length && data[k] === data[k + 1] && data[k] === data[k + 2];
+    while (i < data.length && i - start < 128 && !repeats(i)) i += 1;
+    out.push(i - start - 1, ...data.subarray(start, i));
+  }
+  out.push(128);
+  return Buffer.from(out);
+}
+
+/** LZWDecode with the given /EarlyChange */
+function lzw(data, earlyChange = 1) {
+  const out = [];
+  let dict;
+  let next;
+  let width;
+  let bits = 0;
+  let nbits = 0;
+  const reset = () => {
+    dict = new Map();
+    for (let i = 0; i < 256; i += 1) dict.set(String.fromCharCode(i), i);
+    next = 258;
+    width = 9;
+  };
+  const emit = (code) => {
+    bits = bits * 2 ** width + code;
+    nbits += width;
+    while (nbits >= 8) {
+      nbits -= 8;
+      out.push(Math.floor(bits / 2 ** nbits) & 255);
+      bits %= 2 ** nbits;
+    }
+  };
+  // The decoder adds its entry one code later; widths must grow in step
+  const grow = () => {
+    next += 1;
+    if (next + earlyChange > 2 ** width && width < 12) width += 1;
+  };
+  reset();
+  emit(256);
+  let w = "";
+  for (const byte of data) {
+    const c = String.fromCharCode(byte);
+    if (dict.has(w + c)) {
+      w += c;
+      continue;
+    }
+    emit(dict.get(w));
+    dict.set(w + c, next);
+    grow();
+    if (next >= 4094) {
+      emit(256);
+      reset();
+    }
+    w = c;
+  }
+  if (w) emit(dict.get(w));
+  grow();
+  emit(257);
+  if (nbits > 0) out.push((bits << (8 - nbits)) & 255);
+  return Buffer.from(out);
+}
+
+/** TIFF predictor 2 for 8-bit, single-component rows of `columns` bytes */
+function tiffPredict(data, columns) {
+  const out = Buffer.from(data);
+  for (let row = 0; row < data.length; row += columns) {
+    for (let i = columns - 1; i >= 1; i -= 1) {
+      out[row + i] = (data[row + i] - data[row + i - 1]) & 255;
+    }
+  }
+  return out;
+}
+
+/** PNG "Sub" predictor for rows of `rowSize` bytes, `bpp` bytes per pixel */
+function pngSubPredict(data, rowSize, bpp) {
+  const out = [];
+  for (let row = 0; row < data.length; row += rowSize) {
+    out.push(1);
+    for (let i = 0; i < rowSize; i += 1) {
+      const left = i >= bpp ? data[row + i - bpp] : 0;
+      out.push((data[row + i] - left) & 255);
+    }
+  }
+  return Buffer.from(out);
+}
+
+module.exports = {
+  asciiHex,
+  ascii85,
+  runLength,
+  lzw,
+  tiffPredict,
+  pngSubPredict,
+};
@@ -0,0 +1,247 @@
+// Builders for the small PDFs the tests run on. Object bodies are latin1
+// strings or Buffers; object N is objs[N - 1], and object 1 is the catalog.
+const zlib = require("zlib");
+
+const bytes = (s) => (Buffer.isBuffer(s) ? s : Buffer.from(s, "latin1"));
+const pad = (n) => String(n).padStart(10, "0");
+
+/** A stream object body, with /Length filled in. */
+function stream(dict, data) {
+  const body = bytes(data);
+  return Buffer.concat([
+    bytes(`<< ${dict} /Length ${body.length} >>\nstream\n`),
+    body,
+    bytes("\nendstream"),
+  ]);
+}
+
+const flate = (data) => ({
+  dict: "/Filter /FlateDecode",
+  data: zlib.deflateSync(data),
+});
+
+/** A FlateDecode stream object body. */
+function flateStream(dict, data) {
+  return stream(`${dict} /Filter /FlateDecode`, zlib.deflateSync(bytes(data)));
+}
+
+/**
+ * Object bodies for a catalog, a page tree of `n` pages with at most
+ * `perNode` kids per node, and its pages. `catalog` and `page` are added to
+ * the catalog and to every page dictionary.
+ */
+function pageTree(n, { perNode = 3, catalog = "", page = "" } = {}) {
+  const objs = [`<< /Type /Catalog /Pages 2 0 R ${catalog}>>`, null];
+  const add = () => objs.push(null);
+  const pages = [];
+  for (let i = 0; i < n; i += 1) pages.push(add());
+  const parent = new Map();
+  const kids = new Map();
+  let level = pages;
+  while (level.length > perNode) {
+    const next = [];
+    for (let i = 0; i < level.length; i += perNode) {
+      const node = add();
+      kids.set(node, level.slice(i, i + perNode));
+      next.push(node);
+    }
+    level = next;
+  }
+  kids.set(2, level);
+  for (const [node, list] of kids) {
+    for (const kid of list) parent.set(kid, node);
+  }
+  const count = (node) =>
+    kids.has(node) ? kids.get(node).reduce((s, k) => s + count(k), 0) : 1;
+  for (const [node, list] of kids) {
+    const up =
+      node === 2
+        ? "/MediaBox [0 0 595 842]"
+        : `/Parent ${parent.get(node)} 0 R`;
+    const refs = list.map((k) => `${k} 0 R`).join(" ");
+    const n = count(node);
+    objs[node - 1] = `<< /Type /Pages ${up} /Kids [${refs}] /Count ${n} >>`;
+  }
+  for (const p of pages) {
+    objs[p - 1] = `<< /Type /Page /Parent ${parent.get(p)} 0 R ${page}>>`;
+  }
+  return objs;
+}
+
+/**
+ * Object bodies for a catalog and one page per entry of `pages`: a content
+ * stream, null for a page without /Contents, or {content, resources}.
+ * `extra` objects are numbered from 3 + pages.length on.
+ */
+function contentPages(pages, extra = []) {
+  const n = pages.length;
+  const first = 3 + n + extra.length;
+  const kids = pages.map((_, i) => `${3 + i} 0 R`).join(" ");
+  const objs = [
+    "<< /Type /Catalog /Pages 2 0 R >>",
+    `<< /Type /Pages /MediaBox [0 0 595 842] /Kids [${kids}] /Count ${n} >>`,
+  ];
+  const streams = [];
+  for (const page of pages) {
+    const { content, resources = "" } =
+      page === null || typeof page === "string" ? { content: page } : page;
+    let contents = "";
+    if (content !== null) {
+      contents = `/Contents ${first + streams.length} 0 R `;
+      streams.push(stream("", content));
+    }
+    objs.push(
+      `<< /Type /Page /Parent 2 0 R ${contents}/Resources << ${resources} >> >>`
+    );
+  }
+  return [...objs, ...extra, ...streams];
+}
+
+/** A file with a classic xref table; `order` lists object indexes to write. */
+function classic(objs, { header = "%PDF-1.4\n", trailer = "", order } = {}) {
+  const parts = [bytes(header)];
+  let length = parts[0].length;
+  const offsets = [];
+  for (const i of order || objs.keys()) {
+    offsets[i + 1] = length;
+    const obj = Buffer.concat([
+      bytes(`${i + 1} 0 obj\n`),
+      bytes(objs[i]),
+      bytes("\nendobj\n"),
+    ]);
+    parts.push(obj);
+    length += obj.length;
+  }
+  let xref = `xref\n0 ${objs.length + 1}\n0000000000 65535 f \n`;
+  for (let n = 1; n <= objs.length; n += 1)
+    xref += `${pad(offsets[n])} 00000 n \n`;
+  xref += `trailer\n<< /Size ${objs.length + 1} /Root 1 0 R ${trailer}>>\n`;
+  xref += `startxref\n${length}\n%%EOF\n`;
+  parts.push(bytes(xref));
+  return Buffer.concat(parts);
+}
+
+/**
+ * A file with an XRef stream. Objects numbered in `compress` go into one
+ * object stream. `encodeObjStm` and `encodeXref` may replace the FlateDecode
+ * encoding of either stream: they map the plain bytes to {dict, data}.
+ */
+function xrefStream(
+  objs,
+  {
+    header = "%PDF-1.5\n",
+    trailer = "",
+    compress = [],
+    encodeObjStm = flate,
+    encodeXref = flate,
+  } = {}
+) {
+  const parts = [bytes(header)];
+  let length = parts[0].length;
+  const put = (b) => {
+    parts.push(bytes(b));
+    length += parts[parts.length - 1].length;
+  };
+  const entries = [];
+  objs.forEach((body, i) => {
+    if (compress.includes(i + 1)) return;
+    entries[i + 1] = [1, length, 0];
+    put(
+      Buffer.concat([
+        bytes(`${i + 1} 0 obj\n`),
+        bytes(body),
+        bytes("\nendobj\n"),
+      ])
+    );
+  });
+  let next = objs.length + 1;
+  if (compress.length) {
+    const stmNum = next++;
+    let head = "";
+    let data = "";
+    compress.forEach((n, index) => {
+      head += `${n} ${data.length} `;
+      data += `${objs[n - 1]}\n`;
+      entries[n] = [2, stmNum, index];
+    });
+    const plain = bytes(head + data);
+    const { dict, data: encoded } = encodeObjStm(plain);
+    entries[stmNum] = [1, length, 0];
+    put(`${stmNum} 0 obj\n`);
+    put(
+      stream(
+        `/Type /ObjStm /N ${compress.length} /First ${head.length} ${dict}`,
+        encoded
+      )
+    );
+    put("\nendobj\n");
+  }
+  const xrefNum = next;
+  entries[xrefNum] = [1, length, 0];
+  const rows = [];
+  for (let n = 0; n <= xrefNum; n += 1) {
+    const [type, field2, field3] = entries[n] || [0, 0, 0];
+    const row = Buffer.alloc(7);
+    row[0] = type;
+    row.writeUInt32BE(field2, 1);
+    row.writeUInt16BE(field3, 5);
+    rows.push(row);
+  }
+  const xoff = length;
+  const size = xrefNum + 1;
+  put(`${xrefNum} 0 obj\n`);
+  const { dict, data } = encodeXref(Buffer.concat(rows));
+  put(
+    stream(
+      `/Type /XRef /Size ${size} /W [1 4 2] /Root 1 0 R ${trailer}${dict}`,
+      data
+    )
+  );
+  put(`\nendobj\nstartxref\n${xoff}\n%%EOF\n`);
+  return Buffer.concat(parts);
+}
+
+/** The offset the last startxref of `buf` points to. */
+function startxrefOf(buf) {
+  const s = buf.toString("latin1");
+  return parseInt(s.slice(s.lastIndexOf("startxref") + 9), 10);
+}
+
+/** Append an incremental update (classic xref) replacing or adding objects. */
+function appendUpdate(buf, changes, { trailer = "" } = {}) {
+  const s = buf.toString("latin1");
+  const nums = Object.keys(changes)
+    .map(Number)
+    .sort((a, b) => a - b);
+  const sizes = [...s.matchAll(/\/Size (\d+)/g)].map((m) => Number(m[1]));
+  const size = Math.max(...sizes, nums[nums.length - 1] + 1);
+  const parts = [buf];
+  let length = buf.length;
+  let xref = "xref\n";
+  for (const n of nums) {
+    xref += `${n} 1\n${pad(length)} 00000 n \n`;
+    const obj = Buffer.concat([
+      bytes(`${n} 0 obj\n`),
+      bytes(changes[n]),
+      bytes("\nendobj\n"),
+    ]);
+    parts.push(obj);
+    length += obj.length;
+  }
+  const prev = startxrefOf(buf);
+  xref += `trailer\n<< /Size ${size} /Root 1 0 R /Prev ${prev} ${trailer}>>\n`;
+  xref += `startxref\n${length}\n%%EOF\n`;
+  parts.push(bytes(xref));
+  return Buffer.concat(parts);
+}
+
+module.exports = {
+  stream,
+  flateStream,
+  pageTree,
+  contentPages,
+  classic,
+  xrefStream,
+  startxrefOf,
+  appendUpdate,
+};
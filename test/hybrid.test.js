@@ -0,0 +1,52 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  analyzePdfPagesSync,
+  countPdfPagesSync,
+  listPdfPagesSync,
+} = require("../src/index.js");
+const { pageTree, startxrefOf, xrefStream } = require("./helpers/pdf");
+
+/**
+ * A hybrid file: its pages sit in an object stream listed only by the XRef
+ * stream at /XRefStm, while the classic table marks them free.
+ */
+function hybrid(n, { xrefStm = true } = {}) {
+  const tree = pageTree(n);
+  const compress = [...tree.keys()].map((i) => i + 1).filter((k) => k > 2);
+  const modern = xrefStream(tree, { compress });
+  let s = modern.toString("latin1");
+  s = s.slice(0, s.lastIndexOf("startxref"));
+  const offsets = new Map();
+  for (const m of s.matchAll(/(\d+) 0 obj/g))
+    offsets.set(Number(m[1]), m.index);
+  const size = tree.length + 3;
+  const xref = s.length;
+  s += `xref\n0 ${size}\n0000000000 65535 f \n`;
+  for (let n = 1; n < size; n += 1) {
+    s += offsets.has(n)
+      ? `${String(offsets.get(n)).padStart(10, "0")} 00000 n \n`
+      : "0000000000 00000 f \n";
+  }
+  const stm = xrefStm ? `/XRefStm ${startxrefOf(modern)} ` : "";
+  s += `trailer\n<< /Size ${size} /Root 1 0 R ${stm}>>\n`;
+  s += `startxref\n${xref}\n%%EOF\n`;
+  return Buffer.from(s, "latin1");
+}
+
+test("merges the /XRefStm entries into the classic xref", () => {
+  const pdf = hybrid(13);
+  const result = analyzePdfPagesSync(pdf);
+  assert.equal(result.pages, 13);
+  assert.equal(result.method, "classic-traversal");
+  assert.equal(result.confidence, "high");
+  const pages = listPdfPagesSync(pdf);
+  assert.equal(pages.length, 13);
+  assert.ok(pages.every((page) => page.offset === null));
+  assert.equal(countPdfPagesSync(pdf, { mode: "strict" }), 13);
+});
+
+test("without /XRefStm the compressed pages are out of reach", () => {
+  const pdf = hybrid(13, { xrefStm: false });
+  assert.throws(() => countPdfPagesSync(pdf, { mode: "strict" }));
+});
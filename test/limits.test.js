@@ -0,0 +1,143 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const zlib = require("zlib");
+const {
+  analyzePdfPagesSync,
+  countPdfPages,
+  countPdfPagesSync,
+  PdfLimitError,
+} = require("../src/index.js");
+const { classic, pageTree, xrefStream } = require("./helpers/pdf");
+const { ascii85, asciiHex, runLength } = require("./helpers/filters");
+
+const tree = pageTree(20);
+const compress = [...tree.keys()].map((i) => i + 1).filter((n) => n > 2);
+const pdf = xrefStream(tree, { compress });
+
+const limitError = (limit) => (err) =>
+  err instanceof PdfLimitError &&
+  err.code === "ERR_PDF_LIMIT" &&
+  err.limit === limit;
+
+test("maxFileSize is checked before anything is read", () => {
+  const source = {
+    size: () => pdf.length,
+    read: () => assert.fail("read"),
+  };
+  assert.throws(
+    () => countPdfPagesSync(source, { maxFileSize: pdf.length - 1 }),
+    limitError("maxFileSize")
+  );
+  assert.equal(countPdfPagesSync(pdf, { maxFileSize: pdf.length }), 20);
+});
+
+test("maxInflatedBytes stops a stream that decodes too large", () => {
+  // The object stream inflates to 4MB: its members, then spaces
+  const bomb = xrefStream(tree, {
+    compress,
+    encodeObjStm: (data) => ({
+      dict: "/Filter /FlateDecode",
+      data: zlib.deflateSync(Buffer.concat([data, Buffer.alloc(4 << 20, 32)])),
+    }),
+  });
+  assert.ok(bomb.length < 16 * 1024);
+  assert.equal(countPdfPagesSync(bomb), 20);
+  assert.throws(
+    () => countPdfPagesSync(bomb, { maxInflatedBytes: 1 << 20 }),
+    limitError("maxInflatedBytes")
+  );
+});
+
+test("every filter stops as soon as it passes maxInflatedBytes", () => {
+  // Each object stream decodes to 1MB of zeros after its members, then hits
+  // data that does not decode: only a decoder that stops early gets that far
+  // without a PdfParseError
+  const padded = (data) => Buffer.concat([data, Buffer.alloc(1 << 20)]);
+  const bombs = {
+    ASCIIHexDecode: (data) =>
+      Buffer.concat([
+        asciiHex(padded(data)).subarray(0, -1),
+        Buffer.from("x>"),
+      ]),
+    ASCII85Decode: (data) =>
+      Buffer.concat([
+        ascii85(padded(data)).subarray(0, -2),
+        Buffer.from("{~>"),
+      ]),
+    RunLengthDecode: (data) => runLength(padded(data)),
+  };
+  for (const [filter, encode] of Object.entries(bombs)) {
+    const bomb = xrefStream(tree, {
+      compress,
+      encodeObjStm: (data) => ({
+        dict: `/Filter /${filter}`,
+        data: encode(data),
+      }),
+    });
+    assert.throws(
+      () => countPdfPagesSync(bomb, { maxInflatedBytes: 1 << 16 }),
+      limitError("maxInflatedBytes"),
+      filter
+    );
+  }
+});
+
+test("maxObjects bounds the object table", () => {
+  assert.throws(
+    () => countPdfPagesSync(classic(tree), { maxObjects: 10 }),
+    limitError("maxObjects")
+  );
+});
+
+test("no fallback strategy runs after a limit is hit", () => {
+  const result = analyzePdfPagesSync(pdf);
+  assert.equal(result.method, "xref-stream-traversal");
+  assert.throws(
+    () => analyzePdfPagesSync(pdf, { maxInflatedBytes: 100 }),
+    limitError("maxInflatedBytes")
+  );
+});
+
+test("0 is a limit, and a limit that is not a number is a TypeError", () => {
+  for (const limit of ["maxInflatedBytes", "maxObjects", "maxFileSize"]) {
+    assert.throws(
+      () => countPdfPagesSync(pdf, { [limit]: 0 }),
+      limitError(limit)
+    );
+  }
+  for (const value of [-1, NaN, "10", true]) {
+    assert.throws(
+      () => countPdfPagesSync(pdf, { maxObjects: value }),
+      (err) => err instanceof TypeError && /maxObjects/.test(err.message)
+    );
+  }
+  assert.equal(countPdfPagesSync(pdf, { maxObjects: undefined }), 20);
+});
+
+test("timeoutMs bounds the whole call", (t) => {
+  let now = 0;
+  t.mock.method(Date, "now", () => (now += 1000));
+  assert.throws(
+    () => countPdfPagesSync(pdf, { timeoutMs: 2500 }),
+    limitError("timeoutMs")
+  );
+});
+
+test("an AbortSignal cancels the async functions", async () => {
+  await assert.rejects(countPdfPages(pdf, { signal: AbortSignal.abort() }), {
+    name: "AbortError",
+  });
+  const controller = new AbortController();
+  const reason = new Error("stop");
+  const source = {
+    size: async () => pdf.length,
+    read: async (offset, length) => {
+      controller.abort(reason);
+      return pdf.subarray(offset, offset + length);
+    },
+  };
+  await assert.rejects(
+    countPdfPages(source, { signal: controller.signal }),
+    (err) => err === reason
+  );
+});
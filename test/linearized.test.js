@@ -0,0 +1,37 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { analyzePdfPagesSync } = require("../src/index.js");
+const { appendUpdate, classic, pageTree } = require("./helpers/pdf");
+
+/** A linearized-looking file: the linearization dictionary comes first. */
+function linearized(n) {
+  const objs = pageTree(n);
+  objs.push(
+    `<< /Linearized 1 /L 0000000000 /H [0 0] /O 3 /E 0 /N ${n} /T 0 >>`
+  );
+  const order = [objs.length - 1, ...Array(objs.length - 1).keys()];
+  const pdf = classic(objs, { order, header: "%PDF-1.4\n%\xe2\xe3\xcf\xd3\n" });
+  const length = String(pdf.length).padStart(10, "0");
+  return Buffer.from(
+    pdf.toString("latin1").replace("/L 0000000000", `/L ${length}`),
+    "latin1"
+  );
+}
+
+test("reads /N of an intact linearization dictionary", () => {
+  const result = analyzePdfPagesSync(linearized(9));
+  assert.equal(result.pages, 9);
+  assert.equal(result.method, "linearized");
+  assert.equal(result.confidence, "high");
+});
+
+test("ignores /N once the file was updated", () => {
+  const pdf = linearized(9);
+  const updated = appendUpdate(pdf, {
+    2: "<< /Type /Pages /Kids [3 0 R] /Count 1 /MediaBox [0 0 595 842] >>",
+  });
+  const result = analyzePdfPagesSync(updated);
+  assert.equal(result.pages, 1);
+  assert.notEqual(result.method, "linearized");
+  assert.match(result.errors[0].message, /\/L/);
+});
@@ -0,0 +1,66 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { listPdfPages, listPdfPagesSync } = require("../src/index.js");
+const { classic, xrefStream } = require("./helpers/pdf");
+
+const objs = [
+  "<< /Type /Catalog /Pages 2 0 R >>",
+  "<< /Type /Pages /Kids [3 0 R 4 0 R] /Count 3 /MediaBox [0 0 595 842] /Rotate 90 >>",
+  "<< /Type /Page /Parent 2 0 R /CropBox [10 10 500 800] >>",
+  "<< /Type /Pages /Parent 2 0 R /Kids [5 0 R 6 0 R] /Count 2 /MediaBox [0 0 612 792] >>",
+  "<< /Type /Page /Parent 4 0 R /Rotate 0 >>",
+  "<< /Type /Page /Parent 4 0 R /MediaBox [0 0 842 1191] >>",
+];
+
+test("lists pages in order with inherited boxes and rotation", async () => {
+  const pdf = classic(objs);
+  const pages = listPdfPagesSync(pdf);
+  assert.deepEqual(
+    pages.map(({ index, obj, gen, mediaBox, cropBox, rotate }) => ({
+      index,
+      obj,
+      gen,
+      mediaBox,
+      cropBox,
+      rotate,
+    })),
+    [
+      {
+        index: 0,
+        obj: 3,
+        gen: 0,
+        mediaBox: [0, 0, 595, 842],
+        cropBox: [10, 10, 500, 800],
+        rotate: 90,
+      },
+      {
+        index: 1,
+        obj: 5,
+        gen: 0,
+        mediaBox: [0, 0, 612, 792],
+        cropBox: [0, 0, 612, 792],
+        rotate: 0,
+      },
+      {
+        index: 2,
+        obj: 6,
+        gen: 0,
+        mediaBox: [0, 0, 842, 1191],
+        cropBox: [0, 0, 842, 1191],
+        rotate: 90,
+      },
+    ]
+  );
+  const s = pdf.toString("latin1");
+  assert.equal(pages[0].offset, s.indexOf("3 0 obj"));
+  assert.deepEqual(await listPdfPages(pdf), pages);
+});
+
+test("pages inside object streams have no offset", () => {
+  const pages = listPdfPagesSync(xrefStream(objs, { compress: [5, 6] }));
+  assert.equal(pages.length, 3);
+  assert.equal(typeof pages[0].offset, "number");
+  assert.equal(pages[1].offset, null);
+  assert.equal(pages[2].offset, null);
+  assert.deepEqual(pages[2].mediaBox, [0, 0, 842, 1191]);
+});
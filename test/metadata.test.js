@@ -0,0 +1,109 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  readPdfMetadata,
+  readPdfMetadataSync,
+  PdfParseError,
+} = require("../src/index.js");
+const { classic, pageTree, flateStream } = require("./helpers/pdf");
+
+const utf16 = (s) =>
+  Buffer.from(`\ufeff${s}`, "utf16le").swap16().toString("hex");
+
+const xmp = `<?xpacket begin="\ufeff" id="W5M0MpCehiHzreSzNTczkc9d"?>
+<x:xmpmeta xmlns:x="adobe:ns:meta/">
+<rdf:RDF xmlns:rdf="http://www.w3.org/1999/02/22-rdf-syntax-ns#">
+<rdf:Description rdf:about="" pdf:Producer="Acme PDF 3.1"
+  xmp:ModifyDate="2023-06-07T08:09:10Z">
+<dc:title><rdf:Alt>
+  <rdf:li xml:lang="de">Jahresbericht</rdf:li>
+  <rdf:li xml:lang="x-default">Annual report &amp; accounts</rdf:li>
+</rdf:Alt></dc:title>
+<dc:creator><rdf:Seq><rdf:li>Alice</rdf:li><rdf:li>Bob</rdf:li></rdf:Seq></dc:creator>
+</rdf:Description>
+</rdf:RDF>
+</x:xmpmeta>
+<?xpacket end="w"?>`;
+
+function withMetadata({ info, metadata, catalog = "" }) {
+  const objs = pageTree(2, { catalog: `${catalog}/Metadata 6 0 R ` });
+  objs.push(
+    info,
+    flateStream("/Type /Metadata /Subtype /XML", Buffer.from(metadata))
+  );
+  return classic(objs, { trailer: "/Info 5 0 R " });
+}
+
+test("reads the Info dictionary", () => {
+  const pdf = withMetadata({
+    info: `<< /Title (Report \\204 draft) /Author <${utf16("Zoë")}>
+      /Subject <EFBBBF${Buffer.from("Ünïcode").toString("hex")}>
+      /CreationDate (D:20210303210607+01'00') /Custom (custom value)
+      /Trapped /False /Pages 3 >>`,
+    metadata: "",
+  });
+  const meta = readPdfMetadataSync(pdf);
+  assert.equal(meta.version, "1.4");
+  assert.equal(meta.title, "Report — draft");
+  assert.equal(meta.author, "Zoë");
+  assert.equal(meta.subject, "Ünïcode");
+  assert.equal(meta.keywords, null);
+  assert.deepEqual(meta.creationDate, new Date("2021-03-03T20:06:07Z"));
+  assert.equal(meta.info.Custom, "custom value");
+  assert.equal(meta.info.Trapped, "False");
+  assert.equal(meta.info.Pages, 3);
+  assert.equal(meta.xmp, "");
+});
+
+test("reads the XMP packet and prefers it to Info", async () => {
+  const pdf = withMetadata({
+    info: `<< /Title (Old title) /Creator (Writer)
+      /ModDate (D:20200101000000Z) >>`,
+    metadata: xmp,
+  });
+  const meta = await readPdfMetadata(pdf);
+  assert.equal(meta.title, "Annual report & accounts");
+  assert.equal(meta.author, "Alice; Bob");
+  assert.equal(meta.producer, "Acme PDF 3.1");
+  assert.equal(meta.creator, "Writer");
+  assert.deepEqual(meta.modificationDate, new Date("2023-06-07T08:09:10Z"));
+  assert.equal(meta.xmp, xmp);
+});
+
+test("Info wins when it was modified after the XMP packet", () => {
+  const pdf = withMetadata({
+    info: "<< /Title (New title) /ModDate (D:20240101000000Z) >>",
+    metadata: xmp,
+  });
+  const meta = readPdfMetadataSync(pdf);
+  assert.equal(meta.title, "New title");
+  assert.equal(meta.author, "Alice; Bob");
+  assert.deepEqual(meta.modificationDate, new Date("2024-01-01T00:00:00Z"));
+});
+
+test("the catalog /Version overrides an older header", () => {
+  const pdf = withMetadata({
+    info: "<< >>",
+    metadata: "",
+    catalog: "/Version /1.7 ",
+  });
+  assert.equal(readPdfMetadataSync(pdf).version, "1.7");
+});
+
+test("a missing Info and XMP give null fields", () => {
+  const meta = readPdfMetadataSync(classic(pageTree(1)));
+  assert.equal(meta.title, null);
+  assert.equal(meta.creationDate, null);
+  assert.deepEqual(meta.info, {});
+  assert.equal(meta.xmp, null);
+});
+
+test("a broken Info dictionary is skipped except in strict mode", () => {
+  const objs = pageTree(1);
+  const pdf = classic(objs, { trailer: "/Info 9 0 R " });
+  assert.deepEqual(readPdfMetadataSync(pdf).info, {});
+  assert.throws(
+    () => readPdfMetadataSync(pdf, { mode: "strict" }),
+    PdfParseError
+  );
+});
@@ -0,0 +1,78 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  analyzePdfPagesSync,
+  countPdfPagesSync,
+  listPdfPagesSync,
+  PdfCycleError,
+  PdfParseError,
+  PdfTruncatedError,
+} = require("../src/index.js");
+const { classic, pageTree } = require("./helpers/pdf");
+
+// The root claims 5 pages but holds 3
+const miscounted = classic([
+  "<< /Type /Catalog /Pages 2 0 R >>",
+  "<< /Type /Pages /Kids [3 0 R 4 0 R 5 0 R] /Count 5 >>",
+  "<< /Type /Page /Parent 2 0 R >>",
+  "<< /Type /Page /Parent 2 0 R >>",
+  "<< /Type /Page /Parent 2 0 R >>",
+]);
+
+test("lenient mode counts the pages it finds", () => {
+  const result = analyzePdfPagesSync(miscounted);
+  assert.equal(result.pages, 3);
+  assert.equal(result.method, "classic-traversal");
+});
+
+test("strict mode rejects a /Count that disagrees with the tree", () => {
+  assert.throws(
+    () => countPdfPagesSync(miscounted, { mode: "strict" }),
+    (err) => err instanceof PdfParseError && Array.isArray(err.errors)
+  );
+  assert.throws(
+    () => listPdfPagesSync(miscounted, { mode: "strict" }),
+    /does not match/
+  );
+  assert.equal(countPdfPagesSync(classic(pageTree(4)), { mode: "strict" }), 4);
+});
+
+test("strict mode rethrows the specific traversal error", () => {
+  const cyclic = classic([
+    "<< /Type /Catalog /Pages 2 0 R >>",
+    "<< /Type /Pages /Kids [3 0 R 2 0 R] /Count 2 >>",
+    "<< /Type /Page /Parent 2 0 R >>",
+  ]);
+  assert.throws(
+    () => analyzePdfPagesSync(cyclic, { mode: "strict" }),
+    (err) => err instanceof PdfCycleError && err.errors.length === 2
+  );
+  const truncated = classic(pageTree(4)).subarray(0, 200);
+  assert.throws(
+    () => analyzePdfPagesSync(truncated, { mode: "strict" }),
+    PdfTruncatedError
+  );
+});
+
+test("strict mode never scans", () => {
+  const pdf = Buffer.from("%PDF-1.4\n<< /Type /Pages /Count 4 >>\n%%EOF\n");
+  assert.equal(countPdfPagesSync(pdf), 4);
+  assert.throws(
+    () => countPdfPagesSync(pdf, { mode: "strict" }),
+    PdfParseError
+  );
+});
+
+test("fast mode takes the root /Count as written", () => {
+  const result = analyzePdfPagesSync(miscounted, { mode: "fast" });
+  assert.equal(result.pages, 5);
+  assert.equal(result.method, "classic-count");
+  assert.equal(result.confidence, "medium");
+});
+
+test("an unknown mode is a TypeError", () => {
+  assert.throws(
+    () => countPdfPagesSync(miscounted, { mode: "careful" }),
+    TypeError
+  );
+});
@@ -0,0 +1,93 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  readPdfOutline,
+  readPdfOutlineSync,
+  PdfCycleError,
+} = require("../src/index.js");
+const { classic, pageTree } = require("./helpers/pdf");
+
+// Page i is object i + 3 and the outline objects start at 7
+const o = 7;
+const catalog =
+  `/Outlines ${o} 0 R /Dests << /scope [5 0 R /XYZ 0 0 0] >> ` +
+  "/Names << /Dests << /Names [(chap2) << /D [6 0 R /Fit] >>] >> >> ";
+
+function withOutline(items) {
+  return classic([...pageTree(4, { perNode: 4, catalog }), ...items]);
+}
+
+const book = withOutline([
+  `<< /Type /Outlines /First ${o + 1} 0 R /Last ${o + 3} 0 R >>`,
+  `<< /Title (1 Introduction) /Next ${o + 2} 0 R /First ${o + 4} 0 R
+     /Dest [4 0 R /Fit] >>`,
+  `<< /Title (2 Named) /Next ${o + 3} 0 R /A << /S /GoTo /D (chap2) >> >>`,
+  `<< /Title (Project website) /A << /S /URI /URI (https://example.com) >> >>`,
+  `<< /Title (1.1 Scope) /Next ${o + 5} 0 R /Dest /scope >>`,
+  `<< /Title <FEFF00DC0062006500720073006900630068007400> /Dest [0 /Fit] >>`,
+]);
+
+test("reads the outline tree and resolves its targets", async () => {
+  assert.deepEqual(await readPdfOutline(book), [
+    {
+      title: "1 Introduction",
+      pageIndex: 1,
+      children: [
+        { title: "1.1 Scope", pageIndex: 2, children: [] },
+        { title: "Übersicht", pageIndex: 0, children: [] },
+      ],
+    },
+    { title: "2 Named", pageIndex: 3, children: [] },
+    { title: "Project website", pageIndex: null, children: [] },
+  ]);
+});
+
+test("reads titles written as indirect objects", () => {
+  // As pdfTeX and hyperref write them
+  const pdf = withOutline([
+    `<< /Type /Outlines /First ${o + 1} 0 R /Last ${o + 2} 0 R >>`,
+    `<< /Title ${o + 3} 0 R /Next ${o + 2} 0 R /Dest [3 0 R /Fit] >>`,
+    `<< /Title ${o + 4} 0 R /Dest [6 0 R /Fit] >>`,
+    "(Contents)",
+    "<FEFF0041006E00680061006E0067>",
+  ]);
+  assert.deepEqual(
+    readPdfOutlineSync(pdf).map((item) => item.title),
+    ["Contents", "Anhang"]
+  );
+});
+
+test("a file without an outline has none", () => {
+  assert.deepEqual(readPdfOutlineSync(classic(pageTree(2))), []);
+});
+
+test("a looping /Next chain is cut off except in strict mode", () => {
+  const looping = withOutline([
+    `<< /First ${o + 1} 0 R >>`,
+    `<< /Title (One) /Next ${o + 2} 0 R /Dest [3 0 R /Fit] >>`,
+    `<< /Title (Two) /Next ${o + 1} 0 R >>`,
+  ]);
+  const titles = readPdfOutlineSync(looping).map((item) => item.title);
+  assert.deepEqual(titles, ["One", "Two"]);
+  assert.throws(
+    () => readPdfOutlineSync(looping, { mode: "strict" }),
+    PdfCycleError
+  );
+});
+
+test("maxDepth and maxNodes bound the walk", () => {
+  assert.throws(
+    () => readPdfOutlineSync(book, { maxDepth: 1 }),
+    (err) => err.limit === "maxDepth" && /^Outline/.test(err.message)
+  );
+  const items = [`<< /First ${o + 1} 0 R >>`];
+  for (let i = 1; i <= 20; i += 1) {
+    items.push(`<< /Title (${i}) /Next ${o + i + 1} 0 R >>`);
+  }
+  items.push("<< /Title (21) >>");
+  assert.equal(readPdfOutlineSync(withOutline(items)).length, 21);
+  assert.throws(
+    () => readPdfOutlineSync(withOutline(items), { maxNodes: 10 }),
+    (err) => err.limit === "maxNodes" && /^Outline/.test(err.message)
+  );
+});
@@ -0,0 +1,92 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  findPdfPageByLabel,
+  readPdfPageLabels,
+  readPdfPageLabelsSync,
+  PdfCycleError,
+} = require("../src/index.js");
+const { classic, pageTree } = require("./helpers/pdf");
+
+/** A file of `n` pages whose /PageLabels are `labels` plus extra objects. */
+function labelled(n, labels, extra = []) {
+  const objs = pageTree(n, { catalog: `/PageLabels ${labels} ` });
+  return classic([...objs, ...extra]);
+}
+const next = (n) => pageTree(n).length + 1;
+
+test("formats decimal, roman and letter ranges with prefixes", async () => {
+  const pdf = labelled(
+    12,
+    `<< /Nums [0 << /S /r >> 4 << /S /D >> 9 << /S /A /P (App-) /St 26 >>] >>`
+  );
+  const labels = await readPdfPageLabels(pdf);
+  assert.deepEqual(labels, [
+    "i",
+    "ii",
+    "iii",
+    "iv",
+    "1",
+    "2",
+    "3",
+    "4",
+    "5",
+    "App-Z",
+    "App-AA",
+    "App-BB",
+  ]);
+});
+
+test("follows /Kids of the number tree and indirect labels", () => {
+  const n = next(6);
+  const pdf = labelled(6, `<< /Kids [${n} 0 R ${n + 1} 0 R] >>`, [
+    `<< /Limits [0 0] /Nums [0 ${n + 2} 0 R] >>`,
+    `<< /Limits [2 2] /Nums [2 << /S /R /St 4 >>] >>`,
+    `<< /P (Cover) >>`,
+  ]);
+  assert.deepEqual(readPdfPageLabelsSync(pdf), [
+    "Cover",
+    "Cover",
+    "IV",
+    "V",
+    "VI",
+    "VII",
+  ]);
+});
+
+test("reads a /P prefix written as an indirect object", () => {
+  const n = next(3);
+  const pdf = labelled(3, `<< /Nums [0 << /S /D /P ${n} 0 R >>] >>`, ["(A-)"]);
+  const labels = readPdfPageLabelsSync(pdf);
+  assert.deepEqual(labels, ["A-1", "A-2", "A-3"]);
+  assert.equal(findPdfPageByLabel(labels, "A-2"), 1);
+});
+
+test("pages before the first range, or without labels, get their number", () => {
+  const pdf = labelled(4, "<< /Nums [2 << /S /a >>] >>");
+  assert.deepEqual(readPdfPageLabelsSync(pdf), ["1", "2", "a", "b"]);
+  assert.deepEqual(readPdfPageLabelsSync(classic(pageTree(3))), [
+    "1",
+    "2",
+    "3",
+  ]);
+});
+
+test("a looping number tree falls back to page numbers except in strict mode", () => {
+  const n = next(3);
+  const pdf = labelled(3, `${n} 0 R`, [`<< /Kids [${n} 0 R] >>`]);
+  assert.deepEqual(readPdfPageLabelsSync(pdf), ["1", "2", "3"]);
+  assert.throws(
+    () => readPdfPageLabelsSync(pdf, { mode: "strict" }),
+    PdfCycleError
+  );
+});
+
+test("findPdfPageByLabel prefers an exact match, then ignores case", () => {
+  const labels = ["i", "ii", "1", "2", "A-1", "I"];
+  assert.equal(findPdfPageByLabel(labels, "ii"), 1);
+  assert.equal(findPdfPageByLabel(labels, " 2 "), 3);
+  assert.equal(findPdfPageByLabel(labels, "I"), 5);
+  assert.equal(findPdfPageByLabel(labels, "a-1"), 4);
+  assert.equal(findPdfPageByLabel(labels, "x"), -1);
+});
@@ -0,0 +1,49 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  summarizePdfPageSizes,
+  summarizePdfPageSizesSync,
+} = require("../src/index.js");
+const { classic } = require("./helpers/pdf");
+
+const page = (extra) => `<< /Type /Page /Parent 2 0 R ${extra} >>`;
+
+test("classifies pages by paper format and orientation", async () => {
+  const pdf = classic([
+    "<< /Type /Catalog /Pages 2 0 R >>",
+    "<< /Type /Pages /Kids [3 0 R 4 0 R 5 0 R 6 0 R 7 0 R] /Count 5 >>",
+    page("/MediaBox [0 0 595.28 841.89]"),
+    page("/MediaBox [0 0 595 842] /Rotate 90"),
+    page("/MediaBox [0 0 842 1191]"),
+    page("/MediaBox [0 0 300 200]"),
+    page(""),
+  ]);
+  const summary = summarizePdfPageSizesSync(pdf);
+  assert.equal(summary.pages, 5);
+  assert.deepEqual(summary.formats, {
+    A4: 2,
+    Letter: 0,
+    Legal: 0,
+    A3: 1,
+    custom: 1,
+    unknown: 1,
+  });
+  assert.deepEqual(summary.orientation, { portrait: 2, landscape: 2 });
+  assert.equal(summary.mixedSizes, true);
+  assert.equal(summary.sizes[0].format, "A4");
+  assert.equal(summary.sizes[0].count, 2);
+  assert.deepEqual(await summarizePdfPageSizes(pdf), summary);
+});
+
+test("one size in both orientations is not mixed", () => {
+  const pdf = classic([
+    "<< /Type /Catalog /Pages 2 0 R >>",
+    "<< /Type /Pages /Kids [3 0 R 4 0 R] /Count 2 /MediaBox [0 0 612 792] >>",
+    page(""),
+    page("/MediaBox [0 0 792 612]"),
+  ]);
+  const summary = summarizePdfPageSizesSync(pdf);
+  assert.equal(summary.formats.Letter, 2);
+  assert.deepEqual(summary.orientation, { portrait: 1, landscape: 1 });
+  assert.equal(summary.mixedSizes, false);
+});
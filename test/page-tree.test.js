@@ -0,0 +1,69 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  analyzePdfPagesSync,
+  countPdfPagesSync,
+  listPdfPagesSync,
+  PdfCycleError,
+  PdfLimitError,
+} = require("../src/index.js");
+const { classic, pageTree, xrefStream } = require("./helpers/pdf");
+
+// The second /Pages node lists the root among its kids
+const cyclic = [
+  "<< /Type /Catalog /Pages 2 0 R >>",
+  "<< /Type /Pages /Kids [3 0 R 4 0 R] /Count 3 >>",
+  "<< /Type /Page /Parent 2 0 R >>",
+  "<< /Type /Pages /Parent 2 0 R /Kids [5 0 R 2 0 R] /Count 2 >>",
+  "<< /Type /Page /Parent 4 0 R >>",
+];
+
+/** A chain of `depth` /Pages nodes, each holding a page and the next node. */
+function deepTree(depth) {
+  const objs = ["<< /Type /Catalog /Pages 2 0 R >>"];
+  for (let d = 0; d < depth; d += 1) {
+    const node = 2 + d * 2;
+    const next = d + 1 < depth ? ` ${node + 2} 0 R` : "";
+    objs.push(
+      `<< /Type /Pages /Kids [${node + 1} 0 R${next}] /Count ${depth - d} >>`
+    );
+    objs.push(`<< /Type /Page /Parent ${node} 0 R >>`);
+  }
+  return objs;
+}
+
+for (const [name, build] of [
+  ["classic", classic],
+  ["XRef stream", (objs) => xrefStream(objs, { compress: [3, 4, 5] })],
+]) {
+  test(`a cyclic page tree (${name}) falls back with low confidence`, () => {
+    const pdf = build(cyclic);
+    const result = analyzePdfPagesSync(pdf);
+    assert.equal(result.pages, 3);
+    assert.equal(result.confidence, "low");
+    assert.ok(result.warnings.some((w) => /cycle/.test(w)));
+    assert.ok(result.errors.some((e) => e.code === "ERR_PDF_CYCLE"));
+    assert.throws(() => listPdfPagesSync(pdf), PdfCycleError);
+  });
+}
+
+test("deep trees are walked without a depth limit by default", () => {
+  const pdf = classic(deepTree(5000));
+  const result = analyzePdfPagesSync(pdf);
+  assert.equal(result.pages, 5000);
+  assert.equal(result.method, "classic-traversal");
+  assert.equal(listPdfPagesSync(pdf).length, 5000);
+});
+
+test("maxDepth and maxNodes bound the walk", () => {
+  const pdf = classic(deepTree(50));
+  assert.equal(countPdfPagesSync(pdf, { maxDepth: 50 }), 50);
+  assert.throws(
+    () => countPdfPagesSync(pdf, { maxDepth: 49 }),
+    (err) => err instanceof PdfLimitError && err.limit === "maxDepth"
+  );
+  assert.throws(
+    () => countPdfPagesSync(classic(pageTree(30)), { maxNodes: 30 }),
+    (err) => err instanceof PdfLimitError && err.limit === "maxNodes"
+  );
+});
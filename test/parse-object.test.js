@@ -0,0 +1,61 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  countPdfPagesSync,
+  parsePdfObject,
+  PdfParseError,
+  PdfTruncatedError,
+} = require("../src/index.js");
+const { classic } = require("./helpers/pdf");
+
+const text = (value) => Buffer.from(value.value).toString("latin1");
+
+test("parses dictionaries into Maps of tagged values", () => {
+  const dict = parsePdfObject(
+    "<< /Type /Page /Parent 2 0 R /Rotate 90 /Box [0 0 595.5 -1] /Ok true /No null >>"
+  );
+  assert.ok(dict instanceof Map);
+  assert.deepEqual(dict.get("Type"), { type: "name", name: "Page" });
+  assert.deepEqual(dict.get("Parent"), { type: "ref", obj: 2, gen: 0 });
+  assert.equal(dict.get("Rotate"), 90);
+  assert.deepEqual(dict.get("Box"), [0, 0, 595.5, -1]);
+  assert.equal(dict.get("Ok"), true);
+  assert.equal(dict.get("No"), null);
+});
+
+test("decodes name escapes, string escapes, hex strings and comments", () => {
+  const value = parsePdfObject(
+    "[/A#20B (a\\)b\\101\\\ncd) <48 69 7> % comment\n 1]"
+  );
+  assert.deepEqual(value[0], { type: "name", name: "A B" });
+  assert.equal(text(value[1]), "a)bAcd");
+  assert.equal(value[1].hex, false);
+  assert.equal(text(value[2]), "Hip");
+  assert.equal(value[2].hex, true);
+  assert.equal(value[3], 1);
+});
+
+test("yields the value of an indirect object and starts at an offset", () => {
+  assert.equal(parsePdfObject("12 0 obj\n42\nendobj"), 42);
+  assert.deepEqual(parsePdfObject(Buffer.from("xx /Name"), 2), {
+    type: "name",
+    name: "Name",
+  });
+});
+
+test("malformed and unterminated input throw", () => {
+  assert.throws(() => parsePdfObject("<< /A >> >>]"), PdfParseError);
+  assert.throws(() => parsePdfObject("<< /A [1 2"), PdfTruncatedError);
+  assert.throws(() => parsePdfObject("(abc"), PdfTruncatedError);
+});
+
+test("the page tree is read with the parser, not with patterns", () => {
+  // Kids spread over lines and comments, a string that mentions /Count
+  const pdf = classic([
+    "<< /Type /Catalog /Pages 2 0 R >>",
+    "<< /Type /Pages /Title (/Count 99) /Kids [3 0 R % first\n 4 0 R\n] /Count 2 >>",
+    "<< /Type /Page /Parent 2 0 R >>",
+    "<< /Type/Page/Parent 2 0 R>>",
+  ]);
+  assert.equal(countPdfPagesSync(pdf, { mode: "strict" }), 2);
+});
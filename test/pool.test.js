@@ -0,0 +1,64 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const {
+  createPdfPageCounterPool,
+  PdfLimitError,
+  PdfNotAPdfError,
+} = require("../src/index.js");
+const { classic, pageTree } = require("./helpers/pdf");
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "pdf-pages-count-"));
+const pool = createPdfPageCounterPool({ concurrency: 2 });
+test.after(async () => {
+  await pool.close();
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test("counts paths and buffers on worker threads", async () => {
+  const file = path.join(dir, "seven.pdf");
+  fs.writeFileSync(file, classic(pageTree(7)));
+  const counts = await Promise.all([
+    pool.count(file),
+    pool.count(classic(pageTree(3))),
+    pool.count(new Uint8Array(classic(pageTree(5)))),
+  ]);
+  assert.deepEqual(counts, [7, 3, 5]);
+});
+
+test("transfers buffers that span their whole ArrayBuffer", async () => {
+  const bytes = new Uint8Array(classic(pageTree(4)));
+  assert.equal(await pool.count(bytes), 4);
+  assert.equal(bytes.byteLength, 0);
+});
+
+test("errors keep their class and code", async () => {
+  await assert.rejects(pool.count(Buffer.from("hello")), (err) => {
+    assert.ok(err instanceof PdfNotAPdfError);
+    assert.equal(err.code, "ERR_PDF_NOT_A_PDF");
+    return true;
+  });
+  await assert.rejects(
+    pool.count(classic(pageTree(3)), { maxFileSize: 10 }),
+    (err) => err instanceof PdfLimitError && err.limit === "maxFileSize"
+  );
+});
+
+test("an aborted signal rejects the count", async () => {
+  const controller = new AbortController();
+  const counting = pool.count(classic(pageTree(3)), {
+    signal: controller.signal,
+  });
+  controller.abort();
+  await assert.rejects(counting, { name: "AbortError" });
+  assert.equal(await pool.count(classic(pageTree(2))), 2);
+});
+
+test("close lets queued counts finish", async () => {
+  const own = createPdfPageCounterPool({ concurrency: 1 });
+  const counts = [1, 2, 3].map((n) => own.count(classic(pageTree(n))));
+  await own.close();
+  assert.deepEqual(await Promise.all(counts), [1, 2, 3]);
+});
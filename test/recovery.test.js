@@ -0,0 +1,66 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  analyzePdfPagesSync,
+  countPdfPagesSync,
+  listPdfPagesSync,
+  PdfParseError,
+  PdfTruncatedError,
+} = require("../src/index.js");
+const {
+  appendUpdate,
+  classic,
+  pageTree,
+  xrefStream,
+} = require("./helpers/pdf");
+
+const latin1 = (s) => Buffer.from(s, "latin1");
+const breakStartxref = (pdf) =>
+  latin1(
+    pdf
+      .toString("latin1")
+      .replace(/startxref\n\d+\n%%EOF\n$/, "startxref\n12\n%%EOF\n")
+  );
+
+function expectRecovered(pdf, pages) {
+  const result = analyzePdfPagesSync(pdf);
+  assert.equal(result.pages, pages);
+  assert.equal(result.method, "recovered-traversal");
+  assert.equal(result.confidence, "medium");
+  assert.equal(result.warnings.length, 1);
+  assert.equal(listPdfPagesSync(pdf).length, pages);
+}
+
+test("rebuilds the object table when startxref points elsewhere", () => {
+  const pdf = breakStartxref(classic(pageTree(7)));
+  expectRecovered(pdf, 7);
+  assert.throws(
+    () => countPdfPagesSync(pdf, { mode: "strict" }),
+    PdfParseError
+  );
+});
+
+test("rebuilds the object table of a file cut off before its xref", () => {
+  const s = classic(pageTree(7)).toString("latin1");
+  const pdf = latin1(s.slice(0, s.indexOf("xref\n0")));
+  expectRecovered(pdf, 7);
+  assert.throws(
+    () => countPdfPagesSync(pdf, { mode: "strict" }),
+    PdfTruncatedError
+  );
+});
+
+test("finds the members of object streams", () => {
+  const tree = pageTree(13);
+  const compress = [...tree.keys()].map((i) => i + 1).filter((n) => n > 2);
+  const s = xrefStream(tree, { compress }).toString("latin1");
+  expectRecovered(latin1(s.slice(0, s.lastIndexOf("startxref"))), 13);
+});
+
+test("takes the last definition of an object that was updated", () => {
+  const pdf = appendUpdate(classic(pageTree(2)), {
+    2: "<< /Type /Pages /Kids [3 0 R 4 0 R 5 0 R] /Count 3 /MediaBox [0 0 595 842] >>",
+    5: "<< /Type /Page /Parent 2 0 R >>",
+  });
+  expectRecovered(breakStartxref(pdf), 3);
+});
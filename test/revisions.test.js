@@ -0,0 +1,66 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  countPdfPagesSync,
+  listPdfRevisions,
+  listPdfRevisionsSync,
+} = require("../src/index.js");
+const {
+  appendUpdate,
+  classic,
+  pageTree,
+  startxrefOf,
+} = require("./helpers/pdf");
+
+const pages = (kids) =>
+  `<< /Type /Pages /Kids [${kids}] /Count ${
+    kids.split(" R").length - 1
+  } /MediaBox [0 0 612 792] >>`;
+
+const base = classic(pageTree(2));
+const added = appendUpdate(base, {
+  2: pages("3 0 R 4 0 R 5 0 R"),
+  5: "<< /Type /Page /Parent 2 0 R >>",
+});
+const removed = appendUpdate(added, { 2: pages("3 0 R 5 0 R") });
+
+test("lists every revision with its byte range and page count", async () => {
+  const revisions = listPdfRevisionsSync(removed);
+  assert.deepEqual(revisions, [
+    {
+      index: 0,
+      start: 0,
+      end: base.length,
+      startxref: startxrefOf(base),
+      pages: 2,
+      error: null,
+    },
+    {
+      index: 1,
+      start: base.length,
+      end: added.length,
+      startxref: startxrefOf(added),
+      pages: 3,
+      error: null,
+    },
+    {
+      index: 2,
+      start: added.length,
+      end: removed.length,
+      startxref: startxrefOf(removed),
+      pages: 2,
+      error: null,
+    },
+  ]);
+  assert.deepEqual(await listPdfRevisions(removed), revisions);
+  assert.equal(countPdfPagesSync(removed), 2);
+});
+
+test("a revision that cannot be read reports why", () => {
+  const broken = appendUpdate(added, { 1: "<< /Type /Catalog >>" });
+  const revisions = listPdfRevisionsSync(broken);
+  assert.equal(revisions.length, 3);
+  assert.equal(revisions[1].pages, 3);
+  assert.equal(revisions[2].pages, null);
+  assert.equal(typeof revisions[2].error, "string");
+});